@@ -1,20 +1,136 @@
+import {
+    buildDataset,
+    columnIndexToLetter,
+    DEFAULT_DUPLICATE_STRATEGY,
+    describeColumns,
+    DUPLICATE_STRATEGIES,
+    parseCSV,
+    parseDataFile,
+    SCORE_SCALE
+} from "./lib/dataset.mjs";
+import {
+    buildOverlap,
+    compareLocations,
+    computeBestAndWorstFor,
+    computeCorrelationMatrix,
+    computeCustomRanking,
+    computeFavoriteLocations,
+    computeGlobalPairExtremes,
+    computeGlobalSummary,
+    computeLocationSignedSquaredSums,
+    computeMostDifferentLocation,
+    computePersonStats,
+    computePolarizationExtremes,
+    corrClassFromR,
+    diffDatasets,
+    locationLabel,
+    locationsAsPeople,
+    MAX_EXPONENT,
+    similarityStrength
+} from "./lib/stats.mjs";
+import {
+    computeSimilarity,
+    DEFAULT_MIN_OVERLAP,
+    DEFAULT_SIMILARITY_METRIC,
+    METRIC_INFO,
+    SIMILARITY_METRICS,
+    toSimilarity
+} from "./lib/similarity.mjs";
+import {
+    computeGroupDecision,
+    DEFAULT_APPROVAL_THRESHOLD,
+    GROUP_RULE_INFO
+} from "./lib/group.mjs";
+import { computeCondorcet } from "./lib/condorcet.mjs";
+import {
+    computeDendrogram,
+    LINKAGE_INFO,
+    LINKAGE_METHODS,
+    resolveLinkage
+} from "./lib/hierarchy.mjs";
+import {
+    imputePeople,
+    isImputed,
+    MISSING_INFO,
+    resolveMissingStrategy,
+    withoutImputed
+} from "./lib/missing.mjs";
+import { confidenceLabel, predictMissingScores } from "./lib/predict.mjs";
+import {
+    compareSegments,
+    computeSegmentAverages,
+    filterBySegment,
+    listSegmentAttributes,
+    segmentKey,
+    segmentLabel,
+    splitBySegment
+} from "./lib/segments.mjs";
+import { assessRespondents } from "./lib/quality.mjs";
+import {
+    computeTasteMap,
+    PROJECTION_INFO,
+    PROJECTION_METHODS,
+    resolveProjection
+} from "./lib/projection.mjs";
+import {
+    DEFAULT_NORMALIZATION,
+    NORMALIZATION_INFO,
+    NORMALIZATION_MODES
+} from "./lib/normalize.mjs";
+import {
+    computeSignificance,
+    formatPValue,
+    MIN_RELIABLE_OVERLAP,
+    SIGNIFICANCE_LEVEL
+} from "./lib/significance.mjs";
+import {
+    AUTO_CLUSTER_COUNT,
+    computeClusterLocationExtremes,
+    computeClusters,
+    computeClusterScree,
+    computeClusterStability,
+    DEFAULT_CLUSTER_COUNT,
+    MAX_CLUSTER_COUNT,
+    STABLE_ASSIGNMENT
+} from "./lib/clusters.mjs";
+
 // === CONFIG ===
 // Hard-coded published CSV URL served via your Cloudflare Worker
 const CSV_URL = "/sheet";
-
-// Column indices (0-based: A=0, B=1, ..., K=10)
-const NAME_COL_INDEX = 1;          // Column B
-const SCORE_START_COL_INDEX = 5;   // Column F
-const SCORE_END_COL_INDEX = 10;    // Column K (inclusive)
+// Lists the surveys the worker knows about: { default, surveys: [{ id, title }] }
+const SURVEYS_URL = "/surveys";
+// Dated archive of each survey: ?survey=<id> lists, &id=<snapshot> returns a CSV
+const SNAPSHOTS_URL = "/snapshots";
+// Auto-refresh choices in seconds (0 = off)
+const AUTO_REFRESH_INTERVALS = [0, 30, 60, 300];
 
 const loadStatus = document.getElementById("load-status");
-const debugInfo = document.getElementById("debug-info");
+const dataIssuesBox = document.getElementById("data-issues");
+const respondentQualityBox = document.getElementById("respondent-quality");
 const correlationUI = document.getElementById("correlation-ui");
 const personASelect = document.getElementById("person-a");
 const personBSelect = document.getElementById("person-b");
 const computeBtn = document.getElementById("compute-btn");
 const computeStatus = document.getElementById("compute-status");
 const resultBox = document.getElementById("result");
+const surveyPicker = document.getElementById("survey-picker");
+const surveySelect = document.getElementById("survey-select");
+const sourceBadge = document.getElementById("source-badge");
+const fileInput = document.getElementById("file-input");
+const fileDropZone = document.getElementById("file-drop");
+const useLiveBtn = document.getElementById("use-live-btn");
+const duplicateSelect = document.getElementById("duplicate-strategy");
+const excludeSuspiciousToggle = document.getElementById("exclude-suspicious");
+const missingSelect = document.getElementById("missing-strategy");
+const segmentFilterSelect = document.getElementById("segment-filter");
+const segmentSplitSelect = document.getElementById("segment-split");
+const metricSelect = document.getElementById("similarity-metric");
+const minOverlapInput = document.getElementById("min-overlap");
+const normalizationSelect = document.getElementById("normalization");
+const snapshotPicker = document.getElementById("snapshot-picker");
+const snapshotSelect = document.getElementById("snapshot-select");
+const autoRefreshSelect = document.getElementById("auto-refresh");
+const toastBox = document.getElementById("toast");
 
 // Theme toggle
 const themeToggleBtn = document.getElementById("theme-toggle");
@@ -33,12 +149,32 @@ const tabRanking = document.getElementById("tab-ranking");
 const customRankingBox = document.getElementById("custom-ranking");
 const tabClusters = document.getElementById("tab-clusters");
 const clustersBox = document.getElementById("cluster-stats");
-
-let people = [];        // { name: string, scores: (number|null)[] }
-let headerRow = [];     // first row of the CSV – used for location names
+const tabHistory = document.getElementById("tab-history");
+const historyBox = document.getElementById("history-view");
+const tabGroup = document.getElementById("tab-group");
+const groupBox = document.getElementById("group-view");
+const tabMap = document.getElementById("tab-map");
+const tasteMapBox = document.getElementById("taste-map");
+const tabSegments = document.getElementById("tab-segments");
+const segmentsBox = document.getElementById("segment-view");
+
+let people = [];        // { name: string, scores: (number|null)[], imputed: boolean[], attributes: { question: answer } }
+let columnMapping = null; // { nameCol, scoreCols, timestampCol, attributeCols, attributeNames, locationNames, nameSource, scoreSource }
 let matrixOrder = [];   // indices into `people` for the correlation matrix ordering
-let cachedClusterAssignments = null;
-let cachedClusterK = null;
+let locationMatrixOrder = []; // location indices for the location × location matrix
+let cachedClusters = null;      // computeClusters() result for the chosen k
+let cachedClusterScree = null;  // computeClusterScree() result
+let cachedClusterStability = null; // computeClusterStability() for cachedClusters
+let segmentAttributes = [];     // listSegmentAttributes() of everyone loaded, before the "Only" filter
+let segmentPair = null;         // [keyA, keyB] compared on the Segments tab
+let currentSurveyId = null; // null → let the worker pick its default survey
+let dataSource = null;      // { kind: "sheet" | "file", label } for the loaded data
+let lastDatasetRows = null; // parsed rows behind `people`, kept so settings can re-apply them
+let loadedPeople = [];      // respondents as parsed, before exclusion, the segment filter and imputation
+let snapshotList = [];      // [{ id, takenAt, etag, size, rows }] for the current survey, oldest first
+const snapshotTextCache = new Map(); // snapshot url → CSV text (snapshots never change)
+// Last response per sheet URL, for conditional requests: url → { etag, lastModified, text }
+const sheetResponseCache = new Map();
 
 // --- THEME LOGIC ---
 function updateThemeToggleUI(currentTheme) {
@@ -88,12 +224,17 @@ themeToggleBtn.addEventListener("click", () => {
 
 // --- TAB LOGIC ---
 function showTab(which) {
+    currentTab = which;
     correlationUI.style.display = "none";
     overallStats.style.display = "none";
     matrixBox.style.display = "none";
     if (personalStatsBox) personalStatsBox.style.display = "none";
     if (customRankingBox) customRankingBox.style.display = "none";
     if (clustersBox) clustersBox.style.display = "none";
+    if (historyBox) historyBox.style.display = "none";
+    if (groupBox) groupBox.style.display = "none";
+    if (tasteMapBox) tasteMapBox.style.display = "none";
+    if (segmentsBox) segmentsBox.style.display = "none";
 
     tabCompare.classList.remove("active");
     tabOverall.classList.remove("active");
@@ -101,6 +242,10 @@ function showTab(which) {
     if (tabPersonal) tabPersonal.classList.remove("active");
     if (tabRanking) tabRanking.classList.remove("active");
     if (tabClusters) tabClusters.classList.remove("active");
+    if (tabHistory) tabHistory.classList.remove("active");
+    if (tabGroup) tabGroup.classList.remove("active");
+    if (tabMap) tabMap.classList.remove("active");
+    if (tabSegments) tabSegments.classList.remove("active");
 
     if (which === "overall") {
         overallStats.style.display = "block";
@@ -117,6 +262,18 @@ function showTab(which) {
     } else if (which === "clusters") {
         if (clustersBox) clustersBox.style.display = "block";
         if (tabClusters) tabClusters.classList.add("active");
+    } else if (which === "history") {
+        if (historyBox) historyBox.style.display = "block";
+        if (tabHistory) tabHistory.classList.add("active");
+    } else if (which === "group") {
+        if (groupBox) groupBox.style.display = "block";
+        if (tabGroup) tabGroup.classList.add("active");
+    } else if (which === "map") {
+        if (tasteMapBox) tasteMapBox.style.display = "block";
+        if (tabMap) tabMap.classList.add("active");
+    } else if (which === "segments") {
+        if (segmentsBox) segmentsBox.style.display = "block";
+        if (tabSegments) tabSegments.classList.add("active");
     } else {
         correlationUI.style.display = "block";
         tabCompare.classList.add("active");
@@ -125,87 +282,59 @@ function showTab(which) {
 
 
 let matrixRendered = false;
-const MAX_EXPONENT = 8;          // hard-coded max exponent n
+let currentTab = "compare";
+let currentPersonalName = null;  // person shown on the Individual statistics tab
 let currentExponent = 2;         // default exponent
 let customRankingInitialized = false;
 
-if (tabCompare && tabOverall && tabMatrix && tabPersonal && tabRanking && tabClusters) {
-    tabCompare.addEventListener("click", () => showTab("compare"));
-
-    tabOverall.addEventListener("click", () => showTab("overall"));
-
-    tabMatrix.addEventListener("click", () => {
+// Render a tab's content (if needed) and show it. `personalName` keeps the
+// Individual statistics tab on that person instead of the first one.
+function openTab(which, personalName) {
+    if (which === "matrix") {
         if (!matrixRendered) {
             renderCorrelationMatrix();
             matrixRendered = true;
         }
-        showTab("matrix");
-    });
-
-    tabPersonal.addEventListener("click", () => {
-        renderPersonalStats();   // default to first person
-        showTab("personal");
-    });
-
-    tabRanking.addEventListener("click", () => {
+    } else if (which === "personal") {
+        renderPersonalStats(personalName);   // default to first person
+    } else if (which === "ranking") {
         renderCustomRanking();   // initializes controls & renders
-        showTab("ranking");
-    });
-
-    tabClusters.addEventListener("click", () => {
+    } else if (which === "clusters") {
         renderClusters();
-        showTab("clusters");
-    });
+    } else if (which === "history") {
+        renderHistory();
+    } else if (which === "group") {
+        renderGroupDecision();
+    } else if (which === "map") {
+        renderTasteMap();
+    } else if (which === "segments") {
+        renderSegments();
+    }
+    showTab(which);
 }
 
-// --- Robust CSV parser that handles quotes & commas ---
-function parseCSV(text) {
-    const rows = [];
-    let currentRow = [];
-    let currentField = "";
-    let inQuotes = false;
-
-    for (let i = 0; i < text.length; i++) {
-        const ch = text[i];
-
-        if (ch === '"') {
-            // Handle double quotes ("") inside a quoted field
-            if (inQuotes && text[i + 1] === '"') {
-                currentField += '"';
-                i++; // skip the next quote
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (ch === "," && !inQuotes) {
-            // Field boundary
-            currentRow.push(currentField);
-            currentField = "";
-        } else if ((ch === "\n" || ch === "\r") && !inQuotes) {
-            // End of line
-            if (ch === "\r" && text[i + 1] === "\n") {
-                i++; // handle CRLF
-            }
-            currentRow.push(currentField);
-            rows.push(currentRow);
-            currentRow = [];
-            currentField = "";
-        } else {
-            currentField += ch;
-        }
+if (tabCompare && tabOverall && tabMatrix && tabPersonal && tabRanking && tabClusters) {
+    tabCompare.addEventListener("click", () => openTab("compare"));
+    tabOverall.addEventListener("click", () => openTab("overall"));
+    tabMatrix.addEventListener("click", () => openTab("matrix"));
+    tabPersonal.addEventListener("click", () => openTab("personal"));
+    tabRanking.addEventListener("click", () => openTab("ranking"));
+    tabClusters.addEventListener("click", () => openTab("clusters"));
+    if (tabHistory) {
+        tabHistory.addEventListener("click", () => openTab("history"));
     }
-
-    // Last field / row
-    if (currentField.length > 0 || currentRow.length > 0) {
-        currentRow.push(currentField);
-        rows.push(currentRow);
+    if (tabGroup) {
+        tabGroup.addEventListener("click", () => openTab("group"));
+    }
+    if (tabMap) {
+        tabMap.addEventListener("click", () => openTab("map"));
+    }
+    if (tabSegments) {
+        tabSegments.addEventListener("click", () => openTab("segments"));
     }
-
-    // Filter out rows that are completely empty
-    return rows.filter(row =>
-        row.some(cell => String(cell).trim().length > 0)
-    );
 }
 
+
 function renderCustomRanking() {
     if (!customRankingBox) return;
 
@@ -229,6 +358,7 @@ function renderCustomRanking() {
             Use the slider or numeric input to adjust the exponent and see how
             the ranking and dispersion change.
           </p>
+          <p class="description" id="rank-normalization-note" style="margin-top:0;"></p>
 
           <div class="rank-controls">
             <label for="rank-exp-slider">
@@ -287,6 +417,8 @@ function renderCustomRanking() {
               </tbody>
             </table>
           </div>
+
+          <div id="condorcet-results" style="margin-top:1rem;"></div>
         `;
 
         const slider = customRankingBox.querySelector("#rank-exp-slider");
@@ -334,47 +466,12 @@ function updateCustomRankingResults() {
     const tbody = customRankingBox.querySelector("#custom-ranking-rows");
     if (!tbody) return;
 
-    const exponent = currentExponent;
-    const numLocations = people[0].scores.length;
-
-    const locStats = [];
-    let maxAbsScore = 0;
-
-    for (let locIdx = 0; locIdx < numLocations; locIdx++) {
-        const contributions = [];
+    const normalization = getNormalization();
+    const note = customRankingBox.querySelector("#rank-normalization-note");
+    if (note) note.innerHTML = normalizationNote(normalization);
 
-        for (const p of people) {
-            const v = p.scores[locIdx];
-            if (v === null) continue;
-
-            const sign = Math.sign(v);
-            const mag = Math.pow(Math.abs(v), exponent);
-            const contrib = sign * mag;
-
-            contributions.push(contrib);
-        }
-
-        if (!contributions.length) continue;
-
-        const count = contributions.length;
-        const sum = contributions.reduce((s, v) => s + v, 0);
-        const mean = sum / count;
-        const variance = contributions.reduce((s, v) => s + (v - mean) * (v - mean), 0) / count;
-        const std = Math.sqrt(Math.max(variance, 0));
-
-        locStats.push({
-            index: locIdx,
-            name: getLocationName(locIdx),
-            score: sum,
-            std,
-            count
-        });
-
-        const absScore = Math.abs(sum);
-        if (absScore > maxAbsScore) {
-            maxAbsScore = absScore;
-        }
-    }
+    const locStats = computeCustomRanking(people, getLocationNames(), currentExponent, { normalization });
+    const maxAbsScore = locStats.reduce((m, loc) => Math.max(m, Math.abs(loc.score)), 0);
 
     if (!locStats.length) {
         tbody.innerHTML = `
@@ -387,9 +484,6 @@ function updateCustomRankingResults() {
         return;
     }
 
-    // Sort descending by custom score
-    locStats.sort((a, b) => b.score - a.score);
-
     const rows = [];
     for (let rank = 0; rank < locStats.length; rank++) {
         const loc = locStats[rank];
@@ -407,7 +501,7 @@ function updateCustomRankingResults() {
               ${rank + 1}
             </td>
             <td style="padding:0.35rem; border-bottom:1px solid var(--card-border);">
-              ${loc.name}
+              ${escapeHtml(loc.name)}
             </td>
             <td style="padding:0.35rem; text-align:right; border-bottom:1px solid var(--card-border);">
               ${loc.score.toFixed(3)}
@@ -429,209 +523,377 @@ function updateCustomRankingResults() {
     }
 
     tbody.innerHTML = rows.join("");
-}
 
+    const condorcetEl = customRankingBox.querySelector("#condorcet-results");
+    if (condorcetEl) condorcetEl.innerHTML = renderCondorcet(locStats);
+}
 
-// --- CLUSTERING HELPERS ---
-// Build a normalized score vector for each person (imputing missing with their mean)
-function buildNormalizedVectors() {
-    if (!people.length) return [];
+// Head-to-head section of the Ranking tab. `locStats` is the exponent ranking
+// shown above, so the two orderings can be compared row by row.
+function renderCondorcet(locStats) {
+    const { wins, winner, loser, cycles, schulze } = computeCondorcet(people, getLocationNames());
+    if (!schulze.length) return "";
+    const cellStyle = "padding:0.35rem; border-bottom:1px solid var(--card-border);";
 
-    const numLocations = people[0].scores.length;
-    const vectors = [];
+    let html = `
+      <hr/>
+      <strong>Head-to-head (pairwise majority)</strong>
+      <p class="description" style="margin-top:0.25rem;">
+        For every pair of locations, count how many of the people who rated both scored one above the other.
+      </p>
+      <ul style="margin-top:0.4rem; padding-left:1.2rem;">
+        <li>Condorcet winner (beats every other location head-to-head):
+          ${winner ? `<span class="pill pill-positive">${escapeHtml(winner.name)}</span>` : "<em>none</em>"}</li>
+        <li>Condorcet loser (loses to every other location):
+          ${loser ? `<span class="pill pill-negative">${escapeHtml(loser.name)}</span>` : "<em>none</em>"}</li>
+    `;
+    if (cycles.length) {
+        for (const group of cycles) {
+            html += `<li>Majority cycle: ${group.map(l => escapeHtml(l.name)).join(", ")} each beat one another in a loop, so no single one of them is preferred.</li>`;
+        }
+    } else {
+        html += `<li>No majority cycles.</li>`;
+    }
+    html += `</ul>`;
 
-    for (const person of people) {
-        const vals = person.scores.slice();
+    // Exponent ranking vs Schulze, side by side
+    const schulzeRank = new Map(schulze.map(e => [e.index, e.rank]));
+    html += `
+      <div style="margin-top:0.6rem; overflow-x:auto;">
+      <table style="border-collapse:collapse; width:100%; font-size:0.9rem;">
+        <thead>
+          <tr>
+            <th style="text-align:left; ${cellStyle}">#</th>
+            <th style="text-align:left; ${cellStyle}">Custom ranking (exponent ${currentExponent.toFixed(1)})</th>
+            <th style="text-align:left; ${cellStyle}">Schulze (head-to-head)</th>
+            <th style="text-align:right; ${cellStyle}">Custom location's Schulze rank</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+    const rowsCount = Math.max(locStats.length, schulze.length);
+    for (let i = 0; i < rowsCount; i++) {
+        const custom = locStats[i];
+        const sch = schulze[i];
+        const otherRank = custom ? schulzeRank.get(custom.index) : undefined;
+        const disagree = custom && otherRank !== undefined && otherRank !== i + 1;
+        html += `
+          <tr${disagree ? ` style="background:rgba(234, 179, 8, 0.12);"` : ""}>
+            <td style="${cellStyle}">${i + 1}</td>
+            <td style="${cellStyle}">${custom ? escapeHtml(custom.name) : "—"}</td>
+            <td style="${cellStyle}">${sch ? `${escapeHtml(sch.name)}${sch.rank !== i + 1 ? ` <span style="color:var(--muted-soft);">(tied ${sch.rank})</span>` : ""}` : "—"}</td>
+            <td style="text-align:right; ${cellStyle}">${otherRank ?? "—"}</td>
+          </tr>
+        `;
+    }
+    html += `
+        </tbody>
+      </table>
+      </div>
+      <p style="font-size:0.8rem; color:var(--muted-soft);">Highlighted rows are where the two orderings disagree.</p>
+    `;
 
-        // compute mean over non-null entries
-        let sum = 0;
-        let count = 0;
-        for (const v of vals) {
-            if (v !== null) {
-                sum += v;
-                count++;
+    // Pairwise win matrix
+    const order = schulze.map(e => e.index);
+    html += `
+      <details style="margin-top:0.6rem;">
+        <summary>Pairwise win matrix</summary>
+        <p style="font-size:0.85rem; color:var(--muted);">Row location vs column location: people preferring the row – people preferring the column.</p>
+        <div style="overflow-x:auto;">
+        <table style="border-collapse:collapse; font-size:0.85rem;">
+          <thead><tr><th style="${cellStyle}"></th>
+    `;
+    for (const b of order) {
+        html += `<th style="${cellStyle} text-align:center;">${escapeHtml(getLocationName(b))}</th>`;
+    }
+    html += `</tr></thead><tbody>`;
+    for (const a of order) {
+        html += `<tr><th style="${cellStyle} text-align:right;">${escapeHtml(getLocationName(a))}</th>`;
+        for (const b of order) {
+            if (a === b) {
+                html += `<td style="${cellStyle} text-align:center;">—</td>`;
+                continue;
             }
+            const margin = wins[a][b] - wins[b][a];
+            const bg = margin > 0 ? "rgba(34, 197, 94, 0.25)" : margin < 0 ? "rgba(239, 68, 68, 0.2)" : "transparent";
+            html += `<td style="${cellStyle} text-align:center; background-color:${bg};">${wins[a][b]}–${wins[b][a]}</td>`;
         }
-        const mean = count > 0 ? sum / count : 0;
-
-        // impute missing with mean, then normalize
-        let sum2 = 0;
-        const filled = new Array(numLocations);
-        for (let i = 0; i < numLocations; i++) {
-            const v = vals[i] === null ? mean : vals[i];
-            filled[i] = v;
-            sum2 += v;
-        }
-        const mu = sum2 / numLocations;
-        let varAcc = 0;
-        for (let i = 0; i < numLocations; i++) {
-            const d = filled[i] - mu;
-            varAcc += d * d;
-        }
-        const std = Math.sqrt(varAcc / numLocations) || 1;
-
-        const norm = filled.map(v => (v - mu) / std);
-        vectors.push(norm);
+        html += `</tr>`;
     }
-    return vectors;
+    html += `</tbody></table></div></details>`;
+
+    return html;
 }
 
-// Simple k-means on normalized vectors
-function kMeansCluster(vectors, k) {
-    const n = vectors.length;
-    if (!n || k <= 0) return { assignments: [], centroids: [] };
 
-    const dim = vectors[0].length;
-    k = Math.min(k, n);
+// --- CLUSTERING ---
+// Fill colours for clusters (cycled past the last one)
+const CLUSTER_COLORS = ["#2563eb", "#f97316", "#16a34a", "#db2777", "#7c3aed", "#0891b2", "#ca8a04", "#dc2626"];
 
-    // init centroids: first k people
-    const centroids = [];
-    for (let c = 0; c < k; c++) {
-        centroids.push(vectors[c].slice());
-    }
+function clusterColor(c) {
+    return CLUSTER_COLORS[c % CLUSTER_COLORS.length];
+}
 
-    const assignments = new Array(n).fill(0);
+// "auto" or a number of clusters, from the Clusters tab
+function getClusterCountSetting() {
+    const stored = localStorage.getItem("pref-cluster-k");
+    if (stored === AUTO_CLUSTER_COUNT) return AUTO_CLUSTER_COUNT;
+    const k = Number(stored);
+    return Number.isInteger(k) && k >= 1 && k <= MAX_CLUSTER_COUNT ? k : DEFAULT_CLUSTER_COUNT;
+}
 
-    function distance2(a, b) {
-        let s = 0;
-        for (let i = 0; i < dim; i++) {
-            const d = a[i] - b[i];
-            s += d * d;
-        }
-        return s;
-    }
-
-    const MAX_ITERS = 25;
-    for (let iter = 0; iter < MAX_ITERS; iter++) {
-        // assign
-        let changed = false;
-        for (let i = 0; i < n; i++) {
-            let bestC = 0;
-            let bestD = Infinity;
-            for (let c = 0; c < k; c++) {
-                const d = distance2(vectors[i], centroids[c]);
-                if (d < bestD) {
-                    bestD = d;
-                    bestC = c;
-                }
-            }
-            if (assignments[i] !== bestC) {
-                assignments[i] = bestC;
-                changed = true;
-            }
-        }
+function computeClustersOnce() {
+    if (!people.length) return null;
 
-        // recompute centroids
-        const sums = Array.from({ length: k }, () => new Array(dim).fill(0));
-        const counts = new Array(k).fill(0);
-        for (let i = 0; i < n; i++) {
-            const c = assignments[i];
-            const v = vectors[i];
-            counts[c]++;
-            for (let d = 0; d < dim; d++) {
-                sums[c][d] += v[d];
-            }
-        }
+    if (!cachedClusters) {
+        cachedClusters = computeClusters(people, getClusterCountSetting());
+    }
+    return cachedClusters;
+}
 
-        for (let c = 0; c < k; c++) {
-            if (counts[c] === 0) continue; // leave centroid as is
-            for (let d = 0; d < dim; d++) {
-                centroids[c][d] = sums[c][d] / counts[c];
-            }
-        }
+function computeClusterStabilityOnce() {
+    const clusterInfo = computeClustersOnce();
+    if (!clusterInfo) return null;
+    if (!cachedClusterStability) {
+        cachedClusterStability = computeClusterStability(people, clusterInfo.assignments, clusterInfo.k);
+    }
+    return cachedClusterStability;
+}
 
-        if (!changed) break;
+function computeClusterScreeOnce() {
+    if (!cachedClusterScree) {
+        cachedClusterScree = (cachedClusters && cachedClusters.scree) || computeClusterScree(people);
     }
+    return cachedClusterScree;
+}
 
-    return { assignments, centroids };
+// Kaufman & Rousseeuw's reading of an average silhouette
+function silhouetteLabel(s) {
+    if (s === null || s === undefined) return "n/a";
+    if (s > 0.7) return "strong structure";
+    if (s > 0.5) return "reasonable structure";
+    if (s > 0.25) return "weak structure";
+    return "no substantial structure";
 }
 
-// Compute per-cluster favorite & least favorite locations
-function computeClusterLocationExtremes(assignments, k) {
-    if (!people.length) return [];
-    const numLocations = people[0].scores.length;
+// Elbow chart: inertia (line) and average silhouette (bars) for each k
+function renderClusterScree(scree, chosenK) {
+    const width = 480;
+    const height = 220;
+    const pad = { left: 44, right: 44, top: 16, bottom: 32 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const maxInertia = Math.max(...scree.map(e => e.inertia), 1e-9);
+    const step = plotW / scree.length;
+    const cx = (i) => pad.left + step * (i + 0.5);
+    const inertiaY = (v) => pad.top + plotH * (1 - v / maxInertia);
+    const silhouetteY = (v) => pad.top + plotH * (1 - Math.max(v, 0));
+
+    let svg = `
+      <svg viewBox="0 0 ${width} ${height}" style="width:100%; max-width:${width}px; height:auto; display:block;" role="img" aria-label="Elbow chart">
+        <line x1="${pad.left}" y1="${pad.top + plotH}" x2="${width - pad.right}" y2="${pad.top + plotH}" stroke="currentColor" opacity="0.3"/>
+        <text x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end" font-size="10" fill="var(--accent)">${maxInertia.toFixed(0)}</text>
+        <text x="${pad.left - 6}" y="${pad.top + plotH}" text-anchor="end" font-size="10" fill="var(--accent)">0</text>
+        <text x="${width - pad.right + 6}" y="${pad.top + 4}" font-size="10" fill="currentColor" opacity="0.6">1.0</text>
+        <text x="${width - pad.right + 6}" y="${pad.top + plotH}" font-size="10" fill="currentColor" opacity="0.6">0</text>
+    `;
 
-    const result = [];
-    for (let c = 0; c < k; c++) {
-        const memberIdxs = [];
-        for (let i = 0; i < assignments.length; i++) {
-            if (assignments[i] === c) memberIdxs.push(i);
-        }
-        if (!memberIdxs.length) {
-            result.push({
-                cluster: c,
-                members: [],
-                favorite: null,
-                leastFavorite: null
-            });
-            continue;
+    scree.forEach((e, i) => {
+        if (e.silhouette !== null) {
+            const y = silhouetteY(e.silhouette);
+            svg += `<rect x="${(cx(i) - step * 0.3).toFixed(1)}" y="${y.toFixed(1)}" width="${(step * 0.6).toFixed(1)}"
+                height="${(pad.top + plotH - y).toFixed(1)}" fill="currentColor" opacity="${e.k === chosenK ? 0.35 : 0.15}">
+                <title>k = ${e.k}: average silhouette ${e.silhouette.toFixed(2)}</title></rect>`;
         }
+        svg += `<text x="${cx(i).toFixed(1)}" y="${height - pad.bottom + 16}" text-anchor="middle" font-size="11"
+            fill="currentColor" font-weight="${e.k === chosenK ? 700 : 400}">${e.k}</text>`;
+    });
 
-        // average score per location for this cluster
-        const locStats = [];
-        for (let loc = 0; loc < numLocations; loc++) {
-            let sum = 0;
-            let count = 0;
-            for (const idx of memberIdxs) {
-                const v = people[idx].scores[loc];
-                if (v !== null) {
-                    sum += v;
-                    count++;
-                }
-            }
-            if (count > 0) {
-                locStats.push({
-                    idx: loc,
-                    name: getLocationName(loc),
-                    mean: sum / count,
-                    count
-                });
-            }
-        }
+    const points = scree.map((e, i) => `${cx(i).toFixed(1)},${inertiaY(e.inertia).toFixed(1)}`).join(" ");
+    svg += `<polyline points="${points}" fill="none" stroke="var(--accent)" stroke-width="2"/>`;
+    scree.forEach((e, i) => {
+        svg += `<circle cx="${cx(i).toFixed(1)}" cy="${inertiaY(e.inertia).toFixed(1)}" r="${e.k === chosenK ? 5 : 3}" fill="var(--accent)">
+            <title>k = ${e.k}: within-cluster sum of squares ${e.inertia.toFixed(1)}</title></circle>`;
+    });
+    svg += `</svg>`;
+
+    return `
+      <div style="margin-top:1rem;">
+        <strong>Choosing k</strong>
+        <p class="description" style="margin:0.25rem 0;">
+          Line: within-cluster sum of squares (look for the "elbow" where adding clusters stops helping much).
+          Bars: average silhouette (higher = better separated). k = ${chosenK} is highlighted.
+        </p>
+        ${svg}
+      </div>
+    `;
+}
 
-        if (!locStats.length) {
-            result.push({
-                cluster: c,
-                members: memberIdxs.map(i => people[i].name),
-                favorite: null,
-                leastFavorite: null
-            });
-            continue;
-        }
+function getLinkage() {
+    return resolveLinkage(localStorage.getItem("pref-linkage"));
+}
 
-        locStats.sort((a, b) => b.mean - a.mean);
-        const favorite = locStats[0];
-        const leastFavorite = locStats[locStats.length - 1];
+// Dendrogram drawn sideways: leaves (names) down the left, merges to the
+// right at their linkage distance; names take their k-means cluster colour
+function renderDendrogram(dendrogram, assignments) {
+    const { root, order, linkage } = dendrogram;
+    const rowH = 18;
+    const labelW = 110;
+    const width = 560;
+    const pad = 12;
+    const height = order.length * rowH + 2 * pad + 16;
+    const plotW = width - labelW - 2 * pad;
+    const maxHeight = Math.max(root.height, 1e-9);
+    const xOf = (h) => labelW + pad + (h / maxHeight) * plotW;
+    const rowOf = new Map(order.map((idx, row) => [idx, row]));
+
+    let lines = "";
+    // Returns the y position the parent connects to
+    const draw = (node) => {
+        if (node.left === undefined) return pad + rowOf.get(node.index) * rowH + rowH / 2;
+        const yl = draw(node.left);
+        const yr = draw(node.right);
+        const x = xOf(node.height);
+        lines += `
+          <path d="M ${xOf(node.left.height).toFixed(1)} ${yl} H ${x.toFixed(1)} V ${yr} H ${xOf(node.right.height).toFixed(1)}"
+                fill="none" stroke="currentColor" stroke-opacity="0.6">
+            <title>joined at distance ${node.height.toFixed(2)} (${node.size} people)</title>
+          </path>`;
+        return (yl + yr) / 2;
+    };
+    draw(root);
+
+    let labels = "";
+    order.forEach((idx, row) => {
+        const c = assignments[idx];
+        labels += `<text x="${labelW + pad - 6}" y="${pad + row * rowH + rowH / 2 + 4}" text-anchor="end" font-size="12"
+            fill="${c == null ? "currentColor" : clusterColor(c)}">${escapeHtml(people[idx].name)}</text>`;
+    });
 
-        result.push({
-            cluster: c,
-            members: memberIdxs.map(i => people[i].name),
-            favorite,
-            leastFavorite
-        });
+    const axisY = pad + order.length * rowH + 4;
+    let axis = `<line x1="${xOf(0)}" y1="${axisY}" x2="${xOf(maxHeight)}" y2="${axisY}" stroke="currentColor" stroke-opacity="0.3"/>`;
+    for (const t of [0, 0.5, 1]) {
+        axis += `<text x="${xOf(t * maxHeight).toFixed(1)}" y="${axisY + 12}" text-anchor="middle" font-size="10"
+            fill="currentColor" opacity="0.6">${(t * maxHeight).toFixed(2)}</text>`;
     }
 
-    return result;
+    return `
+      <div style="margin-top:1rem;">
+        <strong>Hierarchical clustering</strong>
+        <p class="description" style="margin:0.25rem 0;">
+          Everyone starts on their own; the two closest groups are joined again and again.
+          The further right two branches meet, the less alike they are (distance = 1 − similarity,
+          ${LINKAGE_INFO[linkage].description}). Names are coloured by k-means cluster.
+        </p>
+        <label class="inline-setting">
+          Linkage
+          <select id="cluster-linkage">
+            ${LINKAGE_METHODS.map(m => `<option value="${m}" ${m === linkage ? "selected" : ""}>${LINKAGE_INFO[m].label}</option>`).join("")}
+          </select>
+        </label>
+        <svg viewBox="0 0 ${width} ${height}" style="width:100%; max-width:${width}px; height:auto; display:block;" role="img" aria-label="Dendrogram">
+          ${lines}
+          ${labels}
+          ${axis}
+        </svg>
+      </div>
+    `;
 }
 
-function computeClustersOnce() {
-    if (!people.length) return null;
+// Who is firmly in a cluster and who flips between runs, plus the people ×
+// people co-assignment heatmap (grouped by cluster, steadiest first)
+function renderClusterStability(stability, assignments) {
+    const between = stability.people.filter(p => p.between);
+    const order = stability.people
+        .slice()
+        .sort((a, b) => a.cluster - b.cluster || b.stability - a.stability)
+        .map(p => p.index);
 
-    if (cachedClusterAssignments) {
-        return {
-            assignments: cachedClusterAssignments,
-            k: cachedClusterK
-        };
+    let html = `
+      <div style="margin-top:1rem;">
+        <strong>Stability</strong>
+        <p class="description" style="margin:0.25rem 0;">
+          k-means was re-run on ${stability.runs} random resamples of the locations. A person's stability
+          (0 … 1) is how consistently those runs keep them with their cluster-mates and apart from everyone else;
+          below ${STABLE_ASSIGNMENT} they are marked as between clusters.
+        </p>
+    `;
+
+    if (between.length) {
+        html += `<p style="margin:0.25rem 0;">Between clusters: ${between
+            .map(p => `<span class="pill pill-neutral">${escapeHtml(p.name)} (${p.cluster + 1}${p.alternative !== null ? ` ↔ ${p.alternative + 1}` : ""}, ${p.stability.toFixed(2)})</span>`)
+            .join(" ")}</p>`;
+    } else {
+        html += `<p style="margin:0.25rem 0;">Everyone's cluster holds up across resamples.</p>`;
+    }
+
+    html += `
+        <details>
+          <summary style="cursor:pointer;">Co-assignment heatmap</summary>
+          <p class="description" style="margin:0.25rem 0;">Share of runs in which each pair ended up in the same cluster.</p>
+          <div style="overflow-x:auto;">
+          <table style="border-collapse:collapse; font-size:0.75rem;">
+            <thead><tr><th></th>
+    `;
+    for (const idx of order) {
+        html += `<th style="padding:0.2rem 0.3rem; white-space:nowrap; color:${clusterColor(assignments[idx])};">${escapeHtml(people[idx].name)}</th>`;
+    }
+    html += `</tr></thead><tbody>`;
+    for (const i of order) {
+        html += `<tr><th style="padding:0.2rem 0.4rem; text-align:right; white-space:nowrap; color:${clusterColor(assignments[i])};">
+            ${escapeHtml(people[i].name)}${stability.people[i].between ? " *" : ""}</th>`;
+        for (const j of order) {
+            const rate = stability.coAssignment[i][j];
+            html += `<td style="padding:0.2rem 0.3rem; text-align:center; border:1px solid var(--card-border);
+                background-color:${corrToBgColor(rate, "pearson")};"
+                title="${escapeHtml(people[i].name)} & ${escapeHtml(people[j].name)}: together in ${Math.round(rate * 100)}% of runs">${Math.round(rate * 100)}</td>`;
+        }
+        html += `</tr>`;
     }
+    html += `</tbody></table></div>
+          ${between.length ? `<p class="description" style="margin:0.25rem 0;">* between clusters</p>` : ""}
+        </details>
+      </div>
+    `;
+    return html;
+}
 
-    const vectors = buildNormalizedVectors();
-    const k = 3;
-    const { assignments } = kMeansCluster(vectors, k);
+// Cluster centroids per location, in standard deviations from the members'
+// own average score (what buildNormalizedVectors feeds k-means)
+function renderCentroidProfiles(centroids, sizes) {
+    const names = getLocationNames();
+    const numLocations = centroids.length ? centroids[0].length : 0;
 
-    cachedClusterAssignments = assignments;
-    cachedClusterK = k;
+    let html = `
+      <div style="margin-top:1rem;">
+        <strong>Centroid profiles</strong>
+        <p class="description" style="margin:0.25rem 0;">
+          How much each cluster likes a location relative to its members' own average score (in standard deviations).
+        </p>
+        <div style="overflow-x:auto;">
+        <table style="border-collapse:collapse; font-size:0.8rem;">
+          <thead><tr><th></th>
+    `;
+    for (let loc = 0; loc < numLocations; loc++) {
+        html += `<th style="padding:0.25rem 0.35rem; white-space:nowrap;">${escapeHtml(locationLabel(names, loc))}</th>`;
+    }
+    html += `</tr></thead><tbody>`;
+
+    centroids.forEach((centroid, c) => {
+        if (!sizes[c]) return;
+        html += `<tr><th style="padding:0.25rem 0.5rem; text-align:right; white-space:nowrap;">
+          <span style="color:${clusterColor(c)};">●</span> Cluster ${c + 1}</th>`;
+        centroid.forEach((v, loc) => {
+            html += `<td class="corr-cell" style="padding:0.25rem 0.35rem; text-align:center; cursor:default;
+                background-color:${corrToBgColor(Math.max(-1, Math.min(1, v / 2)), "pearson")};
+                border:1px solid var(--card-border);"
+                title="Cluster ${c + 1} · ${escapeHtml(locationLabel(names, loc))}: ${v >= 0 ? "+" : ""}${v.toFixed(2)} σ">${v >= 0 ? "+" : ""}${v.toFixed(1)}</td>`;
+        });
+        html += `</tr>`;
+    });
 
-    return { assignments, k };
+    html += `</tbody></table></div></div>`;
+    return html;
 }
 
 function getPersonClusterLabel(personIdx) {
@@ -640,8 +902,14 @@ function getPersonClusterLabel(personIdx) {
 
     const c = clusterInfo.assignments[personIdx];
     if (c == null) return null;
+    if (clusterInfo.k < 2) return `${c + 1}`;
 
-    return `${c + 1}`;
+    // Only a confident label when bootstrap runs keep agreeing on it
+    const stability = computeClusterStabilityOnce().people[personIdx];
+    if (stability.between && stability.alternative !== null) {
+        return `between ${c + 1} and ${stability.alternative + 1} (stability ${stability.stability.toFixed(2)})`;
+    }
+    return `${c + 1} (stability ${stability.stability.toFixed(2)})`;
 }
 
 
@@ -662,17 +930,38 @@ function renderClusters() {
     const clusterInfo = computeClustersOnce();
     if (!clusterInfo) return;
 
-    const { assignments, k } = clusterInfo;
+    const { assignments, k, silhouette } = clusterInfo;
+    const stability = k >= 2 ? computeClusterStabilityOnce() : null;
+    const split = computeSplit();
+    const setting = getClusterCountSetting();
+    const sizes = new Array(k).fill(0);
+    for (const c of assignments) sizes[c]++;
+
+    const normalization = getNormalization();
+    const clusterSummaries = computeClusterLocationExtremes(people, getLocationNames(), assignments, k, { normalization });
 
-    const clusterSummaries = computeClusterLocationExtremes(assignments, k);
+    let kOptions = `<option value="${AUTO_CLUSTER_COUNT}" ${setting === AUTO_CLUSTER_COUNT ? "selected" : ""}>Auto (best silhouette)</option>`;
+    for (let n = 1; n <= Math.min(MAX_CLUSTER_COUNT, people.length); n++) {
+        kOptions += `<option value="${n}" ${setting === n ? "selected" : ""}>${n}</option>`;
+    }
 
     let html = `
       <h2 style="margin-top:0; margin-bottom:0.5rem;">Clusters</h2>
       <p class="description" style="margin-top:0;">
         People are grouped into clusters based on their overall rating profiles
-        (using a simple k-means on normalized scores). For each cluster, we show
+        (k-means++ on normalized scores, best of several seeded runs). For each cluster, we show
         the favorite and least favorite locations based on the cluster's average scores.
       </p>
+      <p class="description" style="margin-top:0;">${normalizationNote(normalization)}</p>
+      <label class="inline-setting">
+        Number of clusters
+        <select id="cluster-k">${kOptions}</select>
+      </label>
+      <p style="margin:0.5rem 0 0 0;">
+        k = ${k}${clusterInfo.auto ? " (picked automatically)" : ""} ·
+        average silhouette ${silhouette.overall === null ? "n/a" : silhouette.overall.toFixed(2)}
+        (${silhouetteLabel(silhouette.overall)})
+      </p>
     `;
 
     html += `<div style="margin-top:0.5rem;">`;
@@ -680,16 +969,28 @@ function renderClusters() {
     clusterSummaries.forEach((cl, idx) => {
         const label = `Cluster ${idx + 1}`;
         const members = cl.members || [];
+        const clusterSilhouette = silhouette.perCluster[idx];
 
         html += `
           <div style="margin-top:0.75rem;">
-            <strong>${label}</strong>
+            <strong><span style="color:${clusterColor(idx)};">●</span> ${label}</strong>
             <ul style="margin-top:0.25rem; padding-left:1.2rem;">
+              <li>Size: ${sizes[idx]}${clusterSilhouette === null || k < 2
+                ? ""
+                : ` · silhouette ${clusterSilhouette.toFixed(2)}`
+            }${stability && stability.clusters[idx].stability !== null
+                ? ` · stability ${stability.clusters[idx].stability.toFixed(2)}`
+                : ""
+            }</li>
               <li>Members: ${members.length
                 ? members.join(", ")
                 : "<em>none assigned</em>"
             }</li>
         `;
+        if (split && members.length) {
+            const indices = assignments.map((c, i) => (c === idx ? i : -1)).filter(i => i !== -1);
+            html += `<li>${escapeHtml(split.attribute)}: ${describeSegmentMix(split, indices)}</li>`;
+        }
 
         if (cl.favorite) {
             html += `
@@ -722,59 +1023,174 @@ function renderClusters() {
     });
 
     html += `</div>`;
+    if (stability) html += renderClusterStability(stability, assignments);
+    html += renderCentroidProfiles(clusterInfo.centroids, sizes);
+    html += renderClusterScree(computeClusterScreeOnce(), k);
+    html += renderDendrogram(computeDendrogram(people, { metric: getSimilarityMetric(), linkage: getLinkage() }), assignments);
 
     clustersBox.innerHTML = html;
+
+    const linkageSelect = clustersBox.querySelector("#cluster-linkage");
+    if (linkageSelect) {
+        linkageSelect.addEventListener("change", (e) => {
+            localStorage.setItem("pref-linkage", e.target.value);
+            renderClusters();
+        });
+    }
+
+    const kSelect = clustersBox.querySelector("#cluster-k");
+    if (kSelect) {
+        kSelect.addEventListener("change", (e) => {
+            localStorage.setItem("pref-cluster-k", e.target.value);
+            cachedClusters = null;
+            cachedClusterStability = null;
+            renderClusters();
+        });
+    }
 }
 
 
-// --- OVERALL STATS HELPERS ---
+// --- TASTE MAP ---
+// Most location arrows drawn on the map (the longest ones)
+const MAX_MAP_ARROWS = 8;
 
+function getProjectionMethod() {
+    return resolveProjection(localStorage.getItem("pref-map-method"));
+}
 
-// Compute: for a given person index, which location are they most different
-// from the rest of the group (by |score - others' mean|)?
-function computeMostDifferentLocation(personIdx) {
-    const person = people[personIdx];
-    if (!person) return null;
+function renderTasteMap() {
+    if (!tasteMapBox || !people.length) return;
+
+    const method = getProjectionMethod();
+    const metric = getSimilarityMetric();
+    const map = computeTasteMap(people, getLocationNames(), { method, metric });
+
+    let html = `
+      <h2 style="margin-top:0; margin-bottom:0.5rem;">Taste map</h2>
+      <p class="description" style="margin-top:0;">
+        Everyone placed in two dimensions so that people with similar tastes end up
+        close together. Colours are the k-means clusters (or the "Split by" answers); arrows
+        point towards people who rate that location highly. Click a point for that person's statistics.
+      </p>
+      <label class="inline-setting" style="margin-bottom:0.5rem;">
+        Projection
+        <select id="map-method">
+          ${PROJECTION_METHODS.map(m => `<option value="${m}" ${m === method ? "selected" : ""}>${PROJECTION_INFO[m].label}</option>`).join("")}
+        </select>
+      </label>
+    `;
 
-    const numLocations = person.scores.length;
-    let best = null; // { index, location, diff, selfScore, groupMean, count }
+    if (!map) {
+        html += `<p class="description">Not enough people or locations to draw a map.</p>`;
+        tasteMapBox.innerHTML = html;
+        attachTasteMapHandlers();
+        return;
+    }
 
-    for (let idx = 0; idx < numLocations; idx++) {
-        const v = person.scores[idx];
-        if (v === null) continue;
+    // Colour by the "Split by" answer when one is chosen, by cluster otherwise
+    const split = computeSplit();
+    const clusterInfo = split ? null : computeClustersOnce();
+    const assignments = split ? split.of : clusterInfo ? clusterInfo.assignments : [];
+
+    // Plot area and scale: people fill the frame, arrows reach 80% of it
+    const width = 640;
+    const height = 460;
+    const pad = 40;
+    const extent = Math.max(...map.points.map(p => Math.max(Math.abs(p.x), Math.abs(p.y))), 1e-9);
+    const scaleX = (width / 2 - pad) / extent;
+    const scaleY = (height / 2 - pad) / extent;
+    const px = (x) => width / 2 + x * scaleX;
+    const py = (y) => height / 2 - y * scaleY;
+
+    const arrows = map.loadings
+        .slice()
+        .sort((a, b) => Math.hypot(b.x, b.y) - Math.hypot(a.x, a.y))
+        .slice(0, MAX_MAP_ARROWS);
+    const arrowScale = 0.8 * extent;
+
+    const axis = PROJECTION_INFO[method].axis;
+    const axisLabel = (i) => `${axis}${i + 1} (${Math.round(map.explained[i] * 100)}%)`;
+
+    let svg = `
+      <svg class="taste-map-plot" viewBox="0 0 ${width} ${height}" role="img" aria-label="Taste map">
+        <defs>
+          <marker id="map-arrow-head" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="currentColor" opacity="0.5"/>
+          </marker>
+        </defs>
+        <line x1="${pad / 2}" y1="${height / 2}" x2="${width - pad / 2}" y2="${height / 2}" stroke="currentColor" opacity="0.2" stroke-dasharray="4 4"/>
+        <line x1="${width / 2}" y1="${pad / 2}" x2="${width / 2}" y2="${height - pad / 2}" stroke="currentColor" opacity="0.2" stroke-dasharray="4 4"/>
+        <text x="${width - pad / 2}" y="${height / 2 - 6}" text-anchor="end" font-size="11" fill="currentColor" opacity="0.6">${axisLabel(0)}</text>
+        <text x="${width / 2 + 6}" y="${pad / 2 + 4}" font-size="11" fill="currentColor" opacity="0.6">${axisLabel(1)}</text>
+    `;
 
-        let sum = 0;
-        let count = 0;
+    for (const l of arrows) {
+        const x2 = px(l.x * arrowScale);
+        const y2 = py(l.y * arrowScale);
+        svg += `
+        <line x1="${px(0)}" y1="${py(0)}" x2="${x2.toFixed(1)}" y2="${y2.toFixed(1)}"
+              stroke="currentColor" opacity="0.35" stroke-width="1.5" marker-end="url(#map-arrow-head)"/>
+        <text x="${x2.toFixed(1)}" y="${(y2 - 4).toFixed(1)}" text-anchor="middle" font-size="11" fill="currentColor" opacity="0.6">${escapeHtml(l.name)}</text>
+        `;
+    }
 
-        for (let j = 0; j < people.length; j++) {
-            if (j === personIdx) continue;
-            const w = people[j].scores[idx];
-            if (w !== null) {
-                sum += w;
-                count++;
-            }
-        }
+    for (const p of map.points) {
+        const c = assignments[p.index];
+        const clusterText = c == null ? ""
+            : split ? ` · ${escapeHtml(segmentLabel(split.groups[c].value))}` : ` · cluster ${c + 1}`;
+        svg += `
+        <g class="map-point" data-person-idx="${p.index}">
+          <title>${escapeHtml(p.name)}${clusterText}</title>
+          <circle cx="${px(p.x).toFixed(1)}" cy="${py(p.y).toFixed(1)}" r="6" fill="${c == null ? "var(--muted-soft)" : clusterColor(c)}"/>
+          <text x="${(px(p.x) + 9).toFixed(1)}" y="${(py(p.y) + 4).toFixed(1)}" font-size="12" fill="currentColor">${escapeHtml(p.name)}</text>
+        </g>
+        `;
+    }
+    svg += `</svg>`;
+
+    const clusterCount = clusterInfo ? clusterInfo.k : 0;
+    let legend = split ? segmentLegend(split) : "";
+    for (let c = 0; c < clusterCount; c++) {
+        legend += `
+          <span style="display:inline-flex; align-items:center; gap:0.3rem; margin-right:0.75rem;">
+            <span style="width:0.7rem; height:0.7rem; border-radius:50%; background:${clusterColor(c)};"></span>
+            Cluster ${c + 1}
+          </span>`;
+    }
 
-        if (count === 0) continue;
+    html += `
+      ${svg}
+      <p class="description" style="margin-bottom:0;">${legend}</p>
+      <p class="description" style="margin-top:0.25rem;">
+        ${method === "mds"
+        ? `Distances follow 1 − ${METRIC_INFO[metric].label}; the two dimensions capture ${Math.round((map.explained[0] + map.explained[1]) * 100)}% of the structure.`
+        : `The two components explain ${Math.round((map.explained[0] + map.explained[1]) * 100)}% of the variation in standardized scores.`}
+        Showing the ${arrows.length} location${arrows.length === 1 ? "" : "s"} most tied to the axes.
+      </p>
+    `;
 
-        const groupMean = sum / count;
-        const diff = Math.abs(v - groupMean);
+    tasteMapBox.innerHTML = html;
+    attachTasteMapHandlers();
+}
 
-        if (!best || diff > best.diff) {
-            best = {
-                index: idx,
-                location: getLocationName(idx),
-                diff,
-                selfScore: v,
-                groupMean,
-                count
-            };
-        }
+function attachTasteMapHandlers() {
+    const methodSelect = tasteMapBox.querySelector("#map-method");
+    if (methodSelect) {
+        methodSelect.addEventListener("change", (e) => {
+            localStorage.setItem("pref-map-method", e.target.value);
+            renderTasteMap();
+        });
     }
 
-    return best;
+    tasteMapBox.querySelectorAll(".map-point").forEach(point => {
+        point.addEventListener("click", () => {
+            const person = people[Number(point.getAttribute("data-person-idx"))];
+            if (person) openTab("personal", person.name);
+        });
+    });
 }
 
+
 // Render the Personal stats tab for a given person name.
 // If no name is provided, defaults to the first person.
 function renderPersonalStats(selectedName) {
@@ -785,6 +1201,7 @@ function renderPersonalStats(selectedName) {
     const personIdx = people.findIndex(p => p.name === personName);
     const clusterLabel = getPersonClusterLabel(personIdx);
     const person = people[personIdx];
+    if (person) currentPersonalName = person.name;
 
     if (!person) {
         personalStatsBox.innerHTML = `
@@ -796,31 +1213,22 @@ function renderPersonalStats(selectedName) {
         return;
     }
 
-    // Basic stats
-    const stats = computePersonStats(person);
+    // Basic stats, favourites and "most different" use the answers as given
+    const given = { ...person, scores: givenScores(person) };
+    const stats = computePersonStats(given);
+    const nImputed = countImputed([person]);
     const nRated = stats ? stats.n : 0;
 
     // Favorite / least favorite locations for this person
-    let fav = null;   // { name, score }
-    let least = null; // { name, score }
-    for (let i = 0; i < person.scores.length; i++) {
-        const v = person.scores[i];
-        if (v === null) continue;
-        const locName = getLocationName(i);
-
-        if (!fav || v > fav.score) {
-            fav = { name: locName, score: v };
-        }
-        if (!least || v < least.score) {
-            least = { name: locName, score: v };
-        }
-    }
+    const { favorite: fav, leastFavorite: least } = computeFavoriteLocations(given, getLocationNames());
 
     // Location where they are most different from the rest of the group
-    const mostDiff = computeMostDifferentLocation(personIdx);
+    const mostDiff = computeMostDifferentLocation(withoutImputed(people), personIdx, getLocationNames());
 
     // Best / worst match vs others (moved from Compare tab)
-    const { best, worst } = computeBestAndWorstFor(person);
+    const metric = getSimilarityMetric();
+    const minOverlap = getMinOverlap();
+    const { best, worst } = computeBestAndWorstFor(people, person, metric, { minOverlap });
 
     const meanText = stats ? stats.mean.toFixed(2) : "—";
     const stdText = stats ? stats.std.toFixed(2) : "—";
@@ -851,22 +1259,27 @@ function renderPersonalStats(selectedName) {
       <div style="margin-top:0.6rem;">
         <strong>Summary for ${person.name}</strong>
         <ul style="margin-top:0.4rem; padding-left:1.2rem;">
-          <li>Rated ${nRated} locations.</li>
+          <li>Rated ${nRated} locations${nImputed ? ` (${nImputed} more ${imputedPhrase()})` : ""}.</li>
           <li>Average score: ${meanText} (σ ≈ ${stdText}).</li>
           <li>Score range: ${minText} to ${maxText}.</li>
     `;
     if (clusterLabel) {
         html += `<li>Cluster: ${clusterLabel}</li>`;
     }
+    const answers = segmentAttributes
+        .map(a => `${escapeHtml(a.name)}: ${escapeHtml(segmentLabel((person.attributes || {})[a.name] || ""))}`);
+    if (answers.length) {
+        html += `<li>${answers.join(" · ")}</li>`;
+    }
 
     if (fav) {
         html += `
-          <li>Favorite location: ${fav.name} (score = ${fav.score}).</li>
+          <li>Favorite location: ${fav.name} (score = ${formatScore(person, fav.index)}).</li>
         `;
     }
     if (least) {
         html += `
-          <li>Least favorite location: ${least.name} (score = ${least.score}).</li>
+          <li>Least favorite location: ${least.name} (score = ${formatScore(person, least.index)}).</li>
         `;
     }
 
@@ -882,7 +1295,7 @@ function renderPersonalStats(selectedName) {
             <strong>Where ${person.name} is most different</strong>
             <p style="margin-top:0.4rem; margin-bottom:0.4rem;">
               Location: <em>${mostDiff.location}</em><br/>
-              ${person.name}'s score: ${mostDiff.selfScore}<br/>
+              ${person.name}'s score: ${formatScore(person, mostDiff.index)}<br/>
               Group average (others only): ${mostDiff.groupMean.toFixed(2)} (based on ${mostDiff.count} others)<br/>
               Absolute difference: ${mostDiff.diff.toFixed(2)} points.
             </p>
@@ -895,6 +1308,10 @@ function renderPersonalStats(selectedName) {
       <hr/>
       <div style="margin-top:0.6rem;">
         <strong>Matches for ${person.name}</strong>
+        <p class="description" style="margin:0.2rem 0 0;">
+          Match scores are shrunk toward 0 when few locations are shared
+          (at least ${minOverlap} required). Hover for the raw value.
+        </p>
         <div style="margin-top:0.4rem;">
     `;
 
@@ -902,12 +1319,8 @@ function renderPersonalStats(selectedName) {
         if (!m) {
             return `${label}: <span class="pill pill-neutral">no valid match</span><br/>`;
         }
-        const cls = corrClassFromR(m.r);
-        const pillClass =
-            cls === "positive" ? "pill-positive" :
-                cls === "negative" ? "pill-negative" :
-                    "pill-neutral";
-        return `${label}: <span class="pill ${pillClass}">${m.name} (${m.r.toFixed(3)}, ${m.overlap} locations)</span><br/>`;
+        const pillClass = `pill-${corrClassFromR(m.adjusted)}`;
+        return `${label}: <span class="pill ${pillClass}" title="${rawMatchTitle(m, metric)}">${m.name} (match ${m.adjusted.toFixed(2)}, ${m.overlap} locations)</span><br/>`;
     }
 
     html += matchLine("Best match", best);
@@ -918,6 +1331,8 @@ function renderPersonalStats(selectedName) {
       </div>
     `;
 
+    html += renderPredictions(person, personIdx, metric, minOverlap);
+
     personalStatsBox.innerHTML = html;
 
     // Wire up select change → re-render for chosen person
@@ -931,217 +1346,110 @@ function renderPersonalStats(selectedName) {
 }
 
 
-function computePersonStats(person) {
-    const vals = person.scores.filter(v => v !== null);
-    if (!vals.length) return null;
-
-    const n = vals.length;
-    const mean = vals.reduce((s, v) => s + v, 0) / n;
-    const variance = vals.reduce((s, v) => s + (v - mean) * (v - mean), 0) / n;
-    const std = Math.sqrt(variance);
-    const min = Math.min(...vals);
-    const max = Math.max(...vals);
-
-    return { name: person.name, n, mean, std, min, max };
-}
-
-function computeGlobalPairExtremes() {
-    let bestPair = null;  // { a, b, r, overlap }
-    let worstPair = null;
-
-    for (let i = 0; i < people.length; i++) {
-        for (let j = i + 1; j < people.length; j++) {
-            const pA = people[i];
-            const pB = people[j];
-            const { xs, ys } = buildOverlap(pA, pB);
-            if (xs.length < 2) continue;
-            const r = pearsonCorrelation(xs, ys);
-            if (!Number.isFinite(r)) continue;
+// "You'd probably like…": predicted scores for the locations this person skipped
+function renderPredictions(person, personIdx, metric, minOverlap) {
+    const skipped = person.scores.filter((v, loc) => v === null || isImputed(person, loc)).length;
+    let html = `
+      <hr/>
+      <div style="margin-top:0.6rem;">
+        <strong>You'd probably like…</strong>
+    `;
 
-            if (!bestPair || r > bestPair.r) {
-                bestPair = { a: pA.name, b: pB.name, r, overlap: xs.length };
-            }
-            if (!worstPair || r < worstPair.r) {
-                worstPair = { a: pA.name, b: pB.name, r, overlap: xs.length };
-            }
-        }
+    if (!skipped) {
+        html += `
+        <p style="margin-top:0.4rem;">${escapeHtml(person.name)} rated every location, so there is nothing to predict.</p>
+      </div>
+        `;
+        return html;
     }
-    return { bestPair, worstPair };
-}
-
-function computePolarizationExtremes() {
-    if (!people.length) return { most: null, least: null };
-    const numLocations = people[0].scores.length;
 
-    let most = null;  // highest std
-    let least = null; // lowest std (least polarizing)
-
-    for (let idx = 0; idx < numLocations; idx++) {
-        const vals = [];
-        for (const p of people) {
-            const v = p.scores[idx];
-            if (v !== null) vals.push(v);
-        }
-        if (vals.length < 2) continue;
-
-        const n = vals.length;
-        const mean = vals.reduce((s, v) => s + v, 0) / n;
-        const variance = vals.reduce((s, v) => s + (v - mean) * (v - mean), 0) / n;
-        const std = Math.sqrt(variance);
-
-        const entry = {
-            index: idx,
-            name: getLocationName(idx),
-            std,
-            n
-        };
+    const predictions = predictMissingScores(withoutImputed(people), personIdx, getLocationNames(), { metric, minOverlap });
+    html += `
+        <p class="description" style="margin:0.2rem 0 0;">
+          Guesses for the ${skipped} location${skipped === 1 ? "" : "s"} ${escapeHtml(person.name)} skipped,
+          from the people with the most similar taste (their score relative to their own average, weighted by match score).
+        </p>
+    `;
 
-        if (!most || std > most.std) {
-            most = entry;
-        }
-        if (!least || std < least.std) {
-            least = entry;
-        }
+    if (!predictions.length) {
+        html += `
+        <p style="margin-top:0.4rem;"><em>No similar people rated those locations yet.</em></p>
+      </div>
+        `;
+        return html;
     }
 
-    return { most, least };
-}
-
-// Signed squared sum = Σ (score * |score|) over everyone for each location
-// Signed squared sum = Σ (score * |score|) over everyone for each location
-function computeLocationSignedSquaredSums() {
-    if (!people.length) return null;
-    const numLocations = people[0].scores.length;
-
-    const locStats = [];
-
-    for (let idx = 0; idx < numLocations; idx++) {
-        let signedSquaredSum = 0;
-        let count = 0;
-        let sum = 0;
-        let sumSq = 0;
-
-        for (const p of people) {
-            const v = p.scores[idx];
-            if (v !== null) {
-                signedSquaredSum += v * Math.abs(v);
-                count++;
-                sum += v;
-                sumSq += v * v;
-            }
-        }
-
-        if (count > 0) {
-            let consensus = null; // we'll use σ as a "consensus" proxy: lower = more agreement
-            if (count > 1) {
-                const mean = sum / count;
-                const variance = sumSq / count - mean * mean;
-                consensus = Math.sqrt(Math.max(variance, 0));
-            }
-
-            locStats.push({
-                index: idx,
-                name: getLocationName(idx),
-                signedSquaredSum,
-                count,
-                consensus,   // standard deviation of scores for this location
-            });
-        }
+    html += `<ul style="margin-top:0.4rem; padding-left:1.2rem;">`;
+    for (const p of predictions) {
+        const label = confidenceLabel(p.confidence);
+        const pillClass = p.predicted > 0.5 ? "pill-positive" : p.predicted < -0.5 ? "pill-negative" : "pill-neutral";
+        const drivers = p.neighbors
+            .map(n => `${escapeHtml(n.name)} (${n.score > 0 ? "+" : ""}${n.score}, weight ${n.weight.toFixed(2)})`)
+            .join(", ");
+        html += `
+          <li style="margin-bottom:0.35rem;">
+            <strong>${escapeHtml(p.name)}</strong>:
+            <span class="pill ${pillClass}">predicted ${p.predicted.toFixed(1)}</span>
+            <span style="color:var(--muted);" title="${Math.round(p.confidence * 100)}% confidence">${label} confidence</span>
+            <br/><span style="font-size:0.85rem; color:var(--muted-soft);">Based on ${drivers}</span>
+          </li>
+        `;
     }
+    html += `</ul>`;
 
-    if (!locStats.length) return null;
-
-    // Sort descending by signed squared sum
-    locStats.sort((a, b) => b.signedSquaredSum - a.signedSquaredSum);
-
-    const best = locStats[0];
-    const worst = locStats[locStats.length - 1];
+    const missing = skipped - predictions.length;
+    if (missing > 0) {
+        html += `<p style="font-size:0.85rem; color:var(--muted-soft);">${missing} skipped location${missing === 1 ? " has" : "s have"} no ratings from similar people.</p>`;
+    }
 
-    return { best, worst, ranking: locStats };
+    html += `</div>`;
+    return html;
 }
 
 
+// --- MATRIX SUBJECT ---
+// The matrix compares either people (rows = people) or locations (rows =
+// locations, each pair over the people who rated both). Both share the same
+// rendering; only the items and their ordering differ.
+function getMatrixSubject() {
+    return localStorage.getItem("pref-matrix-subject") === "locations" ? "locations" : "people";
+}
 
-function computeMostPolarizingLocation() {
-    if (!people.length) return null;
-    const numLocations = people[0].scores.length;
-
-    let best = null; // { index, name, std, n }
-
-    for (let idx = 0; idx < numLocations; idx++) {
-        const vals = [];
-        for (const p of people) {
-            const v = p.scores[idx];
-            if (v !== null) vals.push(v);
-        }
-        if (vals.length < 2) continue;
-
-        const n = vals.length;
-        const mean = vals.reduce((s, v) => s + v, 0) / n;
-        const variance = vals.reduce((s, v) => s + (v - mean) * (v - mean), 0) / n;
-        const std = Math.sqrt(variance);
-
-        if (!best || std > best.std) {
-            best = {
-                index: idx,
-                name: getLocationName(idx),
-                std,
-                n
-            };
-        }
-    }
-
-    return best;
+function getMatrixItems() {
+    return getMatrixSubject() === "locations"
+        ? locationsAsPeople(people, getLocationNames())
+        : people;
 }
 
-function computeCorrelationMatrix(order = matrixOrder) {
-    const n = order.length;
-    const matrix = [];
+// Current ordering of the matrix items, natural order when none is set
+function getMatrixOrder(count) {
+    const order = getMatrixSubject() === "locations" ? locationMatrixOrder : matrixOrder;
+    return order.length === count ? order : Array.from({ length: count }, (_, idx) => idx);
+}
 
-    for (let i = 0; i < n; i++) {
-        const idxI = order[i];
-        matrix[i] = [];
-        for (let j = 0; j < n; j++) {
-            const idxJ = order[j];
-
-            if (idxI === idxJ) {
-                // diagonal
-                matrix[i][j] = {
-                    r: 1.0,
-                    overlap: people[idxI].scores.length
-                };
-            } else {
-                const { xs, ys } = buildOverlap(people[idxI], people[idxJ]);
-                if (xs.length < 2) {
-                    matrix[i][j] = { r: null, overlap: xs.length };
-                } else {
-                    const r = pearsonCorrelation(xs, ys);
-                    matrix[i][j] = {
-                        r: Number.isFinite(r) ? r : null,
-                        overlap: xs.length
-                    };
-                }
-            }
-        }
-    }
-    return matrix;
+function setMatrixOrder(order) {
+    if (getMatrixSubject() === "locations") locationMatrixOrder = order;
+    else matrixOrder = order;
 }
 
-function sortMatrixByPerson(personIdx) {
-    const n = people.length;
+function sortMatrixByItem(itemIdx) {
+    const items = getMatrixItems();
+    const n = items.length;
+    const metric = getSimilarityMetric();
     const corrs = [];
 
     for (let j = 0; j < n; j++) {
-        if (j === personIdx) {
+        if (j === itemIdx) {
             corrs.push({ idx: j, r: 1.0 });
             continue;
         }
 
-        const { xs, ys } = buildOverlap(people[personIdx], people[j]);
+        const { xs, ys } = buildOverlap(items[itemIdx], items[j]);
         if (xs.length < 2) {
             corrs.push({ idx: j, r: null });
         } else {
-            const r = pearsonCorrelation(xs, ys);
+            // r on the -1 … 1 similarity scale so distances sort the right way round
+            const r = toSimilarity(computeSimilarity(xs, ys, metric), metric);
             corrs.push({
                 idx: j,
                 r: Number.isFinite(r) ? r : null
@@ -1149,12 +1457,12 @@ function sortMatrixByPerson(personIdx) {
         }
     }
 
-    // Sort: clicked person first, then others by descending correlation,
+    // Sort: clicked item first, then others by descending similarity,
     // with "no data" (null) at the end.
     corrs.sort((a, b) => {
-        if (a.idx === personIdx && b.idx === personIdx) return 0;
-        if (a.idx === personIdx) return -1;
-        if (b.idx === personIdx) return 1;
+        if (a.idx === itemIdx && b.idx === itemIdx) return 0;
+        if (a.idx === itemIdx) return -1;
+        if (b.idx === itemIdx) return 1;
 
         const ra = a.r;
         const rb = b.r;
@@ -1166,28 +1474,29 @@ function sortMatrixByPerson(personIdx) {
         return rb - ra; // descending by r
     });
 
-    matrixOrder = corrs.map(c => c.idx);
+    setMatrixOrder(corrs.map(c => c.idx));
     renderCorrelationMatrix();
 }
 
 function attachMatrixSortHandlers() {
     if (!matrixBox) return;
-    const headers = matrixBox.querySelectorAll("thead th[data-person-idx]");
+    const headers = matrixBox.querySelectorAll("thead th[data-item-idx]");
+    const noun = getMatrixSubject() === "locations" ? "location" : "person";
 
     headers.forEach(th => {
-        const idx = Number(th.getAttribute("data-person-idx"));
+        const idx = Number(th.getAttribute("data-item-idx"));
         if (Number.isNaN(idx)) return;
 
         th.style.cursor = "pointer";
         const existingTitle = th.getAttribute("title") || "";
         const hint = existingTitle ? existingTitle + " – " : "";
-        th.setAttribute("title", hint + "click header to sort by this person");
+        th.setAttribute("title", hint + `click header to sort by this ${noun}`);
 
-        // Click on the header background / name → sort by that person
+        // Click on the header background / name → sort by that item
         th.addEventListener("click", (e) => {
             // If the click came from a reorder button, ignore here
             if (e.target.closest(".reorder-btn")) return;
-            sortMatrixByPerson(idx);
+            sortMatrixByItem(idx);
         });
 
         // Wire the tiny left/right buttons for manual reordering
@@ -1197,43 +1506,87 @@ function attachMatrixSortHandlers() {
         if (leftBtn) {
             leftBtn.addEventListener("click", (e) => {
                 e.stopPropagation(); // don’t also trigger sort
-                movePersonInOrder(idx, -1);
+                moveMatrixItem(idx, -1);
             });
         }
 
         if (rightBtn) {
             rightBtn.addEventListener("click", (e) => {
                 e.stopPropagation();
-                movePersonInOrder(idx, +1);
+                moveMatrixItem(idx, +1);
             });
         }
     });
 }
 
 
-function movePersonInOrder(personIdx, direction) {
+function moveMatrixItem(itemIdx, direction) {
     // direction: -1 = move left, +1 = move right
-    const currPos = matrixOrder.indexOf(personIdx);
+    const order = getMatrixOrder(getMatrixItems().length).slice();
+    const currPos = order.indexOf(itemIdx);
     if (currPos === -1) return;
 
     const newPos = currPos + direction;
-    if (newPos < 0 || newPos >= matrixOrder.length) return;
+    if (newPos < 0 || newPos >= order.length) return;
 
-    const tmp = matrixOrder[currPos];
-    matrixOrder[currPos] = matrixOrder[newPos];
-    matrixOrder[newPos] = tmp;
+    const tmp = order[currPos];
+    order[currPos] = order[newPos];
+    order[newPos] = tmp;
+    setMatrixOrder(order);
 
     // Re-render with updated ordering
     renderCorrelationMatrix();
 }
 
 
-function corrToBgColor(r) {
-    if (r === null || !Number.isFinite(r)) return "transparent";
+// --- SIGNIFICANCE ---
+const SIGNIFICANCE_METHOD_LABELS = {
+    exact: "exact permutation test",
+    "monte-carlo": "random permutations",
+    fisher: "Fisher z"
+};
 
-    const alpha = Math.min(Math.abs(r), 1) * 0.35; // light intensity
+// "95% CI [0.12, 0.88] · p = 0.031 (exact permutation test)"
+function describeSignificance(sig) {
+    const parts = [];
+    if (sig.ci) {
+        parts.push(`${Math.round(sig.ci.level * 100)}% CI [${sig.ci.low.toFixed(2)}, ${sig.ci.high.toFixed(2)}]`);
+    }
+    if (sig.pValue !== null) {
+        parts.push(`${formatPValue(sig.pValue)} (${SIGNIFICANCE_METHOD_LABELS[sig.method]})`);
+    }
+    return parts.length ? parts.join(" · ") : "Too few shared locations for a p-value.";
+}
 
-    if (r > 0) {
+// Warning shown in Compare when the number shouldn't be taken at face value
+function significanceCaution(sig) {
+    let text = "";
+    if (!sig.reliable) {
+        text = `Only ${sig.n} shared locations: this number could easily be chance.`;
+    } else if (!sig.significant) {
+        text = `Not statistically significant (p ≥ ${SIGNIFICANCE_LEVEL}): this could easily be chance.`;
+    }
+    return text ? `<em style="color:var(--muted);">${text}</em><br/>` : "";
+}
+
+// Cells to mute in the matrix: not significant or too few shared locations
+function isUnreliableCell(cell) {
+    if (cell.overlap < MIN_RELIABLE_OVERLAP) return true;
+    return cell.pValue !== null && cell.pValue >= SIGNIFICANCE_LEVEL;
+}
+
+function getMatrixMuteUnreliable() {
+    return localStorage.getItem("pref-matrix-mute") === "1";
+}
+
+// Cell tint for a metric value: green for alike, red for opposite
+function corrToBgColor(r, metric = getSimilarityMetric()) {
+    if (r === null || !Number.isFinite(r)) return "transparent";
+    r = toSimilarity(r, metric);
+
+    const alpha = Math.min(Math.abs(r), 1) * 0.35; // light intensity
+
+    if (r > 0) {
         // light green
         return `rgba(34, 197, 94, ${alpha})`;
     } else {
@@ -1245,19 +1598,61 @@ function corrToBgColor(r) {
 function renderCorrelationMatrix() {
     if (!matrixBox || !people.length) return;
 
-    const order = (matrixOrder.length === people.length)
-        ? matrixOrder
-        : people.map((_, idx) => idx);
-
-    const matrix = computeCorrelationMatrix(order);
+    const subject = getMatrixSubject();
+    const byLocation = subject === "locations";
+    const items = getMatrixItems();
+    const order = getMatrixOrder(items.length);
+
+    const metric = getSimilarityMetric();
+    const info = METRIC_INFO[metric];
+    const matrix = computeCorrelationMatrix(items, order, metric);
+    const muteUnreliable = getMatrixMuteUnreliable();
+    const overlapLabel = (count) => (byLocation
+        ? `${count} ${count === 1 ? "person" : "people"} rated both`
+        : `${count} shared locations`);
+
+    // People's names take their "Split by" colour
+    const split = byLocation ? null : computeSplit();
+    const nameStyle = (itemIdx) => (split ? ` style="color:${clusterColor(split.of[itemIdx])};"` : "");
+    const nameTitle = (itemIdx) => (split
+        ? ` title="${escapeHtml(split.attribute)}: ${escapeHtml(segmentLabel(split.groups[split.of[itemIdx]].value))}"`
+        : "");
+
+    const kind = info.kind === "distance" ? "distance" : "correlation";
+    const title = byLocation ? `Location ${kind} matrix` : `${kind[0].toUpperCase()}${kind.slice(1)} matrix`;
 
     let html = `
-      <h2 style="margin-top:0; margin-bottom:0.5rem;">Correlation matrix</h2>
+      <h2 style="margin-top:0; margin-bottom:0.5rem;">${title}</h2>
       <p class="description" style="margin-top:0;">
-        Pairwise Pearson correlations across all shared locations.
+        ${byLocation
+        ? `Pairwise ${info.label} between locations, each pair over the people who rated both${info.kind === "distance" ? " (0 = identical scores)" : ""}.`
+        : `Pairwise ${info.label} across all shared locations${info.kind === "distance" ? " (0 = identical scores)" : ""}.`}
         <br/>
-        Click a header to sort by that person, or click a cell to jump to the comparison view.
+        Click a header to sort by that ${byLocation ? "location" : "person"}, "Cluster order" to group similar
+        ${byLocation ? "locations" : "people"} together, or click a cell to
+        ${byLocation ? "compare the two locations" : "jump to the comparison view"}.
+        Hover a cell for its p-value and confidence interval.
       </p>
+      <label class="inline-setting" style="margin-bottom:0.5rem;">
+        Rows and columns
+        <select id="matrix-subject">
+          <option value="people" ${byLocation ? "" : "selected"}>People</option>
+          <option value="locations" ${byLocation ? "selected" : ""}>Locations</option>
+        </select>
+      </label>
+      <button type="button" id="matrix-cluster-order" style="margin-bottom:0.5rem;"
+              title="Order rows and columns by hierarchical clustering (${LINKAGE_INFO[getLinkage()].label.toLowerCase()})">
+        Cluster order
+      </button>
+      ${split ? `
+      <button type="button" id="matrix-segment-order" style="margin-bottom:0.5rem;"
+              title="Put people with the same ${escapeHtml(split.attribute)} answer next to each other">
+        Group by ${escapeHtml(split.attribute)}
+      </button>` : ""}
+      <label class="inline-setting" style="margin-bottom:0.5rem;">
+        <input type="checkbox" id="matrix-mute-toggle" ${muteUnreliable ? "checked" : ""}/>
+        Grey out cells that aren't significant (p ≥ ${SIGNIFICANCE_LEVEL}) or rest on fewer than ${MIN_RELIABLE_OVERLAP} ${byLocation ? "people" : "locations"}
+      </label>
 
       <div style="overflow-x:auto;">
       <table style="
@@ -1272,11 +1667,11 @@ function renderCorrelationMatrix() {
 
     // Column headers (clickable for sorting + left/right reordering)
     for (let c = 0; c < order.length; c++) {
-        const pIndex = order[c];
-        const p = people[pIndex];
+        const itemIdx = order[c];
+        const item = items[itemIdx];
         html += `
         <th
-            data-person-idx="${pIndex}"
+            data-item-idx="${itemIdx}"
             style="
                 padding:0.25rem 0.35rem;
                 border-bottom:1px solid var(--card-border);
@@ -1288,7 +1683,7 @@ function renderCorrelationMatrix() {
                 <button
                     type="button"
                     class="reorder-btn reorder-left"
-                    data-person-idx="${pIndex}"
+                    data-item-idx="${itemIdx}"
                     style="
                         border:none;
                         background:transparent;
@@ -1301,11 +1696,11 @@ function renderCorrelationMatrix() {
                 >
                     ◀
                 </button>
-                <span>${p.name}</span>
+                <span${nameStyle(itemIdx)}${nameTitle(itemIdx)}>${escapeHtml(item.name)}</span>
                 <button
                     type="button"
                     class="reorder-btn reorder-right"
-                    data-person-idx="${pIndex}"
+                    data-item-idx="${itemIdx}"
                     style="
                         border:none;
                         background:transparent;
@@ -1328,12 +1723,12 @@ function renderCorrelationMatrix() {
     // Rows
     for (let i = 0; i < order.length; i++) {
         const rowIdx = order[i];
-        const rowPerson = people[rowIdx];
+        const rowItem = items[rowIdx];
 
         html += `
           <tr>
             <th style="padding:0.35rem; border-right:1px solid var(--card-border); text-align:right;">
-              ${rowPerson.name}
+              <span${nameStyle(rowIdx)}${nameTitle(rowIdx)}>${escapeHtml(rowItem.name)}</span>
             </th>
         `;
 
@@ -1342,18 +1737,26 @@ function renderCorrelationMatrix() {
 
             let content = "—";
             let bg = "transparent";
+            let title = i === j && byLocation
+                ? `rated by ${rowItem.scores.filter(v => v !== null).length} people`
+                : overlapLabel(cell.overlap);
 
             if (cell.r !== null) {
                 content = cell.r.toFixed(2);
-                bg = corrToBgColor(cell.r);
+                bg = corrToBgColor(cell.r, metric);
+            }
+            if (i !== j && cell.r !== null) {
+                title += " · " + describeSignificance({ ci: cell.ci, pValue: cell.pValue, method: cell.method });
             }
+            const muted = muteUnreliable && i !== j && isUnreliableCell(cell);
+            if (muted) bg = "transparent";
 
             html += `
                 <td
-                    class="corr-cell"
+                    class="corr-cell${muted ? " corr-cell-muted" : ""}"
                     data-row-pos="${i}"
                     data-col-pos="${j}"
-                    title="${cell.overlap} shared locations"
+                    title="${title}"
                     style="
                         padding: 0.35rem;
                         text-align: center;
@@ -1373,10 +1776,48 @@ function renderCorrelationMatrix() {
         </tbody>
       </table>
       </div>
+      ${split ? `<p class="description" style="margin-bottom:0;">${segmentLegend(split)}</p>` : ""}
+      ${byLocation ? `<div id="location-compare" style="margin-top:1rem;"></div>` : ""}
     `;
 
     matrixBox.innerHTML = html;
 
+    const clusterOrderBtn = matrixBox.querySelector("#matrix-cluster-order");
+    if (clusterOrderBtn) {
+        clusterOrderBtn.addEventListener("click", () => {
+            // Dendrogram leaf order: similar items end up next to each other
+            const { order: seriated } = computeDendrogram(items, { metric, linkage: getLinkage() });
+            setMatrixOrder(seriated);
+            renderCorrelationMatrix();
+        });
+    }
+
+    const segmentOrderBtn = matrixBox.querySelector("#matrix-segment-order");
+    if (segmentOrderBtn && split) {
+        segmentOrderBtn.addEventListener("click", () => {
+            // Segment by segment, keeping the current order within each
+            const current = getMatrixOrder(items.length);
+            setMatrixOrder(current.slice().sort((a, b) => split.of[a] - split.of[b]));
+            renderCorrelationMatrix();
+        });
+    }
+
+    const subjectSelect = matrixBox.querySelector("#matrix-subject");
+    if (subjectSelect) {
+        subjectSelect.addEventListener("change", (e) => {
+            localStorage.setItem("pref-matrix-subject", e.target.value);
+            renderCorrelationMatrix();
+        });
+    }
+
+    const muteToggle = matrixBox.querySelector("#matrix-mute-toggle");
+    if (muteToggle) {
+        muteToggle.addEventListener("change", (e) => {
+            localStorage.setItem("pref-matrix-mute", e.target.checked ? "1" : "0");
+            renderCorrelationMatrix();
+        });
+    }
+
     // Make headers sortable & re-orderable
     attachMatrixSortHandlers();
     // NEW: make cells interactive (hover highlight + Matrix → Compare jump)
@@ -1415,7 +1856,7 @@ function highlightMatrixHover(rowPos, colPos) {
     // Highlight corresponding column header
     const headerRow = matrixBox.querySelector("thead tr");
     if (headerRow) {
-        const headerCells = headerRow.querySelectorAll("th[data-person-idx]");
+        const headerCells = headerRow.querySelectorAll("th[data-item-idx]");
         if (headerCells[colPos]) {
             headerCells[colPos].classList.add("matrix-col-hover");
         }
@@ -1443,10 +1884,13 @@ function attachMatrixHoverHandlers() {
 }
 
 // --- Matrix → Compare jump (click a cell to go to Compare tab) ---
+// In the location matrix a cell opens the two-location comparison below it.
 
 function attachMatrixCellHandlers() {
     if (!matrixBox) return;
     const cells = matrixBox.querySelectorAll("td.corr-cell");
+    const byLocation = getMatrixSubject() === "locations";
+    const order = getMatrixOrder(getMatrixItems().length);
 
     cells.forEach(cell => {
         cell.addEventListener("click", () => {
@@ -1456,14 +1900,18 @@ function attachMatrixCellHandlers() {
                 Number.isNaN(rowPos) ||
                 Number.isNaN(colPos) ||
                 rowPos === colPos ||
-                !matrixOrder.length
+                !order.length
             ) {
                 return;
             }
 
-            // Map matrix positions → actual people indices
-            const idxA = matrixOrder[colPos];
-            const idxB = matrixOrder[rowPos];
+            // Map matrix positions → actual people / location indices
+            const idxA = order[colPos];
+            const idxB = order[rowPos];
+            if (byLocation) {
+                renderLocationComparison(idxA, idxB);
+                return;
+            }
             const personA = people[idxA];
             const personB = people[idxB];
             if (!personA || !personB) return;
@@ -1479,30 +1927,81 @@ function attachMatrixCellHandlers() {
     });
 }
 
-function renderOverallStats() {
-    if (!overallStats || !people.length) return;
+// Two locations side by side: how they relate and who rated them how
+function renderLocationComparison(locA, locB) {
+    const box = matrixBox && matrixBox.querySelector("#location-compare");
+    if (!box) return;
+
+    const metric = getSimilarityMetric();
+    const info = METRIC_INFO[metric];
+    const cmp = compareLocations(people, getLocationNames(), locA, locB, metric);
+    const { a, b, rows, together } = cmp;
+
+    let html = `<div class="result" style="margin-top:0;">
+      <h3 style="margin-top:0;">${escapeHtml(a.name)} vs ${escapeHtml(b.name)}</h3>`;
+
+    if (cmp.value === null) {
+        html += `<p class="description" style="margin:0;">
+          ${rows.length < 2 ? `Only ${rows.length} ${rows.length === 1 ? "person" : "people"} rated both` : "No variation to compare"} –
+          not enough to relate these two locations.
+        </p></div>`;
+        box.innerHTML = html;
+        box.scrollIntoView({ behavior: "smooth", block: "nearest" });
+        return;
+    }
 
-    // Global flattened scores
-    const allVals = [];
-    for (const p of people) {
-        for (const v of p.scores) {
-            if (v !== null) allVals.push(v);
-        }
+    const sig = cmp.significance;
+    html += `
+      <p style="margin:0 0 0.5rem 0;">
+        <span class="corr-number corr-${corrClassFromR(cmp.value, metric)}">${info.symbol} = ${cmp.value.toFixed(2)}</span><br/>
+        ${similarityStrength(cmp.value, metric)} ${info.kind === "distance" ? "distance" : cmp.value >= 0 ? "positive" : "negative"} relationship
+        over ${cmp.rated} people who rated both${rows.length > cmp.rated ? ` (${rows.length - cmp.rated} more with a score ${imputedPhrase()}, marked *)` : ""}.
+      </p>
+      <p class="description" style="margin:0 0 0.5rem 0;">${sig ? describeSignificance(sig) : "Too few people rated both for a p-value."}</p>
+      ${sig ? significanceCaution(sig) : ""}
+      <p style="margin:0 0 0.5rem 0;">
+        ${cmp.rated ? `Average: ${escapeHtml(a.name)} ${a.mean.toFixed(2)}, ${escapeHtml(b.name)} ${b.mean.toFixed(2)}.` : ""}
+        ${together.bothLiked} liked both, ${together.bothDisliked} disliked both,
+        ${together.split} liked one and disliked the other.
+      </p>
+      <table style="border-collapse:collapse; font-size:0.85rem;">
+        <thead>
+          <tr>
+            <th style="text-align:left; padding:0.25rem 0.5rem;">Person</th>
+            <th style="text-align:right; padding:0.25rem 0.5rem;">${escapeHtml(a.name)}</th>
+            <th style="text-align:right; padding:0.25rem 0.5rem;">${escapeHtml(b.name)}</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+    for (const row of rows.slice().sort((x, y) => (y.a + y.b) - (x.a + x.b))) {
+        html += `
+          <tr>
+            <td style="padding:0.25rem 0.5rem;">${escapeHtml(row.name)}</td>
+            <td style="text-align:right; padding:0.25rem 0.5rem;">${formatScore(people[row.index], a.index)}</td>
+            <td style="text-align:right; padding:0.25rem 0.5rem;">${formatScore(people[row.index], b.index)}</td>
+          </tr>
+        `;
     }
+    html += `</tbody></table>${imputedFootnote()}</div>`;
 
-    const numPeople = people.length;
-    const totalRatings = allVals.length;
+    box.innerHTML = html;
+    box.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
 
-    let globalMean = 0, globalStd = 0, minScore = null, maxScore = null;
-    if (totalRatings > 0) {
-        globalMean = allVals.reduce((s, v) => s + v, 0) / totalRatings;
-        const variance = allVals.reduce((s, v) => s + (v - globalMean) * (v - globalMean), 0) / totalRatings;
-        globalStd = Math.sqrt(variance);
-        minScore = Math.min(...allVals);
-        maxScore = Math.max(...allVals);
-    }
+function renderOverallStats() {
+    if (!overallStats || !people.length) return;
 
-    const personStats = people
+    const {
+        numPeople,
+        totalRatings,
+        mean: globalMean,
+        std: globalStd,
+        min: minScore,
+        max: maxScore
+    } = computeGlobalSummary(withoutImputed(people));
+
+    const personStats = withoutImputed(people)
         .map(computePersonStats)
         .filter(Boolean)
         .sort((a, b) => b.mean - a.mean);
@@ -1510,9 +2009,11 @@ function renderOverallStats() {
     const topN = personStats.slice(0, 3);
     const bottomN = personStats.slice(-3);
 
-    const { bestPair, worstPair } = computeGlobalPairExtremes();
-    const { most: mostPolar, least: leastPolar } = computePolarizationExtremes();
-    const locScores = computeLocationSignedSquaredSums();
+    const metric = getSimilarityMetric();
+    const { bestPair, worstPair } = computeGlobalPairExtremes(people, metric, { minOverlap: getMinOverlap() });
+    const normalization = getNormalization();
+    const { most: mostPolar, least: leastPolar } = computePolarizationExtremes(people, getLocationNames(), { normalization });
+    const locScores = computeLocationSignedSquaredSums(people, getLocationNames(), { normalization });
 
 
     let html = `
@@ -1520,6 +2021,10 @@ function renderOverallStats() {
       <p class="description" style="margin-top:0;">
         Group-level view of how everyone scores the locations.
       </p>
+      <p class="description" style="margin-top:0;">
+        ${normalizationNote(normalization)}
+        ${normalization === "raw" ? "" : "Applies to polarization and the location ranking; the summary and averages use raw scores."}
+      </p>
       <div>
         <strong>Global summary</strong>
         <ul style="margin-top:0.4rem; padding-left:1.2rem;">
@@ -1581,9 +2086,9 @@ function renderOverallStats() {
             html += `
               <li>
                 Most aligned pair:
-                <span class="pill pill-positive">
+                <span class="pill pill-positive" title="${rawMatchTitle(bestPair, metric)}">
                   ${bestPair.a} &amp; ${bestPair.b}
-                  (${bestPair.r.toFixed(3)}, ${bestPair.overlap} locations)
+                  (match ${bestPair.adjusted.toFixed(2)}, ${bestPair.overlap} locations)
                 </span>
               </li>
             `;
@@ -1592,9 +2097,9 @@ function renderOverallStats() {
             html += `
               <li>
                 Most opposite pair:
-                <span class="pill pill-negative">
+                <span class="pill pill-negative" title="${rawMatchTitle(worstPair, metric)}">
                   ${worstPair.a} &amp; ${worstPair.b}
-                  (${worstPair.r.toFixed(3)}, ${worstPair.overlap} locations)
+                  (match ${worstPair.adjusted.toFixed(2)}, ${worstPair.overlap} locations)
                 </span>
               </li>
             `;
@@ -1688,7 +2193,7 @@ function renderOverallStats() {
                     ${i + 1}
                     </td>
                     <td style="padding:0.35rem; border-bottom:1px solid var(--card-border);">
-                    ${loc.name}
+                    ${escapeHtml(loc.name)}
                     </td>
                     <td style="padding:0.35rem; text-align:right; border-bottom:1px solid var(--card-border);">
                     ${loc.signedSquaredSum.toFixed(2)}
@@ -1708,270 +2213,1679 @@ function renderOverallStats() {
     }
 
 
-
     overallStats.innerHTML = html;
 }
 
-// --- LOAD SHEET VIA /sheet PROXY ---
-function loadSheet() {
-    loadStatus.textContent = "Loading sheet…";
-    loadStatus.className = "status";
 
-    fetch(CSV_URL)
+// --- SURVEY SWITCHER ---
+function getSheetUrl() {
+    return currentSurveyId
+        ? `${CSV_URL}?survey=${encodeURIComponent(currentSurveyId)}`
+        : CSV_URL;
+}
+
+// Fetch the survey list and fill the switcher. The initial survey comes from
+// ?survey= in the page URL, else the worker's default. If the list can't be
+// loaded the switcher stays hidden and /sheet serves its default survey.
+function loadSurveys() {
+    return fetch(SURVEYS_URL)
         .then(resp => {
             if (!resp.ok) {
-                throw new Error("Failed to fetch CSV: " + resp.status);
+                throw new Error("Failed to fetch survey list: " + resp.status);
             }
-            return resp.text();
+            return resp.json();
         })
-        .then(text => {
-            const rows = parseCSV(text);
-
-            headerRow = rows[0] || [];          // <-- save header row
-            const dataRows = rows.slice(1);     // skip header
-
-            people = [];
-            for (const row of dataRows) {
-                if (row.length <= NAME_COL_INDEX) continue;
-
-                const rawName = (row[NAME_COL_INDEX] || "").trim();
-                if (!rawName) continue;
-
-                const scores = [];
-                for (let c = SCORE_START_COL_INDEX; c <= SCORE_END_COL_INDEX; c++) {
-                    let val = row[c];
-
-                    if (val === undefined || val === null || String(val).trim() === "") {
-                        scores.push(null);
-                    } else {
-                        // Clean "+3" → "3"
-                        const cleaned = String(val).trim().replace(/^\+/, "");
-                        const num = Number(cleaned);
-                        scores.push(Number.isFinite(num) ? num : null);
-                    }
-                }
-
-                people.push({ name: rawName, scores });
+        .then(data => {
+            const surveys = (data && data.surveys) || [];
+            if (!surveys.length) return;
+
+            surveySelect.innerHTML = "";
+            for (const s of surveys) {
+                const opt = document.createElement("option");
+                opt.value = s.id;
+                opt.textContent = s.title || s.id;
+                surveySelect.appendChild(opt);
             }
 
-            if (people.length === 0) {
-                throw new Error("No people found in the expected name column.");
+            const requested = new URLSearchParams(window.location.search).get("survey");
+            const ids = surveys.map(s => s.id);
+            if (requested && ids.includes(requested)) {
+                currentSurveyId = requested;
+            } else if (ids.includes(data.default)) {
+                currentSurveyId = data.default;
+            } else {
+                currentSurveyId = ids[0];
             }
+            surveySelect.value = currentSurveyId;
 
-            // NEW: reset matrix ordering to the natural order
-            matrixOrder = people.map((_, idx) => idx);
-            matrixRendered = false;
-
-            populateSelects();
-            loadStatus.textContent = `Loaded ${people.length} people from sheet.`;
-            loadStatus.className = "status success";
-            correlationUI.style.display = "block";
-
-            // Render overall stats now that we have data
-            renderOverallStats();
-
-            // Default to "Compare" tab
-            showTab("compare");
-
-            debugInfo.textContent = `Debug: Loaded ${people.length} people; score dimension = ${people[0].scores.length}.`;
+            surveyPicker.style.display = surveys.length > 1 ? "flex" : "none";
         })
         .catch(err => {
-            console.error(err);
-            loadStatus.textContent =
-                "Error loading sheet. (If this is a CORS error, you’ll need a proxy/worker.)\n" +
-                err.message;
-            loadStatus.className = "status error";
+            console.warn(err);
+            surveyPicker.style.display = "none";
         });
 }
 
-function getLocationName(scoreIndex) {
-    // scoreIndex is 0-based index into person.scores (0 → column F, 1 → column G, ...)
-    const colIndex = SCORE_START_COL_INDEX + scoreIndex;
-    const header = headerRow[colIndex] || "";
+// Drop everything derived from the previous dataset
+function resetDatasetState() {
+    people = [];
+    columnMapping = null;
+    dataSource = null;
+    lastDatasetRows = null;
+    loadedPeople = [];
+    matrixOrder = [];
+    locationMatrixOrder = [];
+    matrixRendered = false;
+    cachedClusters = null;
+    cachedClusterScree = null;
+    cachedClusterStability = null;
+    segmentAttributes = [];
+    segmentPair = null;
+
+    resultBox.style.display = "none";
+    computeStatus.textContent = "";
+    correlationUI.style.display = "none";
+    personASelect.innerHTML = "";
+    personBSelect.innerHTML = "";
+    if (dataIssuesBox) dataIssuesBox.innerHTML = "";
+    if (respondentQualityBox) respondentQualityBox.innerHTML = "";
+    updateSourceBadge();
+}
+
+function getSurveyTitle() {
+    const opt = surveySelect && surveySelect.selectedOptions && surveySelect.selectedOptions[0];
+    return opt && currentSurveyId ? opt.textContent : "";
+}
 
-    // Try to match "Score the following locations: [Location]"
-    const m = header.match(/Score the following locations:\s*\[(.+?)\]\s*$/i);
-    if (m) {
-        return m[1].trim(); // e.g., "Vancouver"
+function switchSurvey(surveyId) {
+    if (!surveyId) return;
+    if (surveyId === currentSurveyId && dataSource && dataSource.kind === "sheet") return;
+    if (surveyId !== currentSurveyId) {
+        snapshotList = [];
+        renderSnapshotPicker();
     }
+    currentSurveyId = surveyId;
+
+    // Keep the choice in the address bar so the link can be shared
+    const url = new URL(window.location.href);
+    url.searchParams.set("survey", surveyId);
+    window.history.replaceState(null, "", url);
 
-    // Fallback: just use the header text or a generic label
-    const trimmed = header.trim();
-    return trimmed || `Location ${scoreIndex + 1}`;
+    resetDatasetState();
+    loadSheet();
 }
 
-function populateSelects() {
-    personASelect.innerHTML = "";
-    personBSelect.innerHTML = "";
+surveySelect.addEventListener("change", (e) => switchSurvey(e.target.value));
 
-    for (const p of people) {
-        const optA = document.createElement("option");
-        optA.value = p.name;
-        optA.textContent = p.name;
-        personASelect.appendChild(optA);
+// --- DATA ISSUES PANEL ---
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
 
-        const optB = document.createElement("option");
-        optB.value = p.name;
-        optB.textContent = p.name;
-        personBSelect.appendChild(optB);
+const ISSUE_LABELS = {
+    coerced: "Not a number",
+    "out-of-range": "Out of range",
+    skipped: "Skipped row",
+    ragged: "Ragged row"
+};
+
+// Fill the collapsible "Data issues" panel under the status line
+function renderDataIssues(issues, mapping) {
+    if (!dataIssuesBox) return;
+
+    const mappingText =
+        `Name = column ${columnIndexToLetter(mapping.nameCol)} (${mapping.nameSource}); ` +
+        `scores = columns ${describeColumns(mapping.scoreCols)} (${mapping.scoreSource})` +
+        (mapping.timestampCol !== null ? `; timestamp = column ${columnIndexToLetter(mapping.timestampCol)}` : "") +
+        (mapping.attributeCols.length ? `; attributes = columns ${describeColumns(mapping.attributeCols)}` : "") +
+        ".";
+
+    if (!issues.length) {
+        dataIssuesBox.innerHTML = `
+          <summary>Data issues (none)</summary>
+          <div style="margin-top:0.35rem;">Every cell was read as-is. ${mappingText}</div>
+        `;
+        return;
     }
 
-    if (people.length >= 2) {
-        personASelect.selectedIndex = 0;
-        personBSelect.selectedIndex = 1;
+    const counts = {};
+    for (const issue of issues) {
+        counts[issue.kind] = (counts[issue.kind] || 0) + 1;
+    }
+    const countText = Object.entries(counts)
+        .map(([kind, n]) => `${n} × ${ISSUE_LABELS[kind] || kind}`)
+        .join(", ");
+
+    let html = `
+      <summary>Data issues (${issues.length})</summary>
+      <div style="margin-top:0.35rem;">${countText}. ${mappingText}</div>
+      <div style="overflow-x:auto;">
+      <table style="margin-top:0.4rem; border-collapse:collapse; width:100%;">
+        <thead>
+          <tr>
+            <th style="text-align:left; padding:0.2rem 0.35rem; border-bottom:1px solid var(--card-border);">Row</th>
+            <th style="text-align:left; padding:0.2rem 0.35rem; border-bottom:1px solid var(--card-border);">Column</th>
+            <th style="text-align:left; padding:0.2rem 0.35rem; border-bottom:1px solid var(--card-border);">Raw value</th>
+            <th style="text-align:left; padding:0.2rem 0.35rem; border-bottom:1px solid var(--card-border);">Issue</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    for (const issue of issues) {
+        const column = issue.column === null
+            ? "—"
+            : columnIndexToLetter(issue.column) + (issue.location ? ` (${escapeHtml(issue.location)})` : "");
+        const who = issue.name ? ` (<em>${escapeHtml(issue.name)}</em>)` : "";
+        html += `
+          <tr>
+            <td style="padding:0.2rem 0.35rem; border-bottom:1px solid var(--card-border);">${issue.row}</td>
+            <td style="padding:0.2rem 0.35rem; border-bottom:1px solid var(--card-border);">${column}</td>
+            <td style="padding:0.2rem 0.35rem; border-bottom:1px solid var(--card-border);"><code>${escapeHtml(issue.raw) || "&nbsp;"}</code></td>
+            <td style="padding:0.2rem 0.35rem; border-bottom:1px solid var(--card-border);">
+              ${ISSUE_LABELS[issue.kind] || issue.kind}${who}: ${escapeHtml(issue.message)}
+            </td>
+          </tr>
+        `;
     }
+
+    html += `
+        </tbody>
+      </table>
+      </div>
+    `;
+
+    dataIssuesBox.innerHTML = html;
 }
 
-// --- CORE STATS ---
-function pearsonCorrelation(xs, ys) {
-    const n = xs.length;
-    if (n < 2) return NaN;
+// --- RESPONDENT QUALITY ---
+function getExcludeSuspicious() {
+    return localStorage.getItem("pref-exclude-suspicious") === "1";
+}
 
-    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0, sumY2 = 0;
-    for (let i = 0; i < n; i++) {
-        const x = xs[i];
-        const y = ys[i];
-        sumX += x;
-        sumY += y;
-        sumXY += x * y;
-        sumX2 += x * x;
-        sumY2 += y * y;
-    }
-    const num = n * sumXY - sumX * sumY;
-    const den = Math.sqrt(
-        (n * sumX2 - sumX * sumX) *
-        (n * sumY2 - sumY * sumY)
-    );
-    if (den === 0) return NaN;
-    return num / den;
-}
-
-// helper to build overlapping data between two people
-function buildOverlap(personA, personB) {
-    const xs = [];
-    const ys = [];
-    const overlaps = []; // { index, a, b }
+function renderRespondentQuality(quality, excluded) {
+    if (!respondentQualityBox) return;
 
-    for (let i = 0; i < personA.scores.length; i++) {
-        const a = personA.scores[i];
-        const b = personB.scores[i];
-        if (a !== null && b !== null) {
-            xs.push(a);
-            ys.push(b);
-            overlaps.push({ index: i, a, b });
-        }
+    const suspicious = quality.filter(q => q.suspicious);
+    if (!suspicious.length) {
+        respondentQualityBox.innerHTML = `
+          <summary>Respondent quality (no suspicious entries)</summary>
+          <div style="margin-top:0.35rem;">Nobody straight-lined, answered at random, reversed the scale or left most locations empty.</div>
+        `;
+        return;
     }
 
-    return { xs, ys, overlaps };
+    const cell = "padding:0.2rem 0.35rem; border-bottom:1px solid var(--card-border);";
+    const fmt = (v) => (v === null ? "—" : v.toFixed(2));
+    let html = `
+      <summary>Respondent quality (${suspicious.length} suspicious)</summary>
+      <div style="margin-top:0.35rem;">
+        ${excluded
+        ? `These respondents are <strong>excluded</strong> from every tab.`
+        : `These respondents are still included – tick "Exclude suspicious respondents" above to leave them out of every tab.`}
+      </div>
+      <div style="overflow-x:auto;">
+      <table style="margin-top:0.4rem; border-collapse:collapse; width:100%;">
+        <thead>
+          <tr>
+            <th style="text-align:left; ${cell}">Name</th>
+            <th style="text-align:right; ${cell}" title="Share of locations rated">Completion</th>
+            <th style="text-align:right; ${cell}" title="Standard deviation of their scores">σ</th>
+            <th style="text-align:right; ${cell}" title="Correlation with everyone else's average per location">Consensus r</th>
+            <th style="text-align:right; ${cell}" title="Average similarity with each other person">Avg. similarity</th>
+            <th style="text-align:left; ${cell}">Why</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+    for (const q of suspicious) {
+        html += `
+          <tr>
+            <td style="${cell}">${escapeHtml(q.name)}</td>
+            <td style="text-align:right; ${cell}">${Math.round(q.completion * 100)}%</td>
+            <td style="text-align:right; ${cell}">${q.std.toFixed(2)}</td>
+            <td style="text-align:right; ${cell}">${fmt(q.consensus)}</td>
+            <td style="text-align:right; ${cell}">${fmt(q.averageSimilarity)}</td>
+            <td style="${cell}">${q.reasons.map(escapeHtml).join("; ")}</td>
+          </tr>
+        `;
+    }
+    html += `</tbody></table></div>`;
+    respondentQualityBox.innerHTML = html;
 }
 
-function qualitativeFromR(r) {
-    const absR = Math.abs(r);
-    if (absR < 0.2) return "very weak similarity";
-    if (absR < 0.4) return "weak similarity";
-    if (absR < 0.6) return "moderate similarity";
-    if (absR < 0.8) return "strong similarity";
-    return "very strong similarity";
+// --- MISSING DATA ---
+// One strategy for every tab (see lib/missing.mjs). Imputed cells keep their
+// filled-in value in `people` and are flagged in person.imputed.
+function getMissingStrategy() {
+    return resolveMissingStrategy(localStorage.getItem("pref-missing"));
 }
 
-function corrClassFromR(r) {
-    if (r > 0.25) return "positive";
-    if (r < -0.25) return "negative";
-    return "neutral";
+function countImputed(list) {
+    return list.reduce((sum, p) => sum + (p.imputed ? p.imputed.filter(Boolean).length : 0), 0);
 }
 
-// compute best and worst matches vs a given person
-function computeBestAndWorstFor(basePerson) {
-    let best = null;  // { name, r, overlap }
-    let worst = null; // { name, r, overlap }
+function imputedPhrase() {
+    return `filled in by ${MISSING_INFO[getMissingStrategy()].label.toLowerCase()}`;
+}
 
-    for (const other of people) {
-        if (other.name === basePerson.name) continue;
+// The answers as given, imputed cells back to null
+function givenScores(person) {
+    return person.scores.map((v, loc) => (isImputed(person, loc) ? null : v));
+}
 
-        const { xs, ys } = buildOverlap(basePerson, other);
-        if (xs.length < 2) continue;
+// One score for display: "—" when skipped; imputed scores are rounded,
+// italic and starred
+function formatScore(person, loc) {
+    const v = person.scores[loc];
+    if (v === null) return "—";
+    if (!isImputed(person, loc)) return String(v);
+    return `<em class="imputed" title="Not rated – ${imputedPhrase()}">${Number(v.toFixed(1))}*</em>`;
+}
 
-        const r = pearsonCorrelation(xs, ys);
-        if (!Number.isFinite(r)) continue;
+function imputedFootnote() {
+    if (!countImputed(people)) return "";
+    return `<p class="imputed-note">* not rated – ${imputedPhrase()}.</p>`;
+}
 
-        if (best === null || r > best.r) {
-            best = { name: other.name, r, overlap: xs.length };
-        }
-        if (worst === null || r < worst.r) {
-            worst = { name: other.name, r, overlap: xs.length };
-        }
+// " (plus 2 with a score filled in …)" for the Compare header, "" when nothing was filled in
+function describeImputedOverlap(overlapDetails) {
+    const count = overlapDetails.filter(d => d.imputed).length;
+    return count ? ` (plus ${count} with a score ${imputedPhrase()}, marked *)` : "";
+}
+
+// --- SEGMENTS ---
+// Respondent attributes from the other form columns (see lib/segments.mjs).
+// "Only" keeps one answer's respondents on every tab; "Split by" colours
+// people by their answer and drives the Segments tab.
+function findSegmentAttribute(name) {
+    return segmentAttributes.find(a => a.name === name) || null;
+}
+
+// { attribute, value } from the "Only" menu, or null for everyone (also when
+// the stored choice doesn't exist in this sheet)
+function getSegmentFilter() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem("pref-segment-filter") || "null");
+    } catch {
+        return null;
     }
+    if (!stored || typeof stored.attribute !== "string") return null;
+    const attribute = findSegmentAttribute(stored.attribute);
+    const value = attribute && attribute.values.find(v => v.key === segmentKey(stored.value));
+    return value ? { attribute: attribute.name, value: value.value } : null;
+}
 
-    return { best, worst };
+function getSplitAttribute() {
+    const attribute = findSegmentAttribute(localStorage.getItem("pref-segment-split"));
+    return attribute ? attribute.name : null;
 }
 
-// --- MAIN COMPUTE ---
-function computeCorrelation() {
-    const nameA = personASelect.value;
-    const nameB = personBSelect.value;
+// { attribute, groups: splitBySegment(), of: segment index per person } for
+// the "Split by" attribute, or null when nothing is chosen
+function computeSplit() {
+    const attribute = getSplitAttribute();
+    if (!attribute || !people.length) return null;
+    const groups = splitBySegment(people, attribute);
+    const of = new Array(people.length);
+    groups.forEach((g, s) => g.indices.forEach(idx => { of[idx] = s; }));
+    return { attribute, groups, of };
+}
 
-    computeStatus.textContent = "";
-    resultBox.style.display = "none";
+function segmentLegend(split) {
+    return `${escapeHtml(split.attribute)}: ` + split.groups.map((g, s) => `
+      <span style="display:inline-flex; align-items:center; gap:0.3rem; margin-right:0.75rem;">
+        <span style="width:0.7rem; height:0.7rem; border-radius:50%; background:${clusterColor(s)};"></span>
+        ${escapeHtml(segmentLabel(g.value))} (${g.indices.length})
+      </span>`).join("");
+}
 
-    if (!nameA || !nameB) {
-        computeStatus.textContent = "Please choose both people.";
-        computeStatus.className = "status error";
-        return;
+// "vegetarian 2, omnivore 1" for the given people indices
+function describeSegmentMix(split, indices) {
+    const counts = split.groups.map(() => 0);
+    for (const idx of indices) counts[split.of[idx]]++;
+    return split.groups
+        .map((g, s) => (counts[s] ? `${escapeHtml(segmentLabel(g.value))} ${counts[s]}` : ""))
+        .filter(Boolean)
+        .join(", ");
+}
+
+function populateSegmentControls() {
+    if (segmentFilterSelect) {
+        const filter = getSegmentFilter();
+        let html = `<option value="">Everyone</option>`;
+        for (const attribute of segmentAttributes) {
+            html += `<optgroup label="${escapeHtml(attribute.name)}">`;
+            for (const v of attribute.values) {
+                const value = escapeHtml(JSON.stringify({ attribute: attribute.name, value: v.value }));
+                const selected = filter && filter.attribute === attribute.name && segmentKey(filter.value) === v.key;
+                html += `<option value="${value}" ${selected ? "selected" : ""}>${escapeHtml(segmentLabel(v.value))} (${v.count})</option>`;
+            }
+            html += `</optgroup>`;
+        }
+        segmentFilterSelect.innerHTML = html;
+        segmentFilterSelect.disabled = !segmentAttributes.length;
     }
-    if (nameA === nameB) {
-        computeStatus.textContent = "Please choose two different people.";
-        computeStatus.className = "status error";
-        return;
+    if (segmentSplitSelect) {
+        const split = getSplitAttribute();
+        segmentSplitSelect.innerHTML = `<option value="">Nothing</option>` + segmentAttributes
+            .map(a => `<option value="${escapeHtml(a.name)}" ${a.name === split ? "selected" : ""}>${escapeHtml(a.name)}</option>`)
+            .join("");
+        segmentSplitSelect.disabled = !segmentAttributes.length;
     }
+}
 
-    const personA = people.find(p => p.name === nameA);
-    const personB = people.find(p => p.name === nameB);
-    if (!personA || !personB) {
-        computeStatus.textContent = "Could not find one or both people in the dataset.";
-        computeStatus.className = "status error";
+// Segments tab: every answer's average per location, then two answers side by side
+function renderSegments() {
+    if (!segmentsBox || !people.length) return;
+
+    const split = getSplitAttribute();
+    let html = `
+      <h2 style="margin-top:0; margin-bottom:0.5rem;">Segments</h2>
+      <p class="description" style="margin-top:0;">
+        Average score per location for each answer to another question on the form,
+        e.g. home city or diet. Choose the question here or in "Split by" above.
+      </p>
+    `;
+
+    if (!segmentAttributes.length) {
+        html += `<p class="description">The sheet has no other questions with shared answers to split by.</p>`;
+        segmentsBox.innerHTML = html;
         return;
     }
 
-    const xs = [];
-    const ys = [];
+    html += `
+      <label class="inline-setting" style="margin-bottom:0.5rem;">
+        Split by
+        <select id="segments-attribute">
+          <option value="">Choose a question…</option>
+          ${segmentAttributes.map(a => `<option value="${escapeHtml(a.name)}" ${a.name === split ? "selected" : ""}>${escapeHtml(a.name)}</option>`).join("")}
+        </select>
+      </label>
+    `;
 
-    // For "same score" + disagreement
-    let topSameScore = null;      // { score, location }
-    let maxDisagreement = null;   // { diff, location }
+    if (!split) {
+        segmentsBox.innerHTML = html;
+        attachSegmentHandlers();
+        return;
+    }
 
-    // For explanation stats
-    let sumAbsDiff = 0;
-    let sumDiff = 0;
+    // Segment averages and tests use only the scores people actually gave
+    const given = withoutImputed(people);
+    const averages = computeSegmentAverages(given, getLocationNames(), split);
+    const { segments } = averages;
+    const cell = "padding:0.25rem 0.5rem; border-bottom:1px solid var(--card-border);";
+    const fmt = (v) => (v === null ? "—" : v.toFixed(2));
+
+    // Each segment's favorite location is shown in bold
+    const favorites = segments.map((_, s) => {
+        let best = null;
+        for (const loc of averages.locations) {
+            if (loc.means[s] !== null && (best === null || loc.means[s] > averages.locations[best].means[s])) best = loc.index;
+        }
+        return best;
+    });
 
-    // For agreement strength breakdown
-    let exactSameCount = 0;
-    let offBy1Count = 0;
-    let offBy2Count = 0;
-    let diff3PlusCount = 0;
+    html += `
+      <div style="overflow-x:auto;">
+      <table style="border-collapse:collapse; font-size:0.85rem; margin-top:0.25rem;">
+        <thead>
+          <tr>
+            <th style="text-align:left; ${cell}">Location</th>
+            ${segments.map((g, s) => `
+            <th style="text-align:right; ${cell}">
+              <span style="color:${clusterColor(s)};">●</span> ${escapeHtml(segmentLabel(g.value))}
+              <div style="font-weight:normal; color:var(--muted-soft);">${g.count} ${g.count === 1 ? "person" : "people"}</div>
+            </th>`).join("")}
+          </tr>
+        </thead>
+        <tbody>
+    `;
+    for (const loc of averages.locations) {
+        html += `
+          <tr>
+            <td style="${cell}">${escapeHtml(loc.name)}</td>
+            ${loc.means.map((m, s) => `
+            <td style="text-align:right; ${cell} background-color:${m === null ? "transparent" : corrToBgColor(m / 3, "pearson")};"
+                title="${loc.counts[s]} rating${loc.counts[s] === 1 ? "" : "s"}">
+              ${favorites[s] === loc.index ? `<strong>${fmt(m)}</strong>` : fmt(m)}
+            </td>`).join("")}
+          </tr>
+        `;
+    }
+    html += `</tbody></table></div>
+      <p class="description" style="margin-top:0.25rem;">Bold: each segment's favorite location.</p>
+    `;
 
-    // For representative / compromise logic – keep metadata aligned with xs/ys
-    const overlapDetails = [];    // [{ index, a, b, location }]
+    if (segments.length < 2) {
+        html += `<p class="description">Only one answer is left${getSegmentFilter() ? ` with the "Only" filter on` : ""}, so there is nothing to compare.</p>`;
+        segmentsBox.innerHTML = html;
+        attachSegmentHandlers();
+        return;
+    }
 
-    // First pass: gather overlaps & simple stats
-    for (let i = 0; i < personA.scores.length; i++) {
-        const a = personA.scores[i];
-        const b = personB.scores[i];
-        if (a === null || b === null) continue;
+    const keys = segments.map(g => g.key);
+    if (!segmentPair || !keys.includes(segmentPair[0]) || !keys.includes(segmentPair[1])) {
+        segmentPair = [keys[0], keys[1]];
+    }
+    const [keyA, keyB] = segmentPair;
+    const segmentOptions = (selectedKey) => segments
+        .map(g => `<option value="${escapeHtml(g.key)}" ${g.key === selectedKey ? "selected" : ""}>${escapeHtml(segmentLabel(g.value))}</option>`)
+        .join("");
 
-        const locationName = getLocationName(i);
+    html += `
+      <hr/>
+      <div style="margin-top:0.6rem;">
+        <strong>Segment vs segment</strong>
+        <div style="margin-top:0.4rem;">
+          <select id="segment-a">${segmentOptions(keyA)}</select>
+          vs
+          <select id="segment-b">${segmentOptions(keyB)}</select>
+        </div>
+    `;
 
-        xs.push(a);
-        ys.push(b);
-        overlapDetails.push({ index: i, a, b, location: locationName });
+    // Keep the user's choice rather than silently switching to another answer
+    if (keyA === keyB) {
+        html += `<p class="description" style="margin:0.5rem 0;">Pick two different answers to compare.</p></div>`;
+        segmentsBox.innerHTML = html;
+        attachSegmentHandlers();
+        return;
+    }
 
-        const absDiff = Math.abs(a - b);
+    const cmp = compareSegments(given, getLocationNames(), split, segments[keys.indexOf(keyA)].value, segments[keys.indexOf(keyB)].value);
+    const nameA = escapeHtml(segmentLabel(cmp.a.value));
+    const nameB = escapeHtml(segmentLabel(cmp.b.value));
 
-        // Track largest-magnitude same score
-        if (a === b) {
-            if (!topSameScore || Math.abs(a) > Math.abs(topSameScore.score)) {
-                topSameScore = {
-                    score: a,
-                    location: locationName,
+    const top = cmp.rows[0];
+    if (top && top.diff !== null && Math.abs(top.diff) >= 0.05) {
+        const [higher, lower] = top.diff > 0 ? [nameA, nameB] : [nameB, nameA];
+        html += `
+        <p style="margin:0.5rem 0;">
+          Biggest gap: <strong>${higher}</strong> rate <em>${escapeHtml(top.name)}</em>
+          ${Math.abs(top.diff).toFixed(2)} points higher than <strong>${lower}</strong>
+          (${formatPValue(top.adjustedPValue)}, adjusted).
+          Overall averages: ${nameA} ${fmt(cmp.a.mean)}, ${nameB} ${fmt(cmp.b.mean)}.
+        </p>
+        `;
+    } else {
+        html += `<p style="margin:0.5rem 0;">${nameA} and ${nameB} rate every location about the same.</p>`;
+    }
+
+    html += `
+        <table style="border-collapse:collapse; font-size:0.85rem;">
+          <thead>
+            <tr>
+              <th style="text-align:left; ${cell}">Location</th>
+              <th style="text-align:right; ${cell}">${nameA}</th>
+              <th style="text-align:right; ${cell}">${nameB}</th>
+              <th style="text-align:right; ${cell}" title="${nameA} minus ${nameB}">Difference</th>
+              <th style="text-align:right; ${cell}" title="Permutation test: how often a random regrouping of the same ratings gives a gap this large, Holm-adjusted for testing every location">Significance</th>
+            </tr>
+          </thead>
+          <tbody>
+    `;
+    for (const row of cmp.rows) {
+        const muted = row.adjustedPValue === null || row.adjustedPValue >= SIGNIFICANCE_LEVEL;
+        const diffText = row.diff === null ? "—" : `${row.diff > 0 ? "+" : ""}${row.diff.toFixed(2)}`;
+        html += `
+            <tr style="${muted ? "color:var(--muted-soft);" : ""}">
+              <td style="${cell}">${escapeHtml(row.name)}</td>
+              <td style="text-align:right; ${cell}" title="${row.a.n} ratings">${fmt(row.a.mean)}</td>
+              <td style="text-align:right; ${cell}" title="${row.b.n} ratings">${fmt(row.b.mean)}</td>
+              <td style="text-align:right; ${cell}">${diffText}</td>
+              <td style="text-align:right; ${cell}" title="Unadjusted ${row.pValue === null ? "p = n/a" : formatPValue(row.pValue)}">${row.adjustedPValue === null ? "—" : formatPValue(row.adjustedPValue)}</td>
+            </tr>
+        `;
+    }
+    html += `
+          </tbody>
+        </table>
+        <p class="description" style="margin-top:0.25rem;">
+          p-values are Holm-adjusted because every location is tested at once.
+          Greyed-out rows aren't significant (adjusted p ≥ ${SIGNIFICANCE_LEVEL}); small segments rarely are.
+        </p>
+      </div>
+    `;
+
+    segmentsBox.innerHTML = html;
+    attachSegmentHandlers();
+}
+
+function attachSegmentHandlers() {
+    const attributeSelect = segmentsBox.querySelector("#segments-attribute");
+    if (attributeSelect) {
+        attributeSelect.addEventListener("change", (e) => setSplitAttribute(e.target.value));
+    }
+
+    const selectA = segmentsBox.querySelector("#segment-a");
+    const selectB = segmentsBox.querySelector("#segment-b");
+    if (selectA && selectB) {
+        const onChange = () => {
+            segmentPair = [selectA.value, selectB.value];
+            renderSegments();
+        };
+        selectA.addEventListener("change", onChange);
+        selectB.addEventListener("change", onChange);
+    }
+}
+
+// Store the "Split by" choice and redraw the views that colour by it
+function setSplitAttribute(name) {
+    localStorage.setItem("pref-segment-split", name);
+    if (segmentSplitSelect) segmentSplitSelect.value = name;
+    segmentPair = null;
+    if (!people.length) return;
+    matrixRendered = false;
+    openTab(currentTab, currentPersonalName || undefined);
+}
+
+// --- REPEAT SUBMISSIONS ---
+function getDuplicateStrategy() {
+    const stored = localStorage.getItem("pref-duplicates");
+    return DUPLICATE_STRATEGIES.includes(stored) ? stored : DEFAULT_DUPLICATE_STRATEGY;
+}
+
+function describeMerges(merges, strategy) {
+    if (!merges.length) return "";
+    const lines = merges.map(m => {
+        const outcome = m.kept === null ? "answers merged" : `kept row ${m.kept}`;
+        return `• ${m.name}: rows ${m.rows.join(", ")} → ${outcome}`;
+    });
+    return `\nMerged ${merges.length} repeat respondent${merges.length === 1 ? "" : "s"} (${strategy}):\n` +
+        lines.join("\n");
+}
+
+
+// --- APPLY A PARSED DATASET ---
+// Shared by the live sheet, snapshots and local files: build `people` and
+// refresh the UI. `source` is { kind: "sheet" | "snapshot" | "file", label }.
+// Returns the status text; throws if the rows can't be used.
+//
+// With options.preserveView (background refreshes) the current tab, the
+// selected people and the matrix order are kept instead of resetting to the
+// Compare tab.
+function applyDataset(rows, source, options = {}) {
+    const { mapping, people: loaded, issues, merges, strategy } = buildDataset(rows, { strategy: getDuplicateStrategy() });
+    const { scoreCols } = mapping;
+
+    const quality = assessRespondents(loaded);
+    const exclude = getExcludeSuspicious();
+    const excludedCount = exclude ? quality.filter(q => q.suspicious).length : 0;
+
+    const view = options.preserveView ? captureViewState() : null;
+    resetDatasetState();
+    lastDatasetRows = rows;
+    loadedPeople = loaded;
+    columnMapping = mapping;
+    let kept = excludedCount ? loaded.filter((_, idx) => !quality[idx].suspicious) : loaded;
+
+    // Segments are offered for everyone loaded, so "Only" can be switched back
+    segmentAttributes = listSegmentAttributes(loaded, mapping.attributeNames);
+    populateSegmentControls();
+    const filter = getSegmentFilter();
+    const segment = filter ? filterBySegment(kept, filter.attribute, filter.value) : kept;
+    const filterNote = !filter ? ""
+        : segment.length
+            ? `\nOnly ${segment.length} ${segment.length === 1 ? "person" : "people"} with ${filter.attribute} = ${segmentLabel(filter.value)}.`
+            : `\nNobody left with ${filter.attribute} = ${segmentLabel(filter.value)}; showing everyone.`;
+    if (segment.length) kept = segment;
+
+    const missing = getMissingStrategy();
+    people = imputePeople(kept, missing, { metric: getSimilarityMetric(), minOverlap: getMinOverlap() });
+    dataSource = source;
+
+    // NEW: reset matrix ordering to the natural order
+    matrixOrder = people.map((_, idx) => idx);
+    locationMatrixOrder = [];
+
+    populateSelects();
+    updateSourceBadge();
+    correlationUI.style.display = "block";
+
+    // Render overall stats now that we have data
+    renderOverallStats();
+
+    if (view) {
+        restoreViewState(view);
+    } else {
+        // Default to "Compare" tab
+        showTab("compare");
+    }
+
+    renderDataIssues(issues, mapping);
+    renderRespondentQuality(quality, exclude);
+
+    let status = `Loaded ${people.length} people and ${scoreCols.length} locations from `;
+    if (source.kind === "file") status += `${source.label}.`;
+    else if (source.kind === "snapshot") status += `the snapshot of ${source.label}.`;
+    else status += "sheet.";
+    if (mapping.nameSource === "fallback" || mapping.scoreSource === "fallback") {
+        status += "\nSome columns were not recognised from the header; using the fallback column mapping.";
+    }
+    status += describeMerges(merges, strategy);
+    if (excludedCount) {
+        status += `\nLeft out ${excludedCount} suspicious respondent${excludedCount === 1 ? "" : "s"} – see "Respondent quality" below.`;
+    }
+    status += filterNote;
+    const imputedCount = countImputed(people);
+    if (imputedCount) {
+        status += `\nFilled in ${imputedCount} skipped score${imputedCount === 1 ? "" : "s"} (${MISSING_INFO[missing].label.toLowerCase()}); imputed cells are marked *.`;
+    }
+    if (issues.length) {
+        status += `\n${issues.length} data issue${issues.length === 1 ? "" : "s"} found – see "Data issues" below.`;
+    }
+    return status;
+}
+
+// --- LOAD SHEET VIA /sheet PROXY ---
+// Conditional GET of the current survey. Resolves to { text, resp, changed }
+// where changed is false when the worker answered 304 Not Modified.
+function fetchSheetText() {
+    const url = getSheetUrl();
+    const previous = sheetResponseCache.get(url);
+    const requestHeaders = {};
+    if (previous && previous.etag) requestHeaders["If-None-Match"] = previous.etag;
+    if (previous && previous.lastModified) requestHeaders["If-Modified-Since"] = previous.lastModified;
+
+    // no-store: we handle revalidation ourselves so a 304 reaches this code
+    return fetch(url, { headers: requestHeaders, cache: "no-store" })
+        .then(resp => {
+            if (resp.status === 304 && previous) {
+                return { text: previous.text, resp, changed: false };
+            }
+            if (!resp.ok) {
+                throw new Error("Failed to fetch CSV: " + resp.status);
+            }
+            return resp.text().then(text => {
+                sheetResponseCache.set(url, {
+                    etag: resp.headers.get("ETag"),
+                    lastModified: resp.headers.get("Last-Modified"),
+                    text
+                });
+                return { text, resp, changed: !previous || previous.text !== text };
+            });
+        });
+}
+
+function staleNote(resp) {
+    if (resp.headers.get("X-Sheet-Cache") !== "STALE") return "";
+    const staleSeconds = Number(resp.headers.get("X-Sheet-Stale-Seconds")) || 0;
+    return `\nGoogle Sheets is unreachable – showing the last good copy from ${formatAge(staleSeconds)} ago.`;
+}
+
+// Bumped by every load (sheet, snapshot, file) so a slow response for a
+// survey or source the user has since left is dropped
+let datasetLoadToken = 0;
+
+function loadSheet() {
+    loadStatus.textContent = "Loading sheet…";
+    loadStatus.className = "status";
+    const token = ++datasetLoadToken;
+
+    fetchSheetText()
+        .then(({ text, resp }) => {
+            if (token !== datasetLoadToken) return;
+            let status = applyDataset(parseCSV(text), {
+                kind: "sheet",
+                label: getSurveyTitle()
+            });
+            status += staleNote(resp);
+            loadStatus.textContent = status;
+            loadStatus.className = "status success";
+
+            // The worker archives new versions as it fetches them
+            loadSnapshotList();
+        })
+        .catch(err => {
+            if (token !== datasetLoadToken) return;
+            console.error(err);
+            loadStatus.textContent =
+                "Error loading sheet. (If this is a CORS error, you’ll need a proxy/worker.)\n" +
+                err.message;
+            loadStatus.className = "status error";
+        });
+}
+
+// --- AUTO-REFRESH ---
+// Remember what the user is looking at so a background reload can put it back
+function captureViewState() {
+    return {
+        tab: currentTab,
+        personA: personASelect.value,
+        personB: personBSelect.value,
+        personalName: currentPersonalName,
+        compareShown: resultBox.style.display === "block",
+        matrixOrderNames: matrixOrder
+            .filter(idx => people[idx])
+            .map(idx => people[idx].name),
+        locationOrderNames: locationMatrixOrder.map(idx => getLocationName(idx)),
+        segmentPair
+    };
+}
+
+function restoreViewState(view) {
+    // Matrix: keep the previous order, newcomers go at the end
+    const byName = new Map(people.map((p, idx) => [p.name, idx]));
+    const kept = view.matrixOrderNames
+        .filter(name => byName.has(name))
+        .map(name => byName.get(name));
+    const added = people.map((_, idx) => idx).filter(idx => !kept.includes(idx));
+    matrixOrder = kept.concat(added);
+
+    const locByName = new Map(getLocationNames().map((name, idx) => [getLocationName(idx), idx]));
+    if (view.locationOrderNames.length) {
+        const keptLocs = view.locationOrderNames
+            .filter(name => locByName.has(name))
+            .map(name => locByName.get(name));
+        const addedLocs = [...locByName.values()].filter(idx => !keptLocs.includes(idx));
+        locationMatrixOrder = keptLocs.concat(addedLocs);
+    }
+
+    // Segments tab: renderSegments() falls back to the first two if either is gone
+    segmentPair = view.segmentPair;
+
+    if (byName.has(view.personA)) personASelect.value = view.personA;
+    if (byName.has(view.personB)) personBSelect.value = view.personB;
+    if (view.compareShown && byName.has(view.personA) && byName.has(view.personB)) {
+        computeCorrelation();
+    }
+
+    openTab(view.tab, byName.has(view.personalName) ? view.personalName : undefined);
+}
+
+// Who is new and whose answers changed between two parsed respondent lists
+// (matched by name). Compare `loadedPeople`, not `people`, so settings like the
+// segment filter or imputation don't show up as upstream changes.
+function describeRefresh(before, after) {
+    const oldByName = new Map(before.map(p => [p.name, p]));
+    const joined = after.filter(p => !oldByName.has(p.name)).map(p => p.name);
+    const updated = after.filter(p => {
+        const old = oldByName.get(p.name);
+        return old && old.scores.join(",") !== p.scores.join(",");
+    }).length;
+
+    if (joined.length) {
+        return `${joined.length} new respondent${joined.length === 1 ? "" : "s"}: ${joined.join(", ")}`;
+    }
+    if (updated) {
+        return `Updated answers from ${updated} ${updated === 1 ? "person" : "people"}`;
+    }
+    return "";
+}
+
+let autoRefreshTimer = null;
+let autoRefreshInFlight = false;
+
+function getAutoRefreshSeconds() {
+    const stored = Number(localStorage.getItem("pref-auto-refresh"));
+    return AUTO_REFRESH_INTERVALS.includes(stored) ? stored : 0;
+}
+
+// Background reload of the live sheet; only applies it when something changed
+function refreshSheetInBackground() {
+    if (autoRefreshInFlight || !dataSource || dataSource.kind !== "sheet") return Promise.resolve();
+    if (document.hidden) return Promise.resolve();
+    autoRefreshInFlight = true;
+
+    const sourceAtStart = dataSource;
+    return fetchSheetText()
+        .then(({ text, resp, changed }) => {
+            // Ignore the result if the user switched to another source meanwhile
+            if (!changed || dataSource !== sourceAtStart) return;
+
+            const before = loadedPeople;
+            let status = applyDataset(parseCSV(text), sourceAtStart, { preserveView: true });
+            status += staleNote(resp);
+            loadStatus.textContent = status;
+            loadStatus.className = "status success";
+
+            const message = describeRefresh(before, loadedPeople);
+            if (message) showToast(message);
+            loadSnapshotList();
+        })
+        .catch(err => {
+            // Keep showing the data we have; the next tick will try again
+            console.warn("Auto-refresh failed:", err);
+        })
+        .finally(() => {
+            autoRefreshInFlight = false;
+        });
+}
+
+function scheduleAutoRefresh() {
+    if (autoRefreshTimer) {
+        clearInterval(autoRefreshTimer);
+        autoRefreshTimer = null;
+    }
+    const seconds = getAutoRefreshSeconds();
+    if (seconds > 0) {
+        autoRefreshTimer = setInterval(refreshSheetInBackground, seconds * 1000);
+    }
+}
+
+let toastTimer = null;
+
+function showToast(message) {
+    if (!toastBox) return;
+    toastBox.textContent = message;
+    toastBox.classList.add("visible");
+    if (toastTimer) clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toastBox.classList.remove("visible"), 6000);
+}
+
+if (autoRefreshSelect) {
+    autoRefreshSelect.value = String(getAutoRefreshSeconds());
+    autoRefreshSelect.addEventListener("change", (e) => {
+        localStorage.setItem("pref-auto-refresh", e.target.value);
+        scheduleAutoRefresh();
+        refreshSheetInBackground();
+    });
+}
+
+// Catch up straight away when the tab becomes visible again
+document.addEventListener("visibilitychange", () => {
+    if (!document.hidden && getAutoRefreshSeconds() > 0) refreshSheetInBackground();
+});
+
+if (toastBox) {
+    toastBox.addEventListener("click", () => toastBox.classList.remove("visible"));
+}
+
+// --- LOAD A LOCAL FILE (picker / drag & drop) ---
+// See parseDataFile in lib/dataset.mjs for the accepted formats.
+function loadDataFile(file) {
+    if (!file) return;
+    loadStatus.textContent = `Reading ${file.name}…`;
+    loadStatus.className = "status";
+    const token = ++datasetLoadToken;
+
+    file.text()
+        .then(text => {
+            if (token !== datasetLoadToken) return;
+            const rows = parseDataFile(file.name, text);
+            loadStatus.textContent = applyDataset(rows, { kind: "file", label: file.name });
+            loadStatus.className = "status success";
+        })
+        .catch(err => {
+            if (token !== datasetLoadToken) return;
+            console.error(err);
+            loadStatus.textContent = `Could not load ${file.name}.\n` + err.message;
+            loadStatus.className = "status error";
+        });
+}
+
+function updateSourceBadge() {
+    if (!sourceBadge) return;
+    if (!dataSource) {
+        sourceBadge.style.display = "none";
+        return;
+    }
+    sourceBadge.style.display = "inline-flex";
+    if (dataSource.kind === "file") {
+        sourceBadge.textContent = `Local file: ${dataSource.label}`;
+    } else if (dataSource.kind === "snapshot") {
+        sourceBadge.textContent = `Snapshot: ${dataSource.label}`;
+    } else {
+        sourceBadge.textContent = `Live sheet${dataSource.label ? ": " + dataSource.label : ""}`;
+    }
+    sourceBadge.className = `source-badge source-${dataSource.kind}`;
+    if (useLiveBtn) {
+        useLiveBtn.style.display = dataSource.kind === "sheet" ? "none" : "inline-block";
+    }
+    if (snapshotSelect) {
+        snapshotSelect.value = dataSource.kind === "snapshot" ? dataSource.id : "";
+    }
+}
+
+if (fileInput) {
+    fileInput.addEventListener("change", (e) => {
+        loadDataFile(e.target.files && e.target.files[0]);
+        e.target.value = ""; // allow re-loading the same file
+    });
+}
+
+if (fileDropZone) {
+    fileDropZone.addEventListener("dragover", (e) => {
+        e.preventDefault();
+        fileDropZone.classList.add("drag-over");
+    });
+    fileDropZone.addEventListener("dragleave", () => {
+        fileDropZone.classList.remove("drag-over");
+    });
+    fileDropZone.addEventListener("drop", (e) => {
+        e.preventDefault();
+        fileDropZone.classList.remove("drag-over");
+        const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+        loadDataFile(file);
+    });
+}
+
+if (useLiveBtn) {
+    useLiveBtn.addEventListener("click", () => loadSheet());
+}
+
+// --- SNAPSHOTS (time travel) ---
+function getSnapshotsUrl(snapshotId) {
+    const params = new URLSearchParams();
+    if (currentSurveyId) params.set("survey", currentSurveyId);
+    if (snapshotId) params.set("id", snapshotId);
+    const query = params.toString();
+    return query ? `${SNAPSHOTS_URL}?${query}` : SNAPSHOTS_URL;
+}
+
+function formatSnapshotDate(snapshot) {
+    const date = new Date(snapshot.takenAt);
+    return Number.isNaN(date.getTime()) ? snapshot.id : date.toLocaleString();
+}
+
+function loadSnapshotList() {
+    // The list belongs to the survey it was requested for
+    const surveyAtStart = currentSurveyId;
+    return fetch(getSnapshotsUrl(), { cache: "no-store" })
+        .then(resp => {
+            if (!resp.ok) {
+                throw new Error("Failed to fetch snapshot list: " + resp.status);
+            }
+            return resp.json();
+        })
+        .then(data => (data && Array.isArray(data.snapshots)) ? data.snapshots : [])
+        .catch(err => {
+            console.warn(err);
+            return [];
+        })
+        .then(snapshots => {
+            if (currentSurveyId !== surveyAtStart) return;
+            snapshotList = snapshots;
+            renderSnapshotPicker();
+            // Keep the History tab's selects in sync if it is open
+            if (historyBox && historyBox.style.display === "block") renderHistory();
+        });
+}
+
+function renderSnapshotPicker() {
+    if (!snapshotPicker || !snapshotSelect) return;
+    if (!snapshotList.length) {
+        snapshotPicker.style.display = "none";
+        return;
+    }
+
+    let html = `<option value="">Live (latest)</option>`;
+    for (const snap of snapshotList.slice().reverse()) {
+        html += `<option value="${escapeHtml(snap.id)}">${escapeHtml(formatSnapshotDate(snap))} · ${snap.rows} rows</option>`;
+    }
+    snapshotSelect.innerHTML = html;
+    snapshotSelect.value = dataSource && dataSource.kind === "snapshot" ? dataSource.id : "";
+    snapshotPicker.style.display = "inline-flex";
+}
+
+function fetchSnapshotText(snapshotId) {
+    const url = getSnapshotsUrl(snapshotId);
+    if (snapshotTextCache.has(url)) {
+        return Promise.resolve(snapshotTextCache.get(url));
+    }
+    return fetch(url)
+        .then(resp => {
+            if (!resp.ok) {
+                throw new Error("Failed to fetch snapshot: " + resp.status);
+            }
+            return resp.text();
+        })
+        .then(text => {
+            snapshotTextCache.set(url, text);
+            return text;
+        });
+}
+
+function loadSnapshot(snapshotId) {
+    const snapshot = snapshotList.find(s => s.id === snapshotId);
+    if (!snapshot) return;
+    const label = formatSnapshotDate(snapshot);
+
+    loadStatus.textContent = `Loading snapshot of ${label}…`;
+    loadStatus.className = "status";
+    const token = ++datasetLoadToken;
+
+    fetchSnapshotText(snapshotId)
+        .then(text => {
+            if (token !== datasetLoadToken) return;
+            loadStatus.textContent = applyDataset(parseCSV(text), {
+                kind: "snapshot",
+                id: snapshotId,
+                label
+            });
+            loadStatus.className = "status success";
+        })
+        .catch(err => {
+            if (token !== datasetLoadToken) return;
+            console.error(err);
+            loadStatus.textContent = `Error loading the snapshot of ${label}.\n` + err.message;
+            loadStatus.className = "status error";
+        });
+}
+
+if (snapshotSelect) {
+    snapshotSelect.addEventListener("change", (e) => {
+        if (e.target.value) loadSnapshot(e.target.value);
+        else loadSheet();
+    });
+}
+
+// --- GROUP DECISION ---
+// Names left out of the group (everyone else is in, including newcomers)
+let groupExcluded = new Set();
+let groupThreshold = DEFAULT_APPROVAL_THRESHOLD;
+
+function renderGroupDecision() {
+    if (!groupBox || !people.length) return;
+
+    let html = `
+      <h2 style="margin-top:0; margin-bottom:0.5rem;">Group decision</h2>
+      <p class="description" style="margin-top:0;">
+        Tick who is coming to see which location each decision rule would pick,
+        how happy it leaves each member, and who would rather be somewhere else.
+        Skipped locations count as neutral (0).
+      </p>
+      <div class="group-members">
+    `;
+    people.forEach((p, idx) => {
+        html += `
+        <label>
+          <input type="checkbox" data-person-idx="${idx}" ${groupExcluded.has(p.name) ? "" : "checked"}/>
+          ${escapeHtml(p.name)}
+        </label>
+        `;
+    });
+    html += `
+      </div>
+      <div class="rank-controls">
+        <button type="button" id="group-all">Everyone</button>
+        <button type="button" id="group-none">Nobody</button>
+        <label for="group-threshold">Approval threshold</label>
+        <input id="group-threshold" type="number" min="${SCORE_SCALE.min}" max="${SCORE_SCALE.max}" step="1" value="${groupThreshold}"/>
+      </div>
+      <div id="group-results"></div>
+    `;
+    groupBox.innerHTML = html;
+
+    groupBox.querySelectorAll(".group-members input[type=checkbox]").forEach(box => {
+        box.addEventListener("change", (e) => {
+            const person = people[Number(e.target.getAttribute("data-person-idx"))];
+            if (!person) return;
+            if (e.target.checked) groupExcluded.delete(person.name);
+            else groupExcluded.add(person.name);
+            updateGroupResults();
+        });
+    });
+
+    const setAll = (included) => {
+        groupExcluded = included ? new Set() : new Set(people.map(p => p.name));
+        renderGroupDecision();
+    };
+    const allBtn = groupBox.querySelector("#group-all");
+    const noneBtn = groupBox.querySelector("#group-none");
+    if (allBtn) allBtn.addEventListener("click", () => setAll(true));
+    if (noneBtn) noneBtn.addEventListener("click", () => setAll(false));
+
+    const thresholdInput = groupBox.querySelector("#group-threshold");
+    if (thresholdInput) {
+        thresholdInput.addEventListener("change", (e) => {
+            const val = Number(e.target.value);
+            if (Number.isFinite(val)) {
+                groupThreshold = Math.min(Math.max(val, SCORE_SCALE.min), SCORE_SCALE.max);
+            }
+            e.target.value = String(groupThreshold);
+            updateGroupResults();
+        });
+    }
+
+    updateGroupResults();
+}
+
+function updateGroupResults() {
+    const resultsEl = groupBox && groupBox.querySelector("#group-results");
+    if (!resultsEl) return;
+
+    const members = people.filter(p => !groupExcluded.has(p.name));
+    if (!members.length) {
+        resultsEl.innerHTML = `<p style="margin-top:0.75rem;"><em>Tick at least one person.</em></p>`;
+        return;
+    }
+
+    const decisions = computeGroupDecision(members, getLocationNames(), { threshold: groupThreshold });
+
+    // How often each location wins across the rules
+    const wins = new Map();
+    for (const d of decisions) {
+        wins.set(d.winner.name, (wins.get(d.winner.name) || 0) + 1);
+    }
+    const [topName, topWins] = [...wins.entries()].sort((a, b) => b[1] - a[1])[0];
+
+    let html = `
+      <p style="margin-top:0.75rem;">
+        ${members.length} ${members.length === 1 ? "person" : "people"}:
+        <strong>${escapeHtml(topName)}</strong> wins under ${topWins} of ${decisions.length} rules.
+      </p>
+      <div class="group-rules">
+    `;
+
+    const fmtValue = (rule, v) => (rule === "approval" ? `${v} of ${members.length}` : Number.isInteger(v) ? v : v.toFixed(2));
+
+    for (const d of decisions) {
+        const info = GROUP_RULE_INFO[d.rule];
+        const runnerUp = d.ranking[1];
+        html += `
+        <div class="group-rule">
+          <strong>${info.label}</strong>
+          <div style="font-size:0.8rem; color:var(--muted-soft);">${info.description}${d.rule === "approval" ? ` (≥ ${groupThreshold})` : ""}</div>
+          <div style="margin-top:0.4rem;">
+            Pick: <span class="pill pill-positive">${escapeHtml(d.winner.name)}</span>
+            <span style="color:var(--muted);">(${fmtValue(d.rule, d.winner.value)})</span>
+          </div>
+        `;
+        if (runnerUp) {
+            html += `
+          <div style="font-size:0.85rem; color:var(--muted);">
+            Runner-up: ${escapeHtml(runnerUp.name)} (${fmtValue(d.rule, runnerUp.value)})
+          </div>
+            `;
+        }
+
+        html += `<table style="margin-top:0.5rem; width:100%; border-collapse:collapse; font-size:0.85rem;">`;
+        d.members.forEach((m, i) => {
+            const pct = Math.round(m.satisfaction * 100);
+            const imputed = isImputed(members[i], d.winner.index);
+            const rated = m.score === null ? "– (skipped)" : imputed ? `≈ ${m.score.toFixed(1)} (imputed)` : m.score;
+            html += `
+            <tr title="${escapeHtml(m.name)} rates ${escapeHtml(d.winner.name)} ${rated}; it is ${pct}% of the way up their own list">
+              <td style="padding:0.15rem 0.25rem 0.15rem 0;">${escapeHtml(m.name)}</td>
+              <td style="padding:0.15rem 0.25rem; text-align:right;">${formatScore(members[i], d.winner.index)}</td>
+              <td style="padding:0.15rem 0; width:45%;">
+                <div class="rank-bar-track">
+                  <div class="${m.unhappy ? "rank-bar-fill-negative" : "rank-bar-fill-positive"}" style="width:${pct}%;"></div>
+                </div>
+              </td>
+            </tr>
+            `;
+        });
+        html += `</table>`;
+
+        html += d.unhappy.length
+            ? `<div style="margin-top:0.4rem; font-size:0.85rem;">Unhappy: <strong>${escapeHtml(d.unhappy.join(", "))}</strong></div>`
+            : `<div style="margin-top:0.4rem; font-size:0.85rem; color:var(--muted);">Nobody dislikes this pick.</div>`;
+        html += `</div>`;
+    }
+
+    html += `
+      </div>
+      <p style="font-size:0.8rem; color:var(--muted-soft); margin-top:0.6rem;">
+        Bars show how far up each member's own list the pick is (100% = their favorite);
+        red means they gave it a negative score.
+      </p>
+      ${imputedFootnote()}
+    `;
+    resultsEl.innerHTML = html;
+}
+
+// --- HISTORY: diff two versions ---
+let historySelection = { from: null, to: "current" };
+
+function getVersionRows(versionId) {
+    if (versionId === "current") {
+        return lastDatasetRows
+            ? Promise.resolve(lastDatasetRows)
+            : Promise.reject(new Error("No data is loaded."));
+    }
+    return fetchSnapshotText(versionId).then(text => parseCSV(text));
+}
+
+function versionLabel(versionId) {
+    if (versionId === "current") return "currently loaded data";
+    const snap = snapshotList.find(s => s.id === versionId);
+    return snap ? formatSnapshotDate(snap) : versionId;
+}
+
+function renderHistory() {
+    if (!historyBox) return;
+
+    if (!snapshotList.length) {
+        historyBox.innerHTML = `
+          <h2 style="margin-top:0; margin-bottom:0.5rem;">History</h2>
+          <p class="description" style="margin-top:0;">
+            No snapshots have been recorded for this survey yet. A dated copy is
+            archived every time the sheet changes, so check back after new responses arrive.
+          </p>
+        `;
+        return;
+    }
+
+    const ids = snapshotList.map(s => s.id);
+    if (!ids.includes(historySelection.from)) {
+        // Default: oldest snapshot → what is loaded now
+        historySelection.from = ids[0];
+    }
+    if (historySelection.to !== "current" && !ids.includes(historySelection.to)) {
+        historySelection.to = "current";
+    }
+
+    const options = (selected, includeCurrent) => {
+        let html = includeCurrent
+            ? `<option value="current" ${selected === "current" ? "selected" : ""}>Currently loaded data</option>`
+            : "";
+        for (const snap of snapshotList.slice().reverse()) {
+            html += `<option value="${escapeHtml(snap.id)}" ${snap.id === selected ? "selected" : ""}>
+              ${escapeHtml(formatSnapshotDate(snap))} · ${snap.rows} rows
+            </option>`;
+        }
+        return html;
+    };
+
+    historyBox.innerHTML = `
+      <h2 style="margin-top:0; margin-bottom:0.5rem;">History</h2>
+      <p class="description" style="margin-top:0;">
+        Compare two versions of the sheet: who joined, which scores changed,
+        and how each pair&apos;s correlation moved.
+      </p>
+
+      <label for="history-from">From</label>
+      <select id="history-from">${options(historySelection.from, false)}</select>
+
+      <label for="history-to">To</label>
+      <select id="history-to">${options(historySelection.to, true)}</select>
+
+      <div style="margin-top:1rem;">
+        <button id="history-compare-btn" type="button">Show changes</button>
+      </div>
+      <div id="history-status" class="status"></div>
+      <div id="history-result"></div>
+    `;
+
+    const fromSel = historyBox.querySelector("#history-from");
+    const toSel = historyBox.querySelector("#history-to");
+    const btn = historyBox.querySelector("#history-compare-btn");
+
+    fromSel.addEventListener("change", (e) => { historySelection.from = e.target.value; });
+    toSel.addEventListener("change", (e) => { historySelection.to = e.target.value; });
+    btn.addEventListener("click", () => runHistoryDiff());
+}
+
+function runHistoryDiff() {
+    const statusEl = historyBox.querySelector("#history-status");
+    const resultEl = historyBox.querySelector("#history-result");
+    const { from, to } = historySelection;
+
+    statusEl.textContent = "Loading versions…";
+    statusEl.className = "status";
+    resultEl.innerHTML = "";
+
+    Promise.all([getVersionRows(from), getVersionRows(to)])
+        .then(([fromRows, toRows]) => {
+            const diff = diffDatasets(buildDataset(fromRows, { strategy: getDuplicateStrategy() }),
+                buildDataset(toRows, { strategy: getDuplicateStrategy() }), getSimilarityMetric());
+            statusEl.textContent = "";
+            resultEl.innerHTML = renderHistoryDiff(diff, versionLabel(from), versionLabel(to));
+        })
+        .catch(err => {
+            console.error(err);
+            statusEl.textContent = "Could not compare these versions.\n" + err.message;
+            statusEl.className = "status error";
+        });
+}
+
+function renderHistoryDiff(diff, fromLabel, toLabel) {
+    const fmtScore = (v) => (v === null || v === undefined ? "—" : v);
+    const fmtR = (r) => (r === null ? "—" : r.toFixed(2));
+    const cellStyle = "padding:0.35rem; border-bottom:1px solid var(--card-border);";
+
+    let html = `
+      <hr/>
+      <strong>${escapeHtml(fromLabel)} → ${escapeHtml(toLabel)}</strong>
+      <ul style="margin-top:0.4rem; padding-left:1.2rem;">
+        <li>People: ${diff.beforeCount} → ${diff.afterCount}</li>
+        <li>Joined: ${diff.joined.length ? escapeHtml(diff.joined.join(", ")) : "<em>nobody</em>"}</li>
+        <li>Left: ${diff.left.length ? escapeHtml(diff.left.join(", ")) : "<em>nobody</em>"}</li>
+    `;
+    if (diff.addedLocations.length) {
+        html += `<li>New locations: ${escapeHtml(diff.addedLocations.join(", "))}</li>`;
+    }
+    if (diff.removedLocations.length) {
+        html += `<li>Removed locations: ${escapeHtml(diff.removedLocations.join(", "))}</li>`;
+    }
+    html += `</ul>`;
+
+    html += `
+      <details style="margin-top:0.6rem;" ${diff.scoreChanges.length && diff.scoreChanges.length <= 20 ? "open" : ""}>
+        <summary>Changed scores (${diff.scoreChanges.length})</summary>
+    `;
+    if (diff.scoreChanges.length) {
+        html += `
+        <table style="margin-top:0.5rem; border-collapse:collapse; width:100%; font-size:0.9rem;">
+          <thead>
+            <tr>
+              <th style="text-align:left; ${cellStyle}">Person</th>
+              <th style="text-align:left; ${cellStyle}">Location</th>
+              <th style="text-align:right; ${cellStyle}">Before</th>
+              <th style="text-align:right; ${cellStyle}">After</th>
+            </tr>
+          </thead>
+          <tbody>
+        `;
+        for (const c of diff.scoreChanges) {
+            html += `
+            <tr>
+              <td style="${cellStyle}">${escapeHtml(c.name)}</td>
+              <td style="${cellStyle}">${escapeHtml(c.location)}</td>
+              <td style="text-align:right; ${cellStyle}">${fmtScore(c.from)}</td>
+              <td style="text-align:right; ${cellStyle}">${fmtScore(c.to)}</td>
+            </tr>
+            `;
+        }
+        html += `</tbody></table>`;
+    } else {
+        html += `<p style="margin:0.4rem 0;">No existing answers changed.</p>`;
+    }
+    html += `</details>`;
+
+    html += `
+      <details style="margin-top:0.6rem;" open>
+        <summary>Pair ${METRIC_INFO[getSimilarityMetric()].label} (${diff.pairs.length}, biggest moves first)</summary>
+    `;
+    if (diff.pairs.length) {
+        html += `
+        <div style="overflow-x:auto;">
+        <table style="margin-top:0.5rem; border-collapse:collapse; width:100%; font-size:0.9rem;">
+          <thead>
+            <tr>
+              <th style="text-align:left; ${cellStyle}">Pair</th>
+              <th style="text-align:right; ${cellStyle}">${METRIC_INFO[getSimilarityMetric()].symbol} before</th>
+              <th style="text-align:right; ${cellStyle}">${METRIC_INFO[getSimilarityMetric()].symbol} after</th>
+              <th style="text-align:right; ${cellStyle}">Change</th>
+            </tr>
+          </thead>
+          <tbody>
+        `;
+        for (const p of diff.pairs) {
+            const deltaText = p.delta === null
+                ? "—"
+                : (p.delta > 0 ? "+" : "") + p.delta.toFixed(2);
+            html += `
+            <tr>
+              <td style="${cellStyle}">${escapeHtml(p.a)} &amp; ${escapeHtml(p.b)}</td>
+              <td style="text-align:right; ${cellStyle} background-color:${corrToBgColor(p.from)};">${fmtR(p.from)}</td>
+              <td style="text-align:right; ${cellStyle} background-color:${corrToBgColor(p.to)};">${fmtR(p.to)}</td>
+              <td style="text-align:right; ${cellStyle}">${deltaText}</td>
+            </tr>
+            `;
+        }
+        html += `</tbody></table></div>`;
+    } else {
+        html += `<p style="margin:0.4rem 0;">No pairs have a ${METRIC_INFO[getSimilarityMetric()].label} in either version.</p>`;
+    }
+    html += `</details>`;
+
+    return html;
+}
+
+// --- SCORE NORMALIZATION ---
+// Per-person rescaling used by the ranking, Overall location stats and cluster favorites
+function getNormalization() {
+    const stored = localStorage.getItem("pref-normalization");
+    return NORMALIZATION_MODES.includes(stored) ? stored : DEFAULT_NORMALIZATION;
+}
+
+function normalizationNote(mode) {
+    const info = NORMALIZATION_INFO[mode];
+    return `Scores: <strong>${info.label}</strong> (${info.description}).`;
+}
+
+if (normalizationSelect) {
+    normalizationSelect.value = getNormalization();
+    normalizationSelect.addEventListener("change", (e) => {
+        localStorage.setItem("pref-normalization", e.target.value);
+        if (!people.length) return;
+        renderOverallStats();
+        updateCustomRankingResults();
+        if (currentTab === "clusters") renderClusters();
+    });
+}
+
+// --- MATCH SCORES ---
+// Fewest shared locations for a pair to count as a best/worst match
+function getMinOverlap() {
+    const stored = Number(localStorage.getItem("pref-min-overlap"));
+    return Number.isInteger(stored) && stored >= 2 ? stored : DEFAULT_MIN_OVERLAP;
+}
+
+// Hover text for a best/worst pill: the unadjusted metric value
+function rawMatchTitle(m, metric) {
+    return `Raw ${METRIC_INFO[metric].symbol} = ${m.r.toFixed(3)} on ${m.overlap} shared locations`;
+}
+
+if (minOverlapInput) {
+    minOverlapInput.value = String(getMinOverlap());
+    minOverlapInput.addEventListener("change", (e) => {
+        const value = Number(e.target.value);
+        if (!Number.isInteger(value) || value < 2) {
+            e.target.value = String(getMinOverlap());
+            return;
+        }
+        localStorage.setItem("pref-min-overlap", String(value));
+        if (!people.length) return;
+        if (getMissingStrategy() === "knn") {
+            reapplyDataset();
+            return;
+        }
+        renderOverallStats();
+        if (currentTab === "personal") renderPersonalStats(currentPersonalName || undefined);
+    });
+}
+
+// --- SIMILARITY METRIC ---
+// Used by every people-to-people number: Compare, Personal, the matrix,
+// Overall pair extremes and the History pair table.
+function getSimilarityMetric() {
+    const stored = localStorage.getItem("pref-metric");
+    return SIMILARITY_METRICS.includes(stored) ? stored : DEFAULT_SIMILARITY_METRIC;
+}
+
+if (metricSelect) {
+    metricSelect.value = getSimilarityMetric();
+    metricSelect.addEventListener("change", (e) => {
+        localStorage.setItem("pref-metric", e.target.value);
+        if (!people.length) return;
+        if (getMissingStrategy() === "knn") {
+            // Nearest-neighbour imputation depends on the metric
+            reapplyDataset();
+            return;
+        }
+
+        // Redraw the views in place with the new metric
+        matrixRendered = false;
+        renderOverallStats();
+        if (resultBox.style.display === "block") computeCorrelation();
+        openTab(currentTab, currentPersonalName || undefined);
+    });
+}
+
+// Re-apply the current rows with the chosen repeat-submission strategy
+if (duplicateSelect) {
+    duplicateSelect.value = getDuplicateStrategy();
+    duplicateSelect.addEventListener("change", (e) => {
+        localStorage.setItem("pref-duplicates", e.target.value);
+        reapplyDataset();
+    });
+}
+
+// Re-apply the current rows in place, e.g. after a setting that changes `people`
+function reapplyDataset() {
+    if (!lastDatasetRows || !dataSource) return;
+    try {
+        loadStatus.textContent = applyDataset(lastDatasetRows, dataSource, { preserveView: true });
+        loadStatus.className = "status success";
+    } catch (err) {
+        console.error(err);
+        loadStatus.textContent = err.message;
+        loadStatus.className = "status error";
+    }
+}
+
+// Keep one segment's respondents on every tab
+if (segmentFilterSelect) {
+    segmentFilterSelect.addEventListener("change", (e) => {
+        localStorage.setItem("pref-segment-filter", e.target.value);
+        reapplyDataset();
+    });
+}
+
+if (segmentSplitSelect) {
+    segmentSplitSelect.addEventListener("change", (e) => setSplitAttribute(e.target.value));
+}
+
+// Re-impute every skipped score with the chosen strategy
+if (missingSelect) {
+    missingSelect.value = getMissingStrategy();
+    missingSelect.addEventListener("change", (e) => {
+        localStorage.setItem("pref-missing", e.target.value);
+        reapplyDataset();
+    });
+}
+
+// Re-apply the current rows with or without the suspicious respondents
+if (excludeSuspiciousToggle) {
+    excludeSuspiciousToggle.checked = getExcludeSuspicious();
+    excludeSuspiciousToggle.addEventListener("change", (e) => {
+        localStorage.setItem("pref-exclude-suspicious", e.target.checked ? "1" : "0");
+        reapplyDataset();
+    });
+}
+
+// 90 → "2 minutes", 7200 → "2 hours"
+function formatAge(seconds) {
+    const units = [
+        ["day", 86400],
+        ["hour", 3600],
+        ["minute", 60]
+    ];
+    for (const [label, size] of units) {
+        if (seconds >= size) {
+            const n = Math.round(seconds / size);
+            return `${n} ${label}${n === 1 ? "" : "s"}`;
+        }
+    }
+    const n = Math.max(Math.round(seconds), 0);
+    return `${n} second${n === 1 ? "" : "s"}`;
+}
+
+function getLocationNames() {
+    return columnMapping ? columnMapping.locationNames : [];
+}
+
+function getLocationName(scoreIndex) {
+    // scoreIndex is 0-based index into person.scores (the order of columnMapping.scoreCols)
+    return locationLabel(getLocationNames(), scoreIndex);
+}
+
+function populateSelects() {
+    personASelect.innerHTML = "";
+    personBSelect.innerHTML = "";
+
+    for (const p of people) {
+        const optA = document.createElement("option");
+        optA.value = p.name;
+        optA.textContent = p.name;
+        personASelect.appendChild(optA);
+
+        const optB = document.createElement("option");
+        optB.value = p.name;
+        optB.textContent = p.name;
+        personBSelect.appendChild(optB);
+    }
+
+    if (people.length >= 2) {
+        personASelect.selectedIndex = 0;
+        personBSelect.selectedIndex = 1;
+    }
+}
+
+
+// --- MAIN COMPUTE ---
+function computeCorrelation() {
+    const nameA = personASelect.value;
+    const nameB = personBSelect.value;
+
+    computeStatus.textContent = "";
+    resultBox.style.display = "none";
+
+    if (!nameA || !nameB) {
+        computeStatus.textContent = "Please choose both people.";
+        computeStatus.className = "status error";
+        return;
+    }
+    if (nameA === nameB) {
+        computeStatus.textContent = "Please choose two different people.";
+        computeStatus.className = "status error";
+        return;
+    }
+
+    const personA = people.find(p => p.name === nameA);
+    const personB = people.find(p => p.name === nameB);
+    if (!personA || !personB) {
+        computeStatus.textContent = "Could not find one or both people in the dataset.";
+        computeStatus.className = "status error";
+        return;
+    }
+
+    const xs = [];
+    const ys = [];
+
+    // For "same score" + disagreement
+    let topSameScore = null;      // { score, location }
+    let maxDisagreement = null;   // { diff, location }
+
+    // For explanation stats
+    let sumAbsDiff = 0;
+    let sumDiff = 0;
+
+    // For agreement strength breakdown
+    let exactSameCount = 0;
+    let offBy1Count = 0;
+    let offBy2Count = 0;
+    let diff3PlusCount = 0;
+
+    // For representative / compromise logic – keep metadata aligned with xs/ys
+    const overlapDetails = [];    // [{ index, a, b, location, imputed }]
+
+    // First pass: gather overlaps & simple stats
+    for (let i = 0; i < personA.scores.length; i++) {
+        const a = personA.scores[i];
+        const b = personB.scores[i];
+        if (a === null || b === null) continue;
+
+        const locationName = getLocationName(i);
+
+        xs.push(a);
+        ys.push(b);
+        overlapDetails.push({
+            index: i,
+            a,
+            b,
+            location: locationName,
+            imputed: isImputed(personA, i) || isImputed(personB, i)
+        });
+
+        const absDiff = Math.abs(a - b);
+
+        // Track largest-magnitude same score
+        if (a === b) {
+            if (!topSameScore || Math.abs(a) > Math.abs(topSameScore.score)) {
+                topSameScore = {
+                    score: a,
+                    location: locationName,
                 };
             }
         }
@@ -2015,25 +3929,29 @@ function computeCorrelation() {
         return;
     }
 
-    const r = pearsonCorrelation(xs, ys);
-    if (!Number.isFinite(r)) {
-        computeStatus.textContent = "Could not compute a valid correlation.";
+    const metric = getSimilarityMetric();
+    const info = METRIC_INFO[metric];
+    const value = computeSimilarity(xs, ys, metric);
+    if (!Number.isFinite(value)) {
+        computeStatus.textContent =
+            `Could not compute a valid ${info.label} (e.g. one of you gave every shared location the same score).`;
         computeStatus.className = "status error";
         return;
     }
 
-    const rounded = r.toFixed(3);
-    const absR = Math.abs(r);
+    // p-value and interval only from the locations both actually rated
+    const given = overlapDetails.filter(d => !d.imputed);
+    const sig = given.length >= 2 ? computeSignificance(given.map(d => d.a), given.map(d => d.b), metric) : null;
 
-    let qualitative;
-    if (absR < 0.2) qualitative = "very weak";
-    else if (absR < 0.4) qualitative = "weak";
-    else if (absR < 0.6) qualitative = "moderate";
-    else if (absR < 0.8) qualitative = "strong";
-    else qualitative = "very strong";
+    // r on the -1 … 1 similarity scale; drives the wording below
+    const r = toSimilarity(value, metric);
+    const rounded = value.toFixed(3);
+    const qualitative = similarityStrength(value, metric);
 
     const signWord = r >= 0 ? "positive" : "negative";
-    const correlationPhrase = `${qualitative} ${signWord} correlation`;
+    const correlationPhrase = info.kind === "distance"
+        ? `${qualitative} similarity (about ${value.toFixed(2)} points apart per location)`
+        : `${qualitative} ${signWord} relationship`;
 
     const direction = r >= 0 ? "aligned" : "opposite";
 
@@ -2064,8 +3982,8 @@ function computeCorrelation() {
             mostRep = {
                 contribution: signedContribution,
                 location: meta?.location ?? `Location ${i + 1}`,
-                a: meta?.a ?? xs[i],
-                b: meta?.b ?? ys[i],
+                a: meta ? formatScore(personA, meta.index) : xs[i],
+                b: meta ? formatScore(personB, meta.index) : ys[i],
             };
         }
     }
@@ -2163,7 +4081,7 @@ function computeCorrelation() {
             trendsHtml += `
         <div style="margin-top:0.5rem;">
           <strong>Most representative location:</strong> ${mostRep.location}
-          (you rated it ${mostRep.a}, and ${nameB} rated it ${mostRep.b}, contributing strongly to this ${signWord} correlation).
+          (you rated it ${mostRep.a}, and ${nameB} rated it ${mostRep.b}, contributing strongly to this ${direction} pattern).
         </div>
       `;
         }
@@ -2175,6 +4093,7 @@ function computeCorrelation() {
           <strong>If you had to compromise…</strong>
           A fair pick might be <em>${compromise.location}</em>, where your scores are closest
           (average ≈ ${compromise.avg.toFixed(2)} across both of you).
+          Deciding for more people? Try the Group decision tab.
         </div>
       `;
         }
@@ -2185,8 +4104,8 @@ function computeCorrelation() {
     // --- Explanation block with bullets (unchanged structure, but now coexists with new trends) ---
     let explanationHtml = `
     <div style="margin-top:0.75rem;">
-      <strong>Why this correlation?</strong>
-      <div>The correlation is a ${correlationPhrase}.</div>
+      <strong>Why this result?</strong>
+      <div>${info.label}: ${correlationPhrase}.</div>
       <ul style="margin-top:0.5rem; padding-left:1.2rem;">
         <li>You score in ${moveWord} on about ${movePercent}% of locations (relative to your own averages).</li>
         <li>Your scores are usually within ~${avgAbsDiff.toFixed(2)} points of each other.</li>
@@ -2215,14 +4134,13 @@ function computeCorrelation() {
     // Correlation header (number + short summary)
     resultBox.innerHTML = `
     <strong>
-      Correlation between ${nameA} and ${nameB}:
-      <span class="corr-number ${r > 0.25 ? "corr-positive" :
-            r < -0.25 ? "corr-negative" :
-                "corr-neutral"
-        }">${rounded}</span>
+      ${info.label} between ${nameA} and ${nameB}:
+      <span class="corr-number corr-${corrClassFromR(value, metric)}">${rounded}</span>
     </strong><br/>
     <br/>
-    Compared on <strong>${xs.length}</strong> locations where both provided a score.<br/>
+    Compared on <strong>${given.length}</strong> locations where both provided a score${describeImputedOverlap(overlapDetails)}.<br/>
+    <span style="color:var(--muted);">${sig ? describeSignificance(sig) : "Too few locations rated by both for a p-value."}</span><br/>
+    ${sig ? significanceCaution(sig) : ""}
     Together, your scoring exhibits <strong>${qualitative}</strong> similarity and your preferences are mostly <strong>${direction}</strong>.
     ${explanationHtml}
     ${trendsHtml}
@@ -2235,4 +4153,5 @@ computeBtn.addEventListener("click", computeCorrelation);
 
 // Init
 initTheme();
-loadSheet();
+loadSurveys().then(loadSheet);
+scheduleAutoRefresh();
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// cli.js – run the full analysis on a local CSV / TSV / JSON file.
+//
+//   node cli.js report responses.csv [--format md|text|json] [--exponent 2] [--k 3|auto]
+//                                    [--duplicates latest|first|merge] [--metric pearson]
+//                                    [--min-overlap 3] [--normalize raw|z|rank|minmax]
+//                                    [--missing pairwise|person-mean|location-mean|knn]
+//
+// Uses the same parsing and stats modules as the page (lib/*.mjs).
+const fs = require("fs");
+const path = require("path");
+
+const USAGE = `Usage: node cli.js report <file> [options]
+
+Options:
+  --format md|text|json   output format (default: md)
+  --exponent <n>          custom ranking exponent, 0–8 (default: 2)
+  --k <n>|auto            number of clusters, or auto to pick by silhouette (default: 3)
+  --duplicates <mode>     repeat submissions: latest, first or merge (default: latest)
+  --metric <name>         similarity: pearson, spearman, kendall, cosine or mad (default: pearson)
+  --min-overlap <n>       fewest shared locations for the most aligned/opposite pair (default: 3)
+  --normalize <mode>      per-person scores: raw, z, rank or minmax (default: raw)
+  --missing <strategy>    skipped scores: pairwise, person-mean, location-mean or knn (default: pairwise)
+  --help                  show this message`;
+
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--help" || arg === "-h") {
+            options.help = true;
+        } else if (arg.startsWith("--")) {
+            const eq = arg.indexOf("=");
+            if (eq !== -1) {
+                options[arg.slice(2, eq)] = arg.slice(eq + 1);
+            } else {
+                options[arg.slice(2)] = argv[++i];
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { positional, options };
+}
+
+function fail(message) {
+    process.stderr.write(message + "\n");
+    process.exit(1);
+}
+
+async function main(argv) {
+    const { positional, options } = parseArgs(argv);
+    const [command, file] = positional;
+
+    if (options.help || !command) {
+        process.stdout.write(USAGE + "\n");
+        return;
+    }
+    if (command !== "report") fail(`Unknown command "${command}".\n\n${USAGE}`);
+    if (!file) fail(`Missing input file.\n\n${USAGE}`);
+
+    const format = options.format || "md";
+    if (!["md", "text", "json"].includes(format)) {
+        fail(`--format must be md, text or json (got "${format}").`);
+    }
+
+    const { buildDataset, DUPLICATE_STRATEGIES, parseDataFile } = await import("./lib/dataset.mjs");
+    const { MAX_EXPONENT } = await import("./lib/stats.mjs");
+    const { buildReport, formatReport } = await import("./lib/report.mjs");
+    const { SIMILARITY_METRICS } = await import("./lib/similarity.mjs");
+    const { NORMALIZATION_MODES } = await import("./lib/normalize.mjs");
+    const { MISSING_STRATEGIES } = await import("./lib/missing.mjs");
+
+    const exponent = options.exponent === undefined ? 2 : Number(options.exponent);
+    if (!Number.isFinite(exponent) || exponent < 0 || exponent > MAX_EXPONENT) {
+        fail(`--exponent must be a number between 0 and ${MAX_EXPONENT}.`);
+    }
+    const k = options.k === undefined || options.k === "auto" ? options.k : Number(options.k);
+    if (k !== undefined && k !== "auto" && (!Number.isInteger(k) || k < 1)) {
+        fail("--k must be a positive integer or auto.");
+    }
+    if (options.duplicates !== undefined && !DUPLICATE_STRATEGIES.includes(options.duplicates)) {
+        fail(`--duplicates must be one of ${DUPLICATE_STRATEGIES.join(", ")}.`);
+    }
+    if (options.metric !== undefined && !SIMILARITY_METRICS.includes(options.metric)) {
+        fail(`--metric must be one of ${SIMILARITY_METRICS.join(", ")}.`);
+    }
+    const minOverlap = options["min-overlap"] === undefined ? undefined : Number(options["min-overlap"]);
+    if (minOverlap !== undefined && (!Number.isInteger(minOverlap) || minOverlap < 2)) {
+        fail("--min-overlap must be an integer of at least 2.");
+    }
+    if (options.normalize !== undefined && !NORMALIZATION_MODES.includes(options.normalize)) {
+        fail(`--normalize must be one of ${NORMALIZATION_MODES.join(", ")}.`);
+    }
+    if (options.missing !== undefined && !MISSING_STRATEGIES.includes(options.missing)) {
+        fail(`--missing must be one of ${MISSING_STRATEGIES.join(", ")}.`);
+    }
+
+    let text;
+    try {
+        text = fs.readFileSync(file, "utf8");
+    } catch (err) {
+        fail(`Could not read ${file}: ${err.message}`);
+    }
+
+    let dataset;
+    try {
+        dataset = buildDataset(parseDataFile(path.basename(file), text), {
+            strategy: options.duplicates
+        });
+    } catch (err) {
+        fail(`Could not load ${file}:\n${err.message}`);
+    }
+
+    const report = buildReport(dataset, {
+        exponent,
+        k,
+        metric: options.metric,
+        minOverlap,
+        normalization: options.normalize,
+        missing: options.missing
+    });
+    process.stdout.write(format === "json"
+        ? JSON.stringify(report, null, 2) + "\n"
+        : formatReport(report, format));
+}
+
+main(process.argv.slice(2)).catch(err => fail(err.stack || String(err)));
@@ -0,0 +1,212 @@
+// functions/_lib/api.js
+// Shared plumbing for the /api/* routes: load a survey through the same
+// cache + snapshot path as /sheet, parse it with the browser's dataset code,
+// and answer in JSON.
+import { buildDataset, canonicalName, parseCSV } from "../../lib/dataset.mjs";
+import { DEFAULT_MISSING_STRATEGY, imputePeople, MISSING_STRATEGIES } from "../../lib/missing.mjs";
+import { DEFAULT_NORMALIZATION, NORMALIZATION_MODES } from "../../lib/normalize.mjs";
+import { filterBySegment, segmentKey } from "../../lib/segments.mjs";
+import { DEFAULT_MIN_OVERLAP, DEFAULT_SIMILARITY_METRIC, SIMILARITY_METRICS } from "../../lib/similarity.mjs";
+import { CORS_HEADERS, resolveSurvey } from "./surveys.js";
+import { getSurveyCsv } from "./upstream.js";
+import { openSnapshotStore, recordSnapshot } from "./snapshots.js";
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Fetch a survey's CSV (edge-cached), archiving a snapshot when it changed
+export function loadSurveyCsv(context, survey) {
+  const store = openSnapshotStore(context.env);
+  return getSurveyCsv(context, survey, {
+    onFetched: (fetched) => recordSnapshot(store, survey.id, fetched),
+  });
+}
+
+// Resolve ?survey= and build the dataset, keeping only the ?attribute=&value=
+// segment and filling skipped scores per ?missing=.
+// Returns { survey, entry, dataset, locations, missing, segment }.
+export async function loadSurveyDataset(context) {
+  const params = new URL(context.request.url).searchParams;
+  const missing = missingParam(params);
+  const surveyId = params.get("survey");
+  const survey = resolveSurvey(surveyId);
+  if (!survey) {
+    throw new HttpError(404, `Unknown survey "${surveyId}"`);
+  }
+
+  let entry;
+  try {
+    entry = await loadSurveyCsv(context, survey);
+  } catch (err) {
+    throw new HttpError(502, err.message || "Error fetching Google Sheet");
+  }
+
+  let dataset;
+  try {
+    dataset = buildDataset(parseCSV(entry.body), {
+      strategy: params.get("duplicates") || undefined,
+    });
+  } catch (err) {
+    throw new HttpError(422, err.message);
+  }
+
+  const segment = segmentParam(params, dataset.mapping.attributeNames);
+  if (segment) {
+    const kept = filterBySegment(dataset.people, segment.attribute, segment.value);
+    if (!kept.length) {
+      throw new HttpError(400, `Nobody answered "${segment.value}" to "${segment.attribute}"`);
+    }
+    dataset = { ...dataset, people: kept };
+  }
+
+  if (missing !== DEFAULT_MISSING_STRATEGY) {
+    dataset = {
+      ...dataset,
+      people: imputePeople(dataset.people, missing, {
+        metric: metricParam(params),
+        minOverlap: minOverlapParam(params),
+      }),
+    };
+  }
+
+  return { survey, entry, dataset, locations: dataset.mapping.locationNames, missing, segment };
+}
+
+// Case- and whitespace-insensitive lookup, honouring NAME_ALIASES
+export function findPersonIndex(people, name) {
+  const key = canonicalName(name).key;
+  return people.findIndex((p) => canonicalName(p.name).key === key);
+}
+
+// Read a numeric query parameter; throws 400 when present but invalid
+export function numberParam(params, key, { fallback, min, max, integer = false }) {
+  const raw = params.get(key);
+  if (raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || (integer && !Number.isInteger(n)) || n < min || n > max) {
+    throw new HttpError(
+      400,
+      `"${key}" must be ${integer ? "an integer" : "a number"} between ${min} and ${max}`
+    );
+  }
+  return n;
+}
+
+// Read ?metric=; throws 400 for an unknown similarity metric
+export function metricParam(params) {
+  const metric = params.get("metric") || DEFAULT_SIMILARITY_METRIC;
+  if (!SIMILARITY_METRICS.includes(metric)) {
+    throw new HttpError(400, `"metric" must be one of ${SIMILARITY_METRICS.join(", ")}`);
+  }
+  return metric;
+}
+
+// Read ?minOverlap= (fewest shared locations for best/worst matches)
+export function minOverlapParam(params) {
+  return numberParam(params, "minOverlap", {
+    fallback: DEFAULT_MIN_OVERLAP,
+    min: 2,
+    max: 1000,
+    integer: true,
+  });
+}
+
+// Read ?normalize=; throws 400 for an unknown normalization mode
+export function normalizationParam(params) {
+  const mode = params.get("normalize") || DEFAULT_NORMALIZATION;
+  if (!NORMALIZATION_MODES.includes(mode)) {
+    throw new HttpError(400, `"normalize" must be one of ${NORMALIZATION_MODES.join(", ")}`);
+  }
+  return mode;
+}
+
+// Read ?missing= (how skipped scores are handled); throws 400 for an unknown strategy
+export function missingParam(params) {
+  const strategy = params.get("missing") || DEFAULT_MISSING_STRATEGY;
+  if (!MISSING_STRATEGIES.includes(strategy)) {
+    throw new HttpError(400, `"missing" must be one of ${MISSING_STRATEGIES.join(", ")}`);
+  }
+  return strategy;
+}
+
+// Read ?attribute=&value= (respondents with that answer to another form
+// question); null when absent, 400 for an unknown question or a missing value.
+// The question is matched case-insensitively and returned as in the header.
+export function segmentParam(params, attributeNames) {
+  const raw = params.get("attribute");
+  if (raw === null || raw === "") return null;
+  const attribute = attributeNames.find((name) => segmentKey(name) === segmentKey(raw));
+  if (!attribute) {
+    throw new HttpError(
+      400,
+      attributeNames.length
+        ? `"attribute" must be one of ${attributeNames.join(", ")}`
+        : "This survey has no attribute columns"
+    );
+  }
+  const value = params.get("value");
+  if (value === null) {
+    throw new HttpError(400, `"value" is required with "attribute"`);
+  }
+  return { attribute, value };
+}
+
+// Read ?by= (what the matrix compares); throws 400 for anything else
+export function matrixSubjectParam(params) {
+  const by = params.get("by") || "people";
+  if (by !== "people" && by !== "locations") {
+    throw new HttpError(400, `"by" must be one of people, locations`);
+  }
+  return by;
+}
+
+export function jsonResponse(data, { status = 200, headers = {} } = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "no-cache",
+      ...CORS_HEADERS,
+      ...headers,
+    },
+  });
+}
+
+// Wrap a GET handler: answers preflight, loads the dataset and turns thrown
+// HttpErrors into { error } JSON. handler(context, loaded, params) returns
+// the response body.
+export function apiRoute(handler) {
+  return async function onRequest(context) {
+    const { request } = context;
+
+    if (request.method === "OPTIONS") {
+      return new Response(null, { status: 204, headers: CORS_HEADERS });
+    }
+    if (request.method !== "GET") {
+      return jsonResponse({ error: "Method not allowed" }, { status: 405 });
+    }
+
+    try {
+      const loaded = await loadSurveyDataset(context);
+      const params = new URL(request.url).searchParams;
+      const body = await handler(context, loaded, params);
+      return jsonResponse(
+        {
+          survey: loaded.survey.id,
+          missing: loaded.missing,
+          ...(loaded.segment ? { segment: loaded.segment } : {}),
+          ...body,
+        },
+        { headers: { "X-Sheet-Cache": loaded.entry.cacheStatus } }
+      );
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) console.error(err);
+      return jsonResponse({ error: err.message || "Internal error" }, { status });
+    }
+  };
+}
@@ -0,0 +1,102 @@
+// functions/_lib/snapshots.js
+// Dated archive of every distinct version of a survey's CSV.
+//
+// Snapshots live in a KV namespace bound as SNAPSHOTS. Any object with the
+// KV get/put/list/delete methods works, so development can swap in another
+// store: `wrangler pages dev --kv SNAPSHOTS` keeps a file-backed copy under
+// .wrangler/state, and without a binding an in-memory store is used (lost
+// when the isolate restarts).
+//
+// Keys:
+//   snapshot:<survey>:<id>        – the CSV body, with its index item
+//                                   { id, takenAt, etag, size, rows } as KV metadata
+//
+// There is no separate index key: listing the prefix is the index, so two
+// saves racing each other can't drop one another's entry. KV listings are
+// eventually consistent, so a save right after another may not see it and
+// store the same version twice; that costs a duplicate, never a lost snapshot.
+const MAX_SNAPSHOTS = 500;
+
+const memoryStore = new Map(); // key → { value, metadata }
+const memoryKV = {
+  async get(key, type) {
+    const value = memoryStore.has(key) ? memoryStore.get(key).value : null;
+    return type === "json" && value !== null ? JSON.parse(value) : value;
+  },
+  async put(key, value, options = {}) {
+    memoryStore.set(key, { value, metadata: options.metadata ?? null });
+  },
+  async delete(key) {
+    memoryStore.delete(key);
+  },
+  async list({ prefix = "" } = {}) {
+    const keys = [...memoryStore.keys()]
+      .filter((name) => name.startsWith(prefix))
+      .sort()
+      .map((name) => ({ name, metadata: memoryStore.get(name).metadata }));
+    return { keys, list_complete: true };
+  },
+};
+
+export function openSnapshotStore(env) {
+  return (env && env.SNAPSHOTS) || memoryKV;
+}
+
+function bodyPrefix(surveyId) {
+  return `snapshot:${surveyId}:`;
+}
+
+function bodyKey(surveyId, snapshotId) {
+  return `${bodyPrefix(surveyId)}${snapshotId}`;
+}
+
+// Every snapshot of a survey, oldest first (ids sort by time)
+export async function listSnapshots(store, surveyId) {
+  const prefix = bodyPrefix(surveyId);
+  const items = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix, cursor });
+    for (const { name, metadata } of page.keys) {
+      const id = name.slice(prefix.length);
+      if (id.includes(":")) continue; // another survey whose id starts with this one's
+      items.push(metadata || { id, takenAt: null, etag: null, size: null, rows: null });
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return items.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+export async function getSnapshot(store, surveyId, snapshotId) {
+  return store.get(bodyKey(surveyId, snapshotId));
+}
+
+// Store `entry` ({ body, etag, fetchedAt }) if it differs from the newest
+// snapshot. Returns the new index item, or null when nothing changed.
+export async function recordSnapshot(store, surveyId, entry) {
+  const index = await listSnapshots(store, surveyId);
+  const latest = index[index.length - 1];
+  if (latest && latest.etag === entry.etag) return null;
+
+  const takenAt = new Date(entry.fetchedAt || Date.now()).toISOString();
+  // Sortable, URL-safe id: 2025-05-01T10-00-00-000Z
+  const id = takenAt.replace(/[:.]/g, "-");
+  const item = {
+    id,
+    takenAt,
+    etag: entry.etag,
+    size: entry.body.length,
+    // Data rows, not counting the header (a rough count: quoted newlines inflate it)
+    rows: Math.max(entry.body.split(/\r?\n/).filter((l) => l.trim()).length - 1, 0),
+  };
+
+  await store.put(bodyKey(surveyId, id), entry.body, { metadata: item });
+
+  // Oldest first past the cap; deleting twice when saves overlap is harmless
+  const excess = index.length + 1 - MAX_SNAPSHOTS;
+  for (const dropped of index.slice(0, Math.max(excess, 0))) {
+    await store.delete(bodyKey(surveyId, dropped.id));
+  }
+
+  return item;
+}
@@ -0,0 +1,31 @@
+// functions/_lib/surveys.js
+// Registry of published Google Sheets, keyed by the survey id used in
+// /sheet?survey=<id>. Add a survey by publishing its response sheet as CSV
+// (File → Share → Publish to web) and adding an entry here.
+export const SURVEYS = {
+  "trip-2025": {
+    title: "Trip locations 2025",
+    url: "https://docs.google.com/spreadsheets/d/e/2PACX-1vTnohmkk48wDzR1-ZgoJtJoJyhRZCyQBchOY28hN5F2e-P4ZloIuqBHZlk3-HIJ_OvaPLaHjaucv64P/pub?output=csv",
+  },
+};
+
+// Used when a request doesn't name a survey
+export const DEFAULT_SURVEY_ID = "trip-2025";
+
+export const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET,OPTIONS",
+  "Access-Control-Allow-Headers": "*",
+  "Access-Control-Expose-Headers": "ETag, Last-Modified, Age, X-Sheet-Cache, X-Sheet-Stale-Seconds",
+};
+
+// Returns { id, title, url } or null for an unknown id
+export function resolveSurvey(id) {
+  const surveyId = id || DEFAULT_SURVEY_ID;
+  if (!Object.prototype.hasOwnProperty.call(SURVEYS, surveyId)) return null;
+  return { id: surveyId, ...SURVEYS[surveyId] };
+}
+
+export function listSurveys() {
+  return Object.entries(SURVEYS).map(([id, s]) => ({ id, title: s.title }));
+}
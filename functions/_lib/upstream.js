@@ -0,0 +1,169 @@
+// functions/_lib/upstream.js
+// Fetches a survey's published CSV through the edge cache.
+//
+// Freshness is controlled by env vars (seconds):
+//   SHEET_CACHE_TTL   – serve the cached copy without asking Google (default 60)
+//   SHEET_CACHE_SWR   – after the TTL, keep serving the cached copy while it is
+//                       refreshed in the background (default 300)
+//   SHEET_CACHE_MAX_STALE – how long a copy is kept around to serve when Google
+//                       is failing (default 7 days)
+const DEFAULT_TTL = 60;
+const DEFAULT_SWR = 300;
+const DEFAULT_MAX_STALE = 7 * 24 * 60 * 60;
+
+function readSeconds(env, key, fallback) {
+  const raw = env && env[key];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function cacheSettings(env) {
+  return {
+    ttl: readSeconds(env, "SHEET_CACHE_TTL", DEFAULT_TTL),
+    swr: readSeconds(env, "SHEET_CACHE_SWR", DEFAULT_SWR),
+    maxStale: readSeconds(env, "SHEET_CACHE_MAX_STALE", DEFAULT_MAX_STALE),
+  };
+}
+
+// Strong ETag derived from the body, so identical content keeps its tag
+// across refreshes and isolates.
+async function computeEtag(body) {
+  const bytes = new TextEncoder().encode(body);
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  const hex = [...new Uint8Array(digest)]
+    .slice(0, 16)
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  return `"${hex}"`;
+}
+
+function getCache() {
+  return typeof caches !== "undefined" && caches.default ? caches.default : null;
+}
+
+function cacheKeyFor(request, survey) {
+  return new Request(new URL(`/__sheet-cache/${encodeURIComponent(survey.id)}`, request.url));
+}
+
+async function readCached(cache, key) {
+  if (!cache) return null;
+  const cached = await cache.match(key);
+  if (!cached) return null;
+
+  return {
+    body: await cached.text(),
+    etag: cached.headers.get("ETag"),
+    lastModified: cached.headers.get("Last-Modified"),
+    fetchedAt: Number(cached.headers.get("X-Fetched-At")) || 0,
+  };
+}
+
+async function writeCached(cache, key, entry, settings) {
+  if (!cache) return;
+  await cache.put(
+    key,
+    new Response(entry.body, {
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Cache-Control": `public, max-age=${settings.ttl + settings.swr + settings.maxStale}`,
+        ETag: entry.etag,
+        "Last-Modified": entry.lastModified,
+        "X-Fetched-At": String(entry.fetchedAt),
+      },
+    })
+  );
+}
+
+// Fetch from Google and turn it into a cache entry. Last-Modified only moves
+// when the content actually changed.
+async function fetchUpstream(survey, previous) {
+  const upstream = await fetch(survey.url);
+  if (!upstream.ok) {
+    throw new Error(`Upstream error from Google Sheets (${upstream.status})`);
+  }
+
+  const body = await upstream.text();
+  const etag = await computeEtag(body);
+  const now = Date.now();
+  const lastModified =
+    previous && previous.etag === etag && previous.lastModified
+      ? previous.lastModified
+      : new Date(now).toUTCString();
+
+  return { body, etag, lastModified, fetchedAt: now };
+}
+
+// Returns { body, etag, lastModified, fetchedAt, cacheStatus, staleSeconds }.
+// cacheStatus is one of HIT, MISS, REVALIDATING (served cached, refresh queued)
+// or STALE (Google failed, served the last good copy). Throws when Google
+// fails and there's nothing usable in the cache.
+//
+// options.onFetched(entry) runs (via waitUntil) after every successful
+// upstream fetch, including background refreshes.
+export async function getSurveyCsv(context, survey, options = {}) {
+  const { request, env } = context;
+  const settings = cacheSettings(env);
+  const cache = getCache();
+  const key = cacheKeyFor(request, survey);
+
+  const cached = await readCached(cache, key);
+  const ageSeconds = cached ? (Date.now() - cached.fetchedAt) / 1000 : Infinity;
+
+  if (cached && ageSeconds <= settings.ttl) {
+    return { ...cached, cacheStatus: "HIT", staleSeconds: 0 };
+  }
+
+  const afterFetch = (entry) =>
+    Promise.all([
+      writeCached(cache, key, entry, settings),
+      options.onFetched ? options.onFetched(entry) : null,
+    ]);
+
+  if (cached && ageSeconds <= settings.ttl + settings.swr) {
+    const refresh = fetchUpstream(survey, cached)
+      .then(afterFetch)
+      .catch((err) => console.warn("Background sheet refresh failed:", err.message));
+    if (context.waitUntil) context.waitUntil(refresh);
+    return { ...cached, cacheStatus: "REVALIDATING", staleSeconds: 0 };
+  }
+
+  try {
+    const entry = await fetchUpstream(survey, cached);
+    const write = afterFetch(entry).catch((err) =>
+      console.warn("Storing the fetched sheet failed:", err.message)
+    );
+    if (context.waitUntil) context.waitUntil(write);
+    else await write;
+    return { ...entry, cacheStatus: "MISS", staleSeconds: 0 };
+  } catch (err) {
+    if (cached && ageSeconds <= settings.ttl + settings.swr + settings.maxStale) {
+      return {
+        ...cached,
+        cacheStatus: "STALE",
+        staleSeconds: Math.round(ageSeconds),
+      };
+    }
+    throw err;
+  }
+}
+
+// True when the client's validators match the entry (→ 304)
+export function isNotModified(request, entry) {
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  if (ifNoneMatch) {
+    return ifNoneMatch
+      .split(",")
+      .map((t) => t.trim().replace(/^W\//, ""))
+      .some((t) => t === "*" || t === entry.etag);
+  }
+
+  const ifModifiedSince = request.headers.get("If-Modified-Since");
+  if (ifModifiedSince && entry.lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    const modified = Date.parse(entry.lastModified);
+    return Number.isFinite(since) && Number.isFinite(modified) && modified <= since;
+  }
+
+  return false;
+}
@@ -0,0 +1,48 @@
+// functions/api/clusters.js
+// GET /api/clusters?survey=<id>&k=3&normalize=raw → k-means clusters with each
+// cluster's size, silhouette and favorite / least favorite location. k=auto
+// picks k by silhouette and adds the per-k `scree`.
+import {
+  AUTO_CLUSTER_COUNT,
+  computeClusterLocationExtremes,
+  computeClusters,
+  DEFAULT_CLUSTER_COUNT,
+} from "../../lib/clusters.mjs";
+import { apiRoute, HttpError, normalizationParam, numberParam } from "../_lib/api.js";
+
+export const onRequest = apiRoute((context, { dataset, locations }, params) => {
+  const { people } = dataset;
+  if (people.length < 2) {
+    throw new HttpError(422, "Not enough people to form clusters.");
+  }
+
+  const requestedK = params.get("k") === AUTO_CLUSTER_COUNT
+    ? AUTO_CLUSTER_COUNT
+    : numberParam(params, "k", {
+      fallback: Math.min(DEFAULT_CLUSTER_COUNT, people.length),
+      min: 1,
+      max: people.length,
+      integer: true,
+    });
+
+  const normalization = normalizationParam(params);
+  const { assignments, k, auto, silhouette, scree } = computeClusters(people, requestedK);
+  const sizes = new Array(k).fill(0);
+  for (const c of assignments) sizes[c]++;
+  const clusters = computeClusterLocationExtremes(people, locations, assignments, k, { normalization }).map((cl) => ({
+    ...cl,
+    cluster: cl.cluster + 1,
+    size: sizes[cl.cluster],
+    silhouette: silhouette.perCluster[cl.cluster],
+  }));
+
+  return {
+    k,
+    auto,
+    normalization,
+    silhouette: silhouette.overall,
+    assignments: people.map((p, i) => ({ name: p.name, cluster: assignments[i] + 1 })),
+    clusters,
+    ...(scree ? { scree } : {}),
+  };
+});
@@ -0,0 +1,23 @@
+// functions/api/matrix.js
+// GET /api/matrix?survey=<id>&metric=<pearson|spearman|kendall|cosine|mad>&by=<people|locations>
+// → pairwise similarities in sheet order:
+// { survey, metric, by, people: [name], locations: [name],
+//   matrix: [[{ r, overlap, pValue, ci, method }]] }
+// by=locations compares locations (rows follow `locations`) over the people
+// who rated both.
+import { computeCorrelationMatrix, locationsAsPeople } from "../../lib/stats.mjs";
+import { apiRoute, matrixSubjectParam, metricParam } from "../_lib/api.js";
+
+export const onRequest = apiRoute((context, { dataset, locations }, params) => {
+  const { people } = dataset;
+  const metric = metricParam(params);
+  const by = matrixSubjectParam(params);
+  const items = by === "locations" ? locationsAsPeople(people, locations) : people;
+  return {
+    metric,
+    by,
+    people: people.map((p) => p.name),
+    locations,
+    matrix: computeCorrelationMatrix(items, undefined, metric),
+  };
+});
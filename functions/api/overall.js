@@ -0,0 +1,37 @@
+// functions/api/overall.js
+// GET /api/overall?survey=<id>&metric=<name>&minOverlap=<n>&normalize=<mode>
+// → the numbers behind the Overall statistics tab (pair extremes use the given
+// similarity metric and overlap-adjusted scores; polarization and the
+// location ranking use the normalized scores)
+import {
+  computeGlobalPairExtremes,
+  computeGlobalSummary,
+  computeLocationSignedSquaredSums,
+  computePersonStats,
+  computePolarizationExtremes,
+} from "../../lib/stats.mjs";
+import { withoutImputed } from "../../lib/missing.mjs";
+import { apiRoute, metricParam, minOverlapParam, normalizationParam } from "../_lib/api.js";
+
+export const onRequest = apiRoute((context, { dataset, locations }, params) => {
+  const { people } = dataset;
+  const metric = metricParam(params);
+  const normalization = normalizationParam(params);
+  const locationScores = computeLocationSignedSquaredSums(people, locations, { normalization });
+
+  // Counts and averages describe the answers as given, not the filled-in scores
+  const given = withoutImputed(people);
+
+  return {
+    summary: computeGlobalSummary(given),
+    people: given
+      .map(computePersonStats)
+      .filter(Boolean)
+      .sort((a, b) => b.mean - a.mean),
+    metric,
+    pairs: computeGlobalPairExtremes(people, metric, { minOverlap: minOverlapParam(params) }),
+    normalization,
+    polarization: computePolarizationExtremes(people, locations, { normalization }),
+    locationRanking: locationScores ? locationScores.ranking : [],
+  };
+});
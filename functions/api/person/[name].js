@@ -0,0 +1,52 @@
+// functions/api/person/[name].js
+// GET /api/person/<name>?survey=<id>&metric=<name>&minOverlap=<n> → one
+// person's Individual statistics; `imputed` lists the locations whose score
+// was filled in by ?missing= (stats, favourites and mostDifferent ignore those).
+// Names match case- and whitespace-insensitively.
+import { computeClusters, DEFAULT_CLUSTER_COUNT } from "../../../lib/clusters.mjs";
+import { isImputed, withoutImputed } from "../../../lib/missing.mjs";
+import { predictMissingScores } from "../../../lib/predict.mjs";
+import {
+  computeBestAndWorstFor,
+  computeFavoriteLocations,
+  computeMostDifferentLocation,
+  computePersonStats,
+} from "../../../lib/stats.mjs";
+import { apiRoute, findPersonIndex, HttpError, metricParam, minOverlapParam } from "../../_lib/api.js";
+
+export const onRequest = apiRoute((context, { dataset, locations }, params) => {
+  const { people } = dataset;
+  const name = String(context.params.name || "");
+  const idx = findPersonIndex(people, name);
+  if (idx === -1) {
+    throw new HttpError(404, `No person named "${name}"`);
+  }
+
+  const person = people[idx];
+  const metric = metricParam(params);
+  const minOverlap = minOverlapParam(params);
+  const { best, worst } = computeBestAndWorstFor(people, person, metric, { minOverlap });
+  const given = withoutImputed(people);
+  const { favorite, leastFavorite } = computeFavoriteLocations(given[idx], locations);
+
+  let cluster = null;
+  if (people.length >= 2) {
+    const { assignments } = computeClusters(people, DEFAULT_CLUSTER_COUNT);
+    cluster = assignments[idx] + 1;
+  }
+
+  return {
+    name: person.name,
+    scores: Object.fromEntries(locations.map((loc, i) => [loc, person.scores[i]])),
+    imputed: locations.filter((_, i) => isImputed(person, i)),
+    stats: computePersonStats(given[idx]),
+    favorite,
+    leastFavorite,
+    mostDifferent: computeMostDifferentLocation(given, idx, locations),
+    metric,
+    bestMatch: best,
+    worstMatch: worst,
+    cluster,
+    predictions: predictMissingScores(given, idx, locations, { metric, minOverlap }),
+  };
+});
@@ -0,0 +1,26 @@
+// functions/api/ranking.js
+// GET /api/ranking?survey=<id>&exponent=2&normalize=raw → locations ranked by
+// Σ sign(rank) · |rank|^exponent, as on the Custom ranking tab, plus the
+// head-to-head analysis { wins, winner, loser, cycles, schulze }
+import { computeCondorcet } from "../../lib/condorcet.mjs";
+import { computeCustomRanking, MAX_EXPONENT } from "../../lib/stats.mjs";
+import { apiRoute, normalizationParam, numberParam } from "../_lib/api.js";
+
+export const onRequest = apiRoute((context, { dataset, locations }, params) => {
+  const exponent = numberParam(params, "exponent", {
+    fallback: 2,
+    min: 0,
+    max: MAX_EXPONENT,
+  });
+  const normalization = normalizationParam(params);
+
+  return {
+    exponent,
+    normalization,
+    ranking: computeCustomRanking(dataset.people, locations, exponent, { normalization }).map((loc, i) => ({
+      rank: i + 1,
+      ...loc,
+    })),
+    condorcet: computeCondorcet(dataset.people, locations),
+  };
+});
@@ -0,0 +1,43 @@
+// functions/api/segments.js
+// GET /api/segments?survey=<id>&split=<question>&a=<answer>&b=<answer> → the
+// attribute questions worth splitting by with their answers; with ?split=,
+// every answer's average per location; with ?a=&b= as well, those two
+// answers compared location by location (difference, permutation p-value and
+// its Holm adjustment across locations).
+// Averages and tests ignore scores filled in by ?missing=.
+import { withoutImputed } from "../../lib/missing.mjs";
+import { compareSegments, computeSegmentAverages, listSegmentAttributes, segmentKey } from "../../lib/segments.mjs";
+import { apiRoute, HttpError } from "../_lib/api.js";
+
+export const onRequest = apiRoute((context, { dataset, locations }, params) => {
+  const attributes = listSegmentAttributes(dataset.people, dataset.mapping.attributeNames);
+  const raw = params.get("split");
+  if (raw === null || raw === "") {
+    return { attributes };
+  }
+
+  const split = attributes.find((a) => segmentKey(a.name) === segmentKey(raw));
+  if (!split) {
+    throw new HttpError(
+      400,
+      attributes.length
+        ? `"split" must be one of ${attributes.map((a) => a.name).join(", ")}`
+        : "This survey has no attribute columns to split by"
+    );
+  }
+
+  const given = withoutImputed(dataset.people);
+  const body = { attributes, split: split.name, averages: computeSegmentAverages(given, locations, split.name) };
+  const a = params.get("a");
+  const b = params.get("b");
+  if (a !== null || b !== null) {
+    const comparison = a !== null && b !== null
+      ? compareSegments(given, locations, split.name, a, b)
+      : null;
+    if (!comparison) {
+      throw new HttpError(400, `"a" and "b" must both be answers to "${split.name}"`);
+    }
+    body.comparison = comparison;
+  }
+  return body;
+});
@@ -1,6 +1,7 @@
 // functions/sheet.js
-const GOOGLE_CSV_URL =
-  "https://docs.google.com/spreadsheets/d/e/2PACX-1vTnohmkk48wDzR1-ZgoJtJoJyhRZCyQBchOY28hN5F2e-P4ZloIuqBHZlk3-HIJ_OvaPLaHjaucv64P/pub?output=csv";
+import { CORS_HEADERS, resolveSurvey } from "./_lib/surveys.js";
+import { isNotModified } from "./_lib/upstream.js";
+import { loadSurveyCsv } from "./_lib/api.js";
 
 export async function onRequest(context) {
   const { request } = context;
@@ -9,37 +10,52 @@ export async function onRequest(context) {
   if (request.method === "OPTIONS") {
     return new Response(null, {
       status: 204,
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET,OPTIONS",
-        "Access-Control-Allow-Headers": "*",
-      },
+      headers: CORS_HEADERS,
     });
   }
 
-  try {
-    const upstream = await fetch(GOOGLE_CSV_URL, {
-      // Optional: you can tweak cf options if needed
+  const surveyId = new URL(request.url).searchParams.get("survey");
+  const survey = resolveSurvey(surveyId);
+  if (!survey) {
+    return new Response(`Unknown survey "${surveyId}"`, {
+      status: 404,
+      headers: CORS_HEADERS,
     });
+  }
 
-    if (!upstream.ok) {
-      return new Response("Upstream error from Google Sheets", {
-        status: 502,
-      });
-    }
+  let entry;
+  try {
+    // Archives a dated copy whenever the upstream content changes
+    entry = await loadSurveyCsv(context, survey);
+  } catch (err) {
+    return new Response(err.message || "Error fetching Google Sheet", {
+      status: 502,
+      headers: CORS_HEADERS,
+    });
+  }
 
-    const body = await upstream.text();
+  const headers = {
+    ...CORS_HEADERS,
+    // Browsers must revalidate every time; the edge cache decides freshness
+    "Cache-Control": "no-cache",
+    ETag: entry.etag,
+    "Last-Modified": entry.lastModified,
+    "X-Sheet-Cache": entry.cacheStatus,
+  };
+  if (entry.cacheStatus === "STALE") {
+    headers["X-Sheet-Stale-Seconds"] = String(entry.staleSeconds);
+    headers.Age = String(entry.staleSeconds);
+  }
 
-    return new Response(body, {
-      status: 200,
-      headers: {
-        "Content-Type": "text/csv; charset=utf-8",
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET,OPTIONS",
-        "Access-Control-Allow-Headers": "*",
-      },
-    });
-  } catch (err) {
-    return new Response("Error fetching Google Sheet", { status: 500 });
+  if (isNotModified(request, entry)) {
+    return new Response(null, { status: 304, headers });
   }
+
+  return new Response(entry.body, {
+    status: 200,
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      ...headers,
+    },
+  });
 }
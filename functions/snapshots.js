@@ -0,0 +1,63 @@
+// functions/snapshots.js
+// GET /snapshots?survey=<id>          → JSON { survey, snapshots: [{ id, takenAt, etag, size, rows }] }
+// GET /snapshots?survey=<id>&id=<sid> → that snapshot's CSV
+import { CORS_HEADERS, resolveSurvey } from "./_lib/surveys.js";
+import { getSnapshot, listSnapshots, openSnapshotStore } from "./_lib/snapshots.js";
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: CORS_HEADERS });
+  }
+
+  const params = new URL(request.url).searchParams;
+  const surveyId = params.get("survey");
+  const survey = resolveSurvey(surveyId);
+  if (!survey) {
+    return new Response(`Unknown survey "${surveyId}"`, {
+      status: 404,
+      headers: CORS_HEADERS,
+    });
+  }
+
+  const store = openSnapshotStore(env);
+  const snapshotId = params.get("id");
+
+  try {
+    if (!snapshotId) {
+      const snapshots = await listSnapshots(store, survey.id);
+      return new Response(JSON.stringify({ survey: survey.id, snapshots }), {
+        status: 200,
+        headers: {
+          "Content-Type": "application/json; charset=utf-8",
+          "Cache-Control": "no-cache",
+          ...CORS_HEADERS,
+        },
+      });
+    }
+
+    const body = await getSnapshot(store, survey.id, snapshotId);
+    if (body === null || body === undefined) {
+      return new Response(`Unknown snapshot "${snapshotId}"`, {
+        status: 404,
+        headers: CORS_HEADERS,
+      });
+    }
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        // Snapshots never change once written
+        "Cache-Control": "public, max-age=31536000, immutable",
+        ...CORS_HEADERS,
+      },
+    });
+  } catch (err) {
+    return new Response("Error reading snapshots", {
+      status: 500,
+      headers: CORS_HEADERS,
+    });
+  }
+}
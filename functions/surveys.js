@@ -0,0 +1,23 @@
+// functions/surveys.js
+import { CORS_HEADERS, DEFAULT_SURVEY_ID, listSurveys } from "./_lib/surveys.js";
+
+export async function onRequest(context) {
+  const { request } = context;
+
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: CORS_HEADERS });
+  }
+
+  const body = JSON.stringify({
+    default: DEFAULT_SURVEY_ID,
+    surveys: listSurveys(),
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      ...CORS_HEADERS,
+    },
+  });
+}
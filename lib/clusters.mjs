@@ -0,0 +1,442 @@
+// lib/clusters.mjs
+// k-means grouping of people by their rating profiles, with silhouette and
+// inertia diagnostics for choosing the number of clusters and a bootstrap
+// check of how stable each assignment is.
+import { normalizePeople } from "./normalize.mjs";
+import { mulberry32 } from "./random.mjs";
+import { locationLabel } from "./stats.mjs";
+
+// Default number of clusters
+export const DEFAULT_CLUSTER_COUNT = 3;
+// Pass as k to let the silhouette pick the number of clusters
+export const AUTO_CLUSTER_COUNT = "auto";
+// Largest k tried by the automatic choice and offered on the page
+export const MAX_CLUSTER_COUNT = 8;
+// k-means++ runs per clustering; the one with the lowest inertia wins
+export const KMEANS_RESTARTS = 10;
+const KMEANS_SEED = 42;
+// Bootstrap resamples for the stability check, and k-means++ restarts per resample
+export const BOOTSTRAP_RUNS = 100;
+const BOOTSTRAP_RESTARTS = 3;
+// People whose stability falls below this are reported as between clusters
+export const STABLE_ASSIGNMENT = 0.75;
+
+// Build a normalized score vector for each person (imputing missing with their mean)
+export function buildNormalizedVectors(people) {
+    if (!people.length) return [];
+
+    const numLocations = people[0].scores.length;
+    const vectors = [];
+
+    for (const person of people) {
+        const vals = person.scores.slice();
+
+        // compute mean over non-null entries
+        let sum = 0;
+        let count = 0;
+        for (const v of vals) {
+            if (v !== null) {
+                sum += v;
+                count++;
+            }
+        }
+        const mean = count > 0 ? sum / count : 0;
+
+        // impute missing with mean, then normalize (gaps only remain under
+        // pairwise deletion – the other strategies in missing.mjs fill them first)
+        let sum2 = 0;
+        const filled = new Array(numLocations);
+        for (let i = 0; i < numLocations; i++) {
+            const v = vals[i] === null ? mean : vals[i];
+            filled[i] = v;
+            sum2 += v;
+        }
+        const mu = sum2 / numLocations;
+        let varAcc = 0;
+        for (let i = 0; i < numLocations; i++) {
+            const d = filled[i] - mu;
+            varAcc += d * d;
+        }
+        const std = Math.sqrt(varAcc / numLocations) || 1;
+
+        const norm = filled.map(v => (v - mu) / std);
+        vectors.push(norm);
+    }
+    return vectors;
+}
+
+function distance2(a, b) {
+    let s = 0;
+    for (let i = 0; i < a.length; i++) {
+        const d = a[i] - b[i];
+        s += d * d;
+    }
+    return s;
+}
+
+// k-means++ seeding: the first centroid is a random person, each next one is
+// picked with probability proportional to its squared distance from the
+// nearest centroid so far
+function kMeansPlusPlusSeeds(vectors, k, random) {
+    const n = vectors.length;
+    const centroids = [vectors[Math.floor(random() * n)].slice()];
+    const nearest = vectors.map(v => distance2(v, centroids[0]));
+
+    while (centroids.length < k) {
+        const total = nearest.reduce((s, d) => s + d, 0);
+        let pick = n - 1;
+        if (total > 0) {
+            let target = random() * total;
+            for (let i = 0; i < n; i++) {
+                target -= nearest[i];
+                if (target < 0) {
+                    pick = i;
+                    break;
+                }
+            }
+        } else {
+            // Everyone left sits on a centroid already
+            pick = Math.floor(random() * n);
+        }
+        centroids.push(vectors[pick].slice());
+        vectors.forEach((v, i) => {
+            nearest[i] = Math.min(nearest[i], distance2(v, centroids[centroids.length - 1]));
+        });
+    }
+    return centroids;
+}
+
+// Lloyd iterations from the given centroids: { assignments, centroids, inertia }
+// where inertia is the within-cluster sum of squared distances
+function lloyd(vectors, centroids) {
+    const n = vectors.length;
+    const dim = vectors[0].length;
+    const k = centroids.length;
+    const assignments = new Array(n).fill(-1);
+
+    const MAX_ITERS = 25;
+    for (let iter = 0; iter < MAX_ITERS; iter++) {
+        // assign
+        let changed = false;
+        for (let i = 0; i < n; i++) {
+            let bestC = 0;
+            let bestD = Infinity;
+            for (let c = 0; c < k; c++) {
+                const d = distance2(vectors[i], centroids[c]);
+                if (d < bestD) {
+                    bestD = d;
+                    bestC = c;
+                }
+            }
+            if (assignments[i] !== bestC) {
+                assignments[i] = bestC;
+                changed = true;
+            }
+        }
+
+        // recompute centroids
+        const sums = Array.from({ length: k }, () => new Array(dim).fill(0));
+        const counts = new Array(k).fill(0);
+        for (let i = 0; i < n; i++) {
+            const c = assignments[i];
+            const v = vectors[i];
+            counts[c]++;
+            for (let d = 0; d < dim; d++) {
+                sums[c][d] += v[d];
+            }
+        }
+
+        for (let c = 0; c < k; c++) {
+            if (counts[c] === 0) continue; // leave centroid as is
+            for (let d = 0; d < dim; d++) {
+                centroids[c][d] = sums[c][d] / counts[c];
+            }
+        }
+
+        if (!changed) break;
+    }
+
+    let inertia = 0;
+    for (let i = 0; i < n; i++) inertia += distance2(vectors[i], centroids[assignments[i]]);
+    return { assignments, centroids, inertia };
+}
+
+// Number clusters in order of their first member, so labels follow the
+// people rather than whichever restart happened to win
+function relabelByFirstMember({ assignments, centroids, inertia }) {
+    const mapping = new Map();
+    for (const c of assignments) {
+        if (!mapping.has(c)) mapping.set(c, mapping.size);
+    }
+    centroids.forEach((_, c) => {
+        if (!mapping.has(c)) mapping.set(c, mapping.size);
+    });
+    const relabeled = new Array(centroids.length);
+    for (const [from, to] of mapping) relabeled[to] = centroids[from];
+    return { assignments: assignments.map(c => mapping.get(c)), centroids: relabeled, inertia };
+}
+
+// k-means on normalized vectors with k-means++ seeding, keeping the best of
+// several restarts. A fixed seed keeps the result independent of row order
+// and stable between renders. options: { restarts, seed }
+export function kMeansCluster(vectors, k, options = {}) {
+    const n = vectors.length;
+    if (!n || k <= 0) return { assignments: [], centroids: [], inertia: 0 };
+
+    k = Math.min(k, n);
+    const restarts = options.restarts ?? KMEANS_RESTARTS;
+    const random = mulberry32(options.seed ?? KMEANS_SEED);
+
+    let best = null;
+    for (let run = 0; run < restarts; run++) {
+        const result = lloyd(vectors, kMeansPlusPlusSeeds(vectors, k, random));
+        if (!best || result.inertia < best.inertia - 1e-9) best = result;
+    }
+    return relabelByFirstMember(best);
+}
+
+// Silhouette of each person (−1 … 1: how much closer they are to their own
+// cluster than to the next nearest one), averaged per cluster and overall.
+// People alone in their cluster score 0. { overall, perCluster, perPerson };
+// overall is null when k < 2 or every cluster is a singleton.
+export function silhouetteScores(vectors, assignments, k) {
+    const n = vectors.length;
+    const perPerson = new Array(n).fill(0);
+    const sizes = new Array(k).fill(0);
+    for (const c of assignments) sizes[c]++;
+
+    if (k >= 2) {
+        for (let i = 0; i < n; i++) {
+            const own = assignments[i];
+            if (sizes[own] < 2) continue;
+            const sums = new Array(k).fill(0);
+            for (let j = 0; j < n; j++) {
+                if (j !== i) sums[assignments[j]] += Math.sqrt(distance2(vectors[i], vectors[j]));
+            }
+            const a = sums[own] / (sizes[own] - 1);
+            let b = Infinity;
+            for (let c = 0; c < k; c++) {
+                if (c !== own && sizes[c] > 0) b = Math.min(b, sums[c] / sizes[c]);
+            }
+            const denom = Math.max(a, b);
+            perPerson[i] = Number.isFinite(b) && denom > 0 ? (b - a) / denom : 0;
+        }
+    }
+
+    const perCluster = sizes.map((size, c) => {
+        if (!size) return null;
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+            if (assignments[i] === c) sum += perPerson[i];
+        }
+        return sum / size;
+    });
+    const meaningful = k >= 2 && sizes.some(size => size >= 2);
+    return {
+        overall: meaningful ? perPerson.reduce((s, v) => s + v, 0) / n : null,
+        perCluster,
+        perPerson
+    };
+}
+
+// Inertia and average silhouette for k = 1 … maxK (capped at one cluster per
+// person), for an elbow / scree chart: [{ k, inertia, silhouette }]
+export function computeClusterScree(people, maxK = MAX_CLUSTER_COUNT) {
+    const vectors = buildNormalizedVectors(people);
+    const scree = [];
+    for (let k = 1; k <= Math.min(maxK, vectors.length); k++) {
+        const { assignments, inertia } = kMeansCluster(vectors, k);
+        scree.push({ k, inertia, silhouette: silhouetteScores(vectors, assignments, k).overall });
+    }
+    return scree;
+}
+
+// The k with the highest average silhouette (ties → fewer clusters); 1 when
+// no k ≥ 2 gives a positive silhouette, i.e. there is no real structure
+export function chooseClusterCount(scree) {
+    let best = null;
+    for (const entry of scree) {
+        if (entry.k < 2 || entry.silhouette === null || entry.silhouette <= 0) continue;
+        if (!best || entry.silhouette > best.silhouette + 1e-9) best = entry;
+    }
+    return best ? best.k : 1;
+}
+
+// Bootstrap co-assignment: re-run k-means on resamples of the locations
+// (drawn with replacement, a different seed each run) and count how often
+// each pair of people lands in the same cluster. A person is "stable" when
+// the runs keep reproducing who they are grouped with: their stability is the
+// mean, over everyone else, of the co-assignment rate for their cluster-mates
+// and 1 − that rate for the rest. Below STABLE_ASSIGNMENT they are flagged as
+// between clusters, with `alternative` the other cluster they most often
+// join. `assignments` is the reference clustering (computeClusters).
+// Returns { runs, coAssignment: [[rate]], people: [{ index, name, cluster,
+//   stability, between, alternative }], clusters: [{ cluster, size, stability }] }
+export function computeClusterStability(people, assignments, k, options = {}) {
+    const runs = options.runs ?? BOOTSTRAP_RUNS;
+    const vectors = buildNormalizedVectors(people);
+    const n = vectors.length;
+    const dim = n ? vectors[0].length : 0;
+    const together = Array.from({ length: n }, () => new Array(n).fill(0));
+    const random = mulberry32(options.seed ?? KMEANS_SEED);
+
+    for (let run = 0; run < runs && dim > 0; run++) {
+        const columns = Array.from({ length: dim }, () => Math.floor(random() * dim));
+        const sample = vectors.map(v => columns.map(col => v[col]));
+        const result = kMeansCluster(sample, k, { seed: Math.floor(random() * 2 ** 31), restarts: BOOTSTRAP_RESTARTS });
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                if (result.assignments[i] === result.assignments[j]) {
+                    together[i][j]++;
+                    together[j][i]++;
+                }
+            }
+        }
+    }
+    const coAssignment = together.map((row, i) => row.map((count, j) => (i === j ? 1 : runs ? count / runs : 0)));
+
+    const meanRate = (i, c) => {
+        let sum = 0;
+        let count = 0;
+        for (let j = 0; j < n; j++) {
+            if (j !== i && assignments[j] === c) {
+                sum += coAssignment[i][j];
+                count++;
+            }
+        }
+        return count ? sum / count : null;
+    };
+
+    const personResults = people.map((p, i) => {
+        let agreement = 0;
+        for (let j = 0; j < n; j++) {
+            if (j === i) continue;
+            agreement += assignments[j] === assignments[i] ? coAssignment[i][j] : 1 - coAssignment[i][j];
+        }
+        const stability = n > 1 ? agreement / (n - 1) : 1;
+
+        let alternative = null;
+        let alternativeRate = -1;
+        for (let c = 0; c < k; c++) {
+            if (c === assignments[i]) continue;
+            const rate = meanRate(i, c);
+            if (rate !== null && rate > alternativeRate) {
+                alternative = c;
+                alternativeRate = rate;
+            }
+        }
+        return {
+            index: i,
+            name: p.name,
+            cluster: assignments[i],
+            stability,
+            between: k > 1 && stability < STABLE_ASSIGNMENT,
+            alternative
+        };
+    });
+
+    const clusterResults = [];
+    for (let c = 0; c < k; c++) {
+        const members = personResults.filter(r => r.cluster === c);
+        clusterResults.push({
+            cluster: c,
+            size: members.length,
+            stability: members.length ? members.reduce((s, r) => s + r.stability, 0) / members.length : null
+        });
+    }
+
+    return { runs, coAssignment, people: personResults, clusters: clusterResults };
+}
+
+// Compute per-cluster favorite & least favorite locations (averages of
+// options.normalization-scaled scores; raw by default)
+export function computeClusterLocationExtremes(people, locationNames, assignments, k, options = {}) {
+    if (!people.length) return [];
+    people = normalizePeople(people, options.normalization);
+    const numLocations = people[0].scores.length;
+
+    const result = [];
+    for (let c = 0; c < k; c++) {
+        const memberIdxs = [];
+        for (let i = 0; i < assignments.length; i++) {
+            if (assignments[i] === c) memberIdxs.push(i);
+        }
+        if (!memberIdxs.length) {
+            result.push({
+                cluster: c,
+                members: [],
+                favorite: null,
+                leastFavorite: null
+            });
+            continue;
+        }
+
+        // average score per location for this cluster
+        const locStats = [];
+        for (let loc = 0; loc < numLocations; loc++) {
+            let sum = 0;
+            let count = 0;
+            for (const idx of memberIdxs) {
+                const v = people[idx].scores[loc];
+                if (v !== null) {
+                    sum += v;
+                    count++;
+                }
+            }
+            if (count > 0) {
+                locStats.push({
+                    idx: loc,
+                    name: locationLabel(locationNames, loc),
+                    mean: sum / count,
+                    count
+                });
+            }
+        }
+
+        if (!locStats.length) {
+            result.push({
+                cluster: c,
+                members: memberIdxs.map(i => people[i].name),
+                favorite: null,
+                leastFavorite: null
+            });
+            continue;
+        }
+
+        locStats.sort((a, b) => b.mean - a.mean);
+        const favorite = locStats[0];
+        const leastFavorite = locStats[locStats.length - 1];
+
+        result.push({
+            cluster: c,
+            members: memberIdxs.map(i => people[i].name),
+            favorite,
+            leastFavorite
+        });
+    }
+
+    return result;
+}
+
+// Cluster everyone: { assignments, centroids, k, auto, inertia, silhouette }
+// (assignments[i] is the 0-based cluster of people[i], centroids are in the
+// standardized space of buildNormalizedVectors). k may be AUTO_CLUSTER_COUNT
+// to pick it by silhouette; `scree` is then included as well.
+export function computeClusters(people, k = DEFAULT_CLUSTER_COUNT) {
+    const vectors = buildNormalizedVectors(people);
+    const auto = k === AUTO_CLUSTER_COUNT;
+    const scree = auto ? computeClusterScree(people) : null;
+    if (auto) k = chooseClusterCount(scree);
+    k = Math.max(Math.min(k, vectors.length), 1);
+
+    const { assignments, centroids, inertia } = kMeansCluster(vectors, k);
+    return {
+        assignments,
+        centroids,
+        k,
+        auto,
+        inertia,
+        silhouette: silhouetteScores(vectors, assignments, k),
+        ...(scree ? { scree } : {})
+    };
+}
@@ -0,0 +1,121 @@
+// lib/condorcet.mjs
+// Head-to-head (pairwise majority) comparison of locations: for every pair,
+// how many people who rated both scored one above the other. Finds the
+// Condorcet winner / loser, majority cycles, and a Schulze ordering.
+import { locationLabel } from "./stats.mjs";
+
+// wins[a][b] = number of people who rated both a and b and scored a higher
+export function computePairwiseWins(people) {
+    if (!people.length) return [];
+    const numLocations = people[0].scores.length;
+    const wins = Array.from({ length: numLocations }, () => new Array(numLocations).fill(0));
+
+    for (const p of people) {
+        for (let a = 0; a < numLocations; a++) {
+            const sa = p.scores[a];
+            if (sa === null) continue;
+            for (let b = 0; b < numLocations; b++) {
+                const sb = p.scores[b];
+                if (a !== b && sb !== null && sa > sb) wins[a][b]++;
+            }
+        }
+    }
+    return wins;
+}
+
+// Strongly connected components of the "a beats b" graph with more than one
+// location – every such group contains a majority cycle (a > b > c > a)
+function findCycles(beats, n) {
+    let counter = 0;
+    const index = new Array(n).fill(-1);
+    const low = new Array(n).fill(0);
+    const onStack = new Array(n).fill(false);
+    const stack = [];
+    const groups = [];
+
+    function visit(v) {
+        index[v] = low[v] = counter++;
+        stack.push(v);
+        onStack[v] = true;
+        for (let w = 0; w < n; w++) {
+            if (!beats(v, w)) continue;
+            if (index[w] === -1) {
+                visit(w);
+                low[v] = Math.min(low[v], low[w]);
+            } else if (onStack[w]) {
+                low[v] = Math.min(low[v], index[w]);
+            }
+        }
+        if (low[v] === index[v]) {
+            const group = [];
+            let w;
+            do {
+                w = stack.pop();
+                onStack[w] = false;
+                group.push(w);
+            } while (w !== v);
+            if (group.length > 1) groups.push(group.sort((x, y) => x - y));
+        }
+    }
+
+    for (let v = 0; v < n; v++) {
+        if (index[v] === -1) visit(v);
+    }
+    return groups;
+}
+
+// Full analysis: { wins, winner, loser, cycles: [[{ index, name }]],
+// schulze: [{ index, name, rank, beats }] }. winner / loser are { index, name }
+// or null; schulze is best first and tied locations share a rank. Locations
+// nobody rated are left out of the ordering.
+export function computeCondorcet(people, locationNames) {
+    const wins = computePairwiseWins(people);
+    const n = wins.length;
+    const loc = (i) => ({ index: i, name: locationLabel(locationNames, i) });
+
+    const rated = [];
+    for (let i = 0; i < n; i++) {
+        if (people.some(p => p.scores[i] !== null)) rated.push(i);
+    }
+    const beats = (a, b) => a !== b && rated.includes(a) && rated.includes(b) && wins[a][b] > wins[b][a];
+
+    let winner = null;
+    let loser = null;
+    for (const a of rated) {
+        const others = rated.filter(b => b !== a);
+        if (!others.length) break;
+        if (others.every(b => beats(a, b))) winner = loc(a);
+        if (others.every(b => beats(b, a))) loser = loc(a);
+    }
+
+    const cycles = findCycles(beats, n).map(group => group.map(loc));
+
+    // Schulze: strength of the strongest path between each pair (winning votes)
+    const strength = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (const a of rated) {
+        for (const b of rated) {
+            if (beats(a, b)) strength[a][b] = wins[a][b];
+        }
+    }
+    for (const k of rated) {
+        for (const a of rated) {
+            if (a === k) continue;
+            for (const b of rated) {
+                if (b === k || b === a) continue;
+                strength[a][b] = Math.max(strength[a][b], Math.min(strength[a][k], strength[k][b]));
+            }
+        }
+    }
+
+    const schulze = rated
+        .map(a => ({
+            ...loc(a),
+            beats: rated.filter(b => b !== a && strength[a][b] > strength[b][a]).length
+        }))
+        .sort((x, y) => y.beats - x.beats || x.index - y.index);
+    schulze.forEach((entry, i) => {
+        entry.rank = i > 0 && schulze[i - 1].beats === entry.beats ? schulze[i - 1].rank : i + 1;
+    });
+
+    return { wins, winner, loser, cycles, schulze };
+}
@@ -0,0 +1,543 @@
+// lib/dataset.mjs
+// Turns parsed sheet rows into the { name, scores, attributes } people model:
+// column mapping, cell validation and repeat-submission handling. No DOM access, so
+// the browser app, the worker and the CLI all share it.
+
+// === CONFIG ===
+// Column detection: the header row is scanned for these questions, wherever they sit
+// A header that is just the name question ("Name", "Your name", "What is your name?")
+// wins over one that merely mentions "name", e.g. "Restaurant name you'd add"
+export const EXACT_NAME_HEADER_PATTERN = /^\s*(?:(?:your|full)\s+name|name|what(?:'s|\s+is)\s+your\s+(?:full\s+)?name)\s*[?:]?\s*$/i;
+export const NAME_HEADER_PATTERN = /\bname\b/i;
+export const TIMESTAMP_HEADER_PATTERN = /\btimestamp\b/i;
+export const SCORE_HEADER_PATTERN = /Score the following locations:\s*\[(.+?)\]\s*$/i;
+
+// Explicit mapping used when a column can't be detected from the header.
+// Columns are spreadsheet letters (A = first column).
+export const COLUMN_MAPPING_FALLBACK = {
+    timestamp: "A",
+    name: "B",
+    scores: ["F", "G", "H", "I", "J", "K"]
+};
+
+// Valid range of a score; anything outside is reported and ignored
+export const SCORE_SCALE = { min: -3, max: 3 };
+
+// Repeat submissions (same name, ignoring case and spacing) are resolved by
+// the form timestamp (see parseSheetTimestamps): "latest" keeps the newest
+// row, "first" the oldest, "merge" fills each location with the newest
+// non-empty answer.
+export const DUPLICATE_STRATEGIES = ["latest", "first", "merge"];
+export const DEFAULT_DUPLICATE_STRATEGY = "latest";
+
+// Different spellings of the same person → the name to show.
+// Keys are matched case- and whitespace-insensitively.
+export const NAME_ALIASES = {
+    // "Bob": "Robert K.",
+};
+
+// --- Robust CSV parser that handles quotes & commas ---
+// Pass "\t" as the delimiter for TSV.
+export function parseCSV(text, delimiter = ",") {
+    const rows = [];
+    let currentRow = [];
+    let currentField = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (ch === '"') {
+            // Handle double quotes ("") inside a quoted field
+            if (inQuotes && text[i + 1] === '"') {
+                currentField += '"';
+                i++; // skip the next quote
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (ch === delimiter && !inQuotes) {
+            // Field boundary
+            currentRow.push(currentField);
+            currentField = "";
+        } else if ((ch === "\n" || ch === "\r") && !inQuotes) {
+            // End of line
+            if (ch === "\r" && text[i + 1] === "\n") {
+                i++; // handle CRLF
+            }
+            currentRow.push(currentField);
+            rows.push(currentRow);
+            currentRow = [];
+            currentField = "";
+        } else {
+            currentField += ch;
+        }
+    }
+
+    // Last field / row
+    if (currentField.length > 0 || currentRow.length > 0) {
+        currentRow.push(currentField);
+        rows.push(currentRow);
+    }
+
+    // Filter out rows that are completely empty
+    return rows.filter(row =>
+        row.some(cell => String(cell).trim().length > 0)
+    );
+}
+
+// --- COLUMN MAPPING ---
+// "F" → 5, "AA" → 26
+export function columnLetterToIndex(letters) {
+    let idx = 0;
+    for (const ch of String(letters).trim().toUpperCase()) {
+        const code = ch.charCodeAt(0);
+        if (code < 65 || code > 90) return -1;
+        idx = idx * 26 + (code - 64);
+    }
+    return idx - 1;
+}
+
+// 5 → "F", 26 → "AA"
+export function columnIndexToLetter(idx) {
+    let letters = "";
+    let n = idx + 1;
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        letters = String.fromCharCode(65 + rem) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+// Compact column list for status text, e.g. [5,6,7,9] → "F–H, J"
+export function describeColumns(cols) {
+    const parts = [];
+    let i = 0;
+    while (i < cols.length) {
+        let j = i;
+        while (j + 1 < cols.length && cols[j + 1] === cols[j] + 1) j++;
+        parts.push(i === j
+            ? columnIndexToLetter(cols[i])
+            : `${columnIndexToLetter(cols[i])}–${columnIndexToLetter(cols[j])}`);
+        i = j + 1;
+    }
+    return parts.join(", ");
+}
+
+export function locationNameFromHeader(header, fallbackIdx) {
+    const text = String(header || "");
+    const m = text.match(SCORE_HEADER_PATTERN);
+    if (m) {
+        return m[1].trim(); // e.g., "Vancouver"
+    }
+    return text.trim() || `Location ${fallbackIdx + 1}`;
+}
+
+// Scan the header for the name question and every "Score the following
+// locations: [X]" column. Anything not found falls back to
+// COLUMN_MAPPING_FALLBACK; throws with a readable message if that fails too.
+// Every other column with a header (home city, diet, …) becomes a respondent
+// attribute, named after its header.
+export function resolveColumnMapping(header) {
+    const problems = [];
+
+    let scoreCols = [];
+    let scoreSource = "detected";
+    header.forEach((cell, idx) => {
+        if (SCORE_HEADER_PATTERN.test(String(cell || ""))) scoreCols.push(idx);
+    });
+
+    if (!scoreCols.length) {
+        scoreSource = "fallback";
+        const fallback = (COLUMN_MAPPING_FALLBACK.scores || []).map(columnLetterToIndex);
+        const missing = fallback.filter(idx => idx < 0 || idx >= header.length);
+        if (!fallback.length || missing.length) {
+            problems.push(
+                "No score columns found: no header looks like " +
+                "\"Score the following locations: [Location]\"" +
+                (fallback.length
+                    ? ` and the fallback columns ${COLUMN_MAPPING_FALLBACK.scores.join(", ")} are not all in the sheet.`
+                    : " and no fallback score columns are configured.")
+            );
+        } else {
+            scoreCols = fallback;
+        }
+    }
+
+    const findHeader = pattern => header.findIndex((cell, idx) =>
+        !scoreCols.includes(idx) && pattern.test(String(cell || ""))
+    );
+    let nameCol = findHeader(EXACT_NAME_HEADER_PATTERN);
+    if (nameCol === -1) nameCol = findHeader(NAME_HEADER_PATTERN);
+    let nameSource = "detected";
+
+    if (nameCol === -1) {
+        nameSource = "fallback";
+        nameCol = COLUMN_MAPPING_FALLBACK.name
+            ? columnLetterToIndex(COLUMN_MAPPING_FALLBACK.name)
+            : -1;
+        if (nameCol < 0 || nameCol >= header.length) {
+            problems.push(
+                "No name column found: no header mentions \"name\"" +
+                (COLUMN_MAPPING_FALLBACK.name
+                    ? ` and the fallback column ${COLUMN_MAPPING_FALLBACK.name} is not in the sheet.`
+                    : " and no fallback name column is configured.")
+            );
+        } else if (scoreCols.includes(nameCol)) {
+            problems.push(
+                `The fallback name column ${COLUMN_MAPPING_FALLBACK.name} is also a score column.`
+            );
+        }
+    }
+
+    if (problems.length) {
+        throw new Error("Could not map the sheet columns.\n" + problems.join("\n"));
+    }
+
+    // Timestamp is optional: without it, later rows count as newer
+    let timestampCol = header.findIndex((cell, idx) =>
+        idx !== nameCol && !scoreCols.includes(idx) &&
+        TIMESTAMP_HEADER_PATTERN.test(String(cell || ""))
+    );
+    if (timestampCol === -1 && COLUMN_MAPPING_FALLBACK.timestamp) {
+        const fallback = columnLetterToIndex(COLUMN_MAPPING_FALLBACK.timestamp);
+        if (fallback >= 0 && fallback < header.length && fallback !== nameCol && !scoreCols.includes(fallback)) {
+            timestampCol = fallback;
+        }
+    }
+
+    const attributeCols = [];
+    const attributeNames = [];
+    header.forEach((cell, idx) => {
+        const text = String(cell || "").trim().replace(/\s+/g, " ");
+        if (!text || idx === nameCol || idx === timestampCol || scoreCols.includes(idx)) return;
+        // Two columns with the same question get " (2)", " (3)", …
+        let name = text;
+        for (let n = 2; attributeNames.includes(name); n++) name = `${text} (${n})`;
+        attributeCols.push(idx);
+        attributeNames.push(name);
+    });
+
+    return {
+        nameCol,
+        scoreCols,
+        timestampCol: timestampCol === -1 ? null : timestampCol,
+        attributeCols,
+        attributeNames,
+        locationNames: scoreCols.map((col, i) => locationNameFromHeader(header[col], i)),
+        nameSource,
+        scoreSource
+    };
+}
+
+// --- DATA VALIDATION ---
+// Parse one score cell. Returns { value, issue } where value is the number
+// used by the stats (or null) and issue explains why a non-empty cell was
+// changed: { kind: "coerced" | "out-of-range", message }.
+export function parseScoreCell(raw) {
+    if (raw === undefined || raw === null || String(raw).trim() === "") {
+        return { value: null, issue: null };
+    }
+
+    // Accept "3", "+3", "-1.5"; reject typos like "3-" or "++2"
+    const cleaned = String(raw).trim();
+    if (!/^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(cleaned)) {
+        return {
+            value: null,
+            issue: { kind: "coerced", message: "treated as not rated." }
+        };
+    }
+
+    const num = Number(cleaned);
+    if (num < SCORE_SCALE.min || num > SCORE_SCALE.max) {
+        return {
+            value: null,
+            issue: {
+                kind: "out-of-range",
+                message: `outside the ${SCORE_SCALE.min} to ${SCORE_SCALE.max} scale, ignored.`
+            }
+        };
+    }
+    return { value: num, issue: null };
+}
+
+// --- REPEAT SUBMISSIONS ---
+export function normalizeName(name) {
+    return String(name || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+const normalizedAliases = new Map(
+    Object.entries(NAME_ALIASES).map(([alias, name]) => [normalizeName(alias), name])
+);
+
+// Key used to decide whether two rows are the same person, plus the name to display
+export function canonicalName(name) {
+    const aliased = normalizedAliases.get(normalizeName(name));
+    const display = aliased || String(name).trim().replace(/\s+/g, " ");
+    return { key: normalizeName(display), display };
+}
+
+// Form timestamps as Google Sheets exports them, depending on the sheet's
+// locale: "2026-10-18 14:03:11", "10/18/2026 14:03:11" or "18/10/2026
+// 14:03:11" / "18.10.2026 14:03:11". Date.parse guesses (or gives up) on the
+// slash forms, so they are read here. Day and month order is decided once for
+// the whole column: day first when a first part is above 12 or the separator
+// is ".", month first (the US export) otherwise. Returns ms per value (the
+// clock time read as UTC: only the order matters), NaN when unreadable –
+// those rows then keep sheet order.
+const ISO_TIMESTAMP = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const LOCALE_TIMESTAMP = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2}),?(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]m)?)?$/i;
+
+export function parseSheetTimestamps(values) {
+    const localeParts = values.map(v => LOCALE_TIMESTAMP.exec(String(v ?? "").trim()));
+    const dayFirst = localeParts.some(m => m && (Number(m[1]) > 12 || m[2] === "."));
+
+    return values.map((value, i) => {
+        const text = String(value ?? "").trim();
+        const iso = ISO_TIMESTAMP.exec(text);
+        if (iso) {
+            // An explicit zone is honoured; otherwise the clock time as UTC, like the rest
+            if (iso[7]) return Date.parse(text.replace(" ", "T").replace(/\s+(?=Z|[+-]\d)/i, ""));
+            return Date.UTC(+iso[1], +iso[2] - 1, +iso[3], +(iso[4] || 0), +(iso[5] || 0), +(iso[6] || 0));
+        }
+
+        const m = localeParts[i];
+        if (!m) return NaN;
+        const [day, month] = dayFirst ? [+m[1], +m[3]] : [+m[3], +m[1]];
+        if (month < 1 || month > 12 || day < 1 || day > 31) return NaN;
+        const year = m[4].length === 2 ? 2000 + Number(m[4]) : Number(m[4]);
+        let hours = +(m[5] || 0);
+        if (m[8]) hours = (hours % 12) + (m[8].toLowerCase() === "pm" ? 12 : 0);
+        return Date.UTC(year, month - 1, day, hours, +(m[6] || 0), +(m[7] || 0));
+    });
+}
+
+// entries: [{ name, scores, attributes, timestamp (ms or NaN), rowNumber }] in
+// sheet order; attributes follow the same strategy as the scores.
+// Returns { people, merges } where merges lists every name that had more
+// than one row: { name, rows: [rowNumber], kept: rowNumber | null (merged) }.
+export function resolveRepeatSubmissions(entries, strategy) {
+    const groups = new Map(); // key → { display, rows: [] }
+    for (const entry of entries) {
+        const { key, display } = canonicalName(entry.name);
+        if (!groups.has(key)) groups.set(key, { display, rows: [] });
+        groups.get(key).rows.push(entry);
+    }
+
+    const result = [];
+    const merges = [];
+
+    for (const { display, rows } of groups.values()) {
+        // Oldest → newest; rows without a usable timestamp keep sheet order
+        const ordered = rows.slice().sort((a, b) => {
+            const ta = a.timestamp;
+            const tb = b.timestamp;
+            if (Number.isFinite(ta) && Number.isFinite(tb) && ta !== tb) return ta - tb;
+            return a.rowNumber - b.rowNumber;
+        });
+
+        let scores;
+        let attributes;
+        let kept = null;
+        if (ordered.length === 1 || strategy !== "merge") {
+            const winner = strategy === "first" ? ordered[0] : ordered[ordered.length - 1];
+            scores = winner.scores.slice();
+            attributes = { ...winner.attributes };
+            kept = winner.rowNumber;
+        } else {
+            scores = ordered[0].scores.slice();
+            attributes = { ...ordered[0].attributes };
+            for (const row of ordered.slice(1)) {
+                row.scores.forEach((v, i) => {
+                    if (v !== null) scores[i] = v;
+                });
+                for (const [key, value] of Object.entries(row.attributes || {})) {
+                    if (value !== "") attributes[key] = value;
+                }
+            }
+        }
+
+        // Alias targets win; otherwise show the name as typed in the kept/newest row
+        const aliased = rows.some(r => normalizedAliases.has(normalizeName(r.name)));
+        const name = aliased || ordered.length === 1
+            ? display
+            : String(ordered[ordered.length - 1].name).trim().replace(/\s+/g, " ");
+
+        result.push({ name, scores, attributes: attributes || {} });
+        if (ordered.length > 1) {
+            merges.push({
+                name,
+                rows: ordered.map(r => r.rowNumber).sort((a, b) => a - b),
+                kept
+            });
+        }
+    }
+
+    return { people: result, merges };
+}
+
+// --- BUILD A DATASET FROM PARSED ROWS ---
+// Map the columns, validate every cell and resolve repeat submissions.
+// options.strategy picks how repeat submissions are resolved (see
+// DUPLICATE_STRATEGIES). Returns { header, mapping, people, issues, merges,
+// strategy }; throws if the rows can't be used.
+export function buildDataset(rows, options = {}) {
+    const header = rows[0] || [];
+    const dataRows = rows.slice(1);     // skip header
+
+    const mapping = resolveColumnMapping(header);
+    const { nameCol, scoreCols, timestampCol } = mapping;
+
+    const issues = [];
+    const entries = [];
+    const rawTimestamps = [];
+    for (let r = 0; r < dataRows.length; r++) {
+        const row = dataRows[r];
+        const rowNumber = r + 2; // 1-based, after the header row
+
+        if (row.length !== header.length) {
+            issues.push({
+                row: rowNumber,
+                column: null,
+                raw: "",
+                kind: "ragged",
+                message: `${row.length} cells, but the header has ${header.length}.`
+            });
+        }
+
+        const rawName = (row[nameCol] || "").trim();
+        if (!rawName) {
+            issues.push({
+                row: rowNumber,
+                column: nameCol,
+                raw: row[nameCol] || "",
+                kind: "skipped",
+                message: "no name, row skipped."
+            });
+            continue;
+        }
+
+        const scores = [];
+        scoreCols.forEach((c, locIdx) => {
+            const { value, issue } = parseScoreCell(row[c]);
+            scores.push(value);
+            if (issue) {
+                issues.push({
+                    row: rowNumber,
+                    column: c,
+                    location: mapping.locationNames[locIdx],
+                    name: rawName,
+                    raw: String(row[c]),
+                    kind: issue.kind,
+                    message: issue.message
+                });
+            }
+        });
+
+        const attributes = {};
+        mapping.attributeCols.forEach((c, i) => {
+            attributes[mapping.attributeNames[i]] = String(row[c] || "").trim().replace(/\s+/g, " ");
+        });
+
+        rawTimestamps.push(timestampCol === null ? "" : String(row[timestampCol] || "").trim());
+        entries.push({ name: rawName, scores, attributes, timestamp: NaN, rowNumber });
+    }
+    // Parsed together: the column decides between day- and month-first
+    parseSheetTimestamps(rawTimestamps).forEach((ms, i) => { entries[i].timestamp = ms; });
+
+    const strategy = DUPLICATE_STRATEGIES.includes(options.strategy)
+        ? options.strategy
+        : DEFAULT_DUPLICATE_STRATEGY;
+    const { people: loaded, merges } = resolveRepeatSubmissions(entries, strategy);
+
+    if (loaded.length === 0) {
+        throw new Error(
+            `No people found in the name column (${columnIndexToLetter(nameCol)}).`
+        );
+    }
+
+    return { header, mapping, people: loaded, issues, merges, strategy };
+}
+
+// --- LOCAL FILES (CSV / TSV / JSON) ---
+// JSON files use this shape (timestamp and attributes are optional, null = not rated):
+//   {
+//     "locations": ["Vancouver", "Seattle"],
+//     "people": [{ "name": "Ana", "timestamp": "2025-05-01 10:00", "scores": [3, null],
+//                  "attributes": { "Diet": "vegetarian" } }]
+//   }
+// A plain array of rows (header first, like the CSV) is accepted too.
+export function jsonToRows(data) {
+    if (Array.isArray(data)) {
+        if (!data.every(Array.isArray)) {
+            throw new Error("A JSON array must contain rows (arrays), header row first.");
+        }
+        return data.map(row => row.map(cell => (cell === null || cell === undefined ? "" : String(cell))));
+    }
+
+    if (!data || !Array.isArray(data.locations) || !Array.isArray(data.people)) {
+        throw new Error('JSON must look like { "locations": [...], "people": [{ "name", "scores" }] }.');
+    }
+
+    const attributeNames = [];
+    for (const p of data.people) {
+        for (const key of Object.keys((p && p.attributes) || {})) {
+            if (!attributeNames.includes(key)) attributeNames.push(key);
+        }
+    }
+
+    const header = ["Timestamp", "Name"].concat(
+        attributeNames,
+        data.locations.map(loc => `Score the following locations: [${loc}]`)
+    );
+    const rows = [header];
+    data.people.forEach((p, i) => {
+        if (!p || !Array.isArray(p.scores)) {
+            throw new Error(`JSON person #${i + 1} has no "scores" array.`);
+        }
+        const cells = [p.timestamp || "", p.name || ""];
+        for (const key of attributeNames) {
+            const v = p.attributes ? p.attributes[key] : null;
+            cells.push(v === null || v === undefined ? "" : String(v));
+        }
+        for (let loc = 0; loc < data.locations.length; loc++) {
+            const v = p.scores[loc];
+            cells.push(v === null || v === undefined ? "" : String(v));
+        }
+        rows.push(cells);
+    });
+    return rows;
+}
+
+function parseJSONFile(body) {
+    let data;
+    try {
+        data = JSON.parse(body);
+    } catch (err) {
+        throw new Error("Invalid JSON: " + err.message);
+    }
+    return jsonToRows(data);
+}
+
+export function parseDataFile(fileName, text) {
+    const body = text.replace(/^\uFEFF/, ""); // strip BOM from spreadsheet exports
+    const ext = (fileName.match(/\.([^.]+)$/) || [])[1];
+    const lowerExt = ext ? ext.toLowerCase() : "";
+
+    if (lowerExt === "json") {
+        return parseJSONFile(body);
+    }
+    if (lowerExt === "tsv" || lowerExt === "tab") {
+        return parseCSV(body, "\t");
+    }
+    if (lowerExt === "csv") {
+        return parseCSV(body);
+    }
+
+    // Unknown extension: sniff the body, then the first line's delimiter
+    if (/^\s*[[{]/.test(body)) {
+        return parseJSONFile(body);
+    }
+    const firstLine = body.split(/\r?\n/, 1)[0] || "";
+    return parseCSV(body, firstLine.includes("\t") && !firstLine.includes(",") ? "\t" : ",");
+}
@@ -0,0 +1,92 @@
+// lib/group.mjs
+// Pick a location for a group of people under several decision rules, and
+// report how each member fares with every rule's pick. A skipped location
+// counts as neutral (0) for that member.
+import { locationLabel } from "./stats.mjs";
+
+export const GROUP_RULES = ["utilitarian", "maximin", "borda", "approval", "median"];
+// Scores at or above this count as approval by default
+export const DEFAULT_APPROVAL_THRESHOLD = 1;
+
+export const GROUP_RULE_INFO = {
+    utilitarian: { label: "Utilitarian", description: "highest total score" },
+    maximin: { label: "Maximin", description: "best score for the least happy member" },
+    borda: { label: "Borda count", description: "points for how far up each member's own list it is" },
+    approval: { label: "Approval", description: "most members scoring it at or above the threshold" },
+    median: { label: "Median", description: "highest median score" }
+};
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Where `score` sits in someone's own list: 0 = their worst, 1 = their best
+// (ties count half), so it compares across people who use the scale differently
+function relativeStanding(scores, score) {
+    if (scores.length < 2) return 1;
+    let below = 0;
+    let ties = 0;
+    for (const v of scores) {
+        if (v < score) below++;
+        else if (v === score) ties++;
+    }
+    return (below + (ties - 1) / 2) / (scores.length - 1);
+}
+
+// members: people objects. Returns one entry per rule:
+// { rule, ranking: [{ index, name, value }], winner, members: [{ name, score,
+//   satisfaction, unhappy }], unhappy: [name] } – ranking best first, ties
+// broken by total score, then by location order.
+export function computeGroupDecision(members, locationNames, options = {}) {
+    if (!members.length) return [];
+    const threshold = options.threshold ?? DEFAULT_APPROVAL_THRESHOLD;
+    const numLocations = members[0].scores.length;
+    const filled = members.map(m => m.scores.map(v => (v === null ? 0 : v)));
+
+    const columns = [];
+    for (let loc = 0; loc < numLocations; loc++) {
+        const values = filled.map(scores => scores[loc]);
+        columns.push({
+            index: loc,
+            name: locationLabel(locationNames, loc),
+            values,
+            sum: values.reduce((s, v) => s + v, 0)
+        });
+    }
+
+    const ruleValue = {
+        utilitarian: (col) => col.sum,
+        maximin: (col) => Math.min(...col.values),
+        borda: (col) => filled.reduce((s, scores) => s + relativeStanding(scores, scores[col.index]) * (numLocations - 1), 0),
+        approval: (col) => col.values.filter(v => v >= threshold).length,
+        median: (col) => median(col.values)
+    };
+
+    return GROUP_RULES.map(rule => {
+        const ranking = columns
+            .map(col => ({ index: col.index, name: col.name, value: ruleValue[rule](col), sum: col.sum }))
+            .sort((a, b) => b.value - a.value || b.sum - a.sum || a.index - b.index)
+            .map(({ index, name, value }) => ({ index, name, value }));
+
+        const winner = ranking[0];
+        const memberResults = members.map((m, i) => {
+            const score = m.scores[winner.index];
+            return {
+                name: m.name,
+                score,
+                satisfaction: relativeStanding(filled[i], filled[i][winner.index]),
+                unhappy: score !== null && score < 0
+            };
+        });
+
+        return {
+            rule,
+            ranking,
+            winner,
+            members: memberResults,
+            unhappy: memberResults.filter(r => r.unhappy).map(r => r.name)
+        };
+    });
+}
@@ -0,0 +1,85 @@
+// lib/hierarchy.mjs
+// Agglomerative (hierarchical) clustering on 1 − similarity: start with
+// everyone on their own and repeatedly merge the two closest groups. The
+// merge tree is drawn as a dendrogram, and its leaf order puts similar
+// people next to each other (used to seriate the correlation matrix).
+import { DEFAULT_SIMILARITY_METRIC } from "./similarity.mjs";
+import { computeDistanceMatrix } from "./stats.mjs";
+
+export const LINKAGE_METHODS = ["average", "complete"];
+export const DEFAULT_LINKAGE = "average";
+
+export const LINKAGE_INFO = {
+    average: { label: "Average linkage", description: "mean distance between the two groups' members" },
+    complete: { label: "Complete linkage", description: "distance between the two groups' least alike members" }
+};
+
+export function resolveLinkage(linkage) {
+    return LINKAGE_METHODS.includes(linkage) ? linkage : DEFAULT_LINKAGE;
+}
+
+// Lance–Williams update: distance from the merged group (a ∪ b) to group c
+const LINKAGE_UPDATE = {
+    average: (dac, dbc, sizeA, sizeB) => (sizeA * dac + sizeB * dbc) / (sizeA + sizeB),
+    complete: (dac, dbc) => Math.max(dac, dbc)
+};
+
+// Merge tree for a symmetric distance matrix. Leaves are { index, height: 0,
+// size: 1 }, merges { left, right, height, size }; height is the linkage
+// distance at which the two groups joined. null for an empty matrix. Ties
+// merge the earliest pair, so the tree is deterministic.
+export function agglomerate(distances, linkage = DEFAULT_LINKAGE) {
+    const n = distances.length;
+    if (!n) return null;
+    const update = LINKAGE_UPDATE[resolveLinkage(linkage)];
+
+    const nodes = distances.map((_, i) => ({ index: i, height: 0, size: 1 }));
+    const d = distances.map(row => row.slice());
+    let active = nodes.map((_, i) => i);
+
+    while (active.length > 1) {
+        let best = null;
+        for (let x = 0; x < active.length; x++) {
+            for (let y = x + 1; y < active.length; y++) {
+                const dist = d[active[x]][active[y]];
+                if (!best || dist < best.dist - 1e-12) best = { a: active[x], b: active[y], dist };
+            }
+        }
+
+        const { a, b, dist } = best;
+        const merged = {
+            left: nodes[a],
+            right: nodes[b],
+            height: Math.max(dist, nodes[a].height, nodes[b].height),
+            size: nodes[a].size + nodes[b].size
+        };
+        const id = nodes.length;
+        nodes.push(merged);
+
+        d[id] = new Array(id + 1).fill(0);
+        for (const c of active) {
+            if (c === a || c === b) continue;
+            const value = update(d[a][c], d[b][c], nodes[a].size, nodes[b].size);
+            d[id][c] = value;
+            d[c][id] = value;
+        }
+        active = active.filter(c => c !== a && c !== b).concat(id);
+    }
+
+    return nodes[active[0]];
+}
+
+// Leaf indices from left to right
+export function leafOrder(node) {
+    if (!node) return [];
+    if (node.left === undefined) return [node.index];
+    return leafOrder(node.left).concat(leafOrder(node.right));
+}
+
+// { root, order, linkage } for people (or anything with `scores`), distances
+// from computeDistanceMatrix in the chosen metric. options: { metric, linkage }
+export function computeDendrogram(people, options = {}) {
+    const linkage = resolveLinkage(options.linkage);
+    const root = agglomerate(computeDistanceMatrix(people, options.metric || DEFAULT_SIMILARITY_METRIC), linkage);
+    return { root, order: leafOrder(root), linkage };
+}
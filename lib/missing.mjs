@@ -0,0 +1,79 @@
+// lib/missing.mjs
+// One missing-data strategy for every statistic. "pairwise" leaves skipped
+// locations empty, so each computation uses whatever both sides rated; the
+// others fill every gap up front:
+//
+//   person-mean    the person's own average score
+//   location-mean  everyone's average for that location
+//   knn            predictScore() from the most similar people, falling back
+//                  to the person's average when none of them rated it
+//
+// imputePeople() returns a copy of `people` whose `imputed` flags mark the
+// filled cells, so views can show which scores were never given.
+import { findNeighbors, predictScore } from "./predict.mjs";
+
+export const MISSING_STRATEGIES = ["pairwise", "person-mean", "location-mean", "knn"];
+export const DEFAULT_MISSING_STRATEGY = "pairwise";
+
+export const MISSING_INFO = {
+    pairwise: { label: "Pairwise deletion", description: "skipped locations are left out of each comparison" },
+    "person-mean": { label: "Person mean", description: "skipped locations get the person's average score" },
+    "location-mean": { label: "Location mean", description: "skipped locations get everyone's average for that location" },
+    knn: { label: "Nearest neighbours", description: "skipped locations are predicted from the most similar people" }
+};
+
+export function resolveMissingStrategy(strategy) {
+    return MISSING_STRATEGIES.includes(strategy) ? strategy : DEFAULT_MISSING_STRATEGY;
+}
+
+function mean(values) {
+    return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+// options: { metric, minOverlap } for knn
+export function imputePeople(people, strategy = DEFAULT_MISSING_STRATEGY, options = {}) {
+    strategy = resolveMissingStrategy(strategy);
+    if (strategy === "pairwise" || !people.length) {
+        return people.map(p => ({ ...p, imputed: p.scores.map(() => false) }));
+    }
+
+    const numLocations = people[0].scores.length;
+    const locationMeans = [];
+    for (let loc = 0; loc < numLocations; loc++) {
+        locationMeans.push(mean(people.map(p => p.scores[loc]).filter(v => v !== null)));
+    }
+
+    return people.map((person, idx) => {
+        const personMean = mean(person.scores.filter(v => v !== null));
+        const neighbors = strategy === "knn" ? findNeighbors(people, idx, options) : null;
+
+        const fill = (loc) => {
+            if (strategy === "knn") {
+                const prediction = predictScore(people, idx, loc, neighbors, options);
+                if (prediction) return prediction.predicted;
+            }
+            const first = strategy === "location-mean" ? locationMeans[loc] : personMean;
+            const second = strategy === "location-mean" ? personMean : locationMeans[loc];
+            return first ?? second ?? 0;
+        };
+
+        const imputed = person.scores.map(v => v === null);
+        return {
+            ...person,
+            scores: person.scores.map((v, loc) => (v === null ? fill(loc) : v)),
+            imputed
+        };
+    });
+}
+
+// The answers as given: imputed cells back to null (e.g. to predict them afresh)
+export function withoutImputed(people) {
+    return people.map(p => (p.imputed
+        ? { ...p, scores: p.scores.map((v, loc) => (p.imputed[loc] ? null : v)) }
+        : p));
+}
+
+// True when people[idx]'s score for `loc` was filled in rather than given
+export function isImputed(person, loc) {
+    return Boolean(person && person.imputed && person.imputed[loc]);
+}
@@ -0,0 +1,80 @@
+// lib/normalize.mjs
+// Per-person score normalization, so raters who use the whole scale don't
+// outweigh those who stay near the middle. normalizePeople() returns a copy
+// of `people` with transformed scores (null stays null) that the location
+// statistics take in place of the raw answers.
+import { SCORE_SCALE } from "./dataset.mjs";
+
+export const NORMALIZATION_MODES = ["raw", "z", "rank", "minmax"];
+export const DEFAULT_NORMALIZATION = "raw";
+
+export const NORMALIZATION_INFO = {
+    raw: { label: "Raw scores", description: "answers as given" },
+    z: { label: "Per-person z-scores", description: "each person's scores minus their mean, divided by their σ" },
+    rank: { label: "Per-person percentiles", description: "each person's ranking of the locations, spread over the survey scale" },
+    minmax: { label: "Min-max to survey scale", description: "each person's lowest score → " +
+        `${SCORE_SCALE.min}, highest → ${SCORE_SCALE.max}` }
+};
+
+export function resolveNormalization(mode) {
+    return NORMALIZATION_MODES.includes(mode) ? mode : DEFAULT_NORMALIZATION;
+}
+
+function zScores(scores) {
+    const vals = scores.filter(v => v !== null);
+    if (!vals.length) return scores.slice();
+    const mean = vals.reduce((s, v) => s + v, 0) / vals.length;
+    const std = Math.sqrt(vals.reduce((s, v) => s + (v - mean) * (v - mean), 0) / vals.length);
+    // Same score everywhere: no spread to scale, everything is "average"
+    return scores.map(v => (v === null ? null : std === 0 ? 0 : (v - mean) / std));
+}
+
+// Average-rank percentile (0 … 1, ties share a rank) mapped onto the scale
+function percentileScores(scores) {
+    const rated = scores
+        .map((v, idx) => ({ v, idx }))
+        .filter(e => e.v !== null)
+        .sort((a, b) => a.v - b.v);
+    const out = scores.map(() => null);
+    if (rated.length === 1) {
+        out[rated[0].idx] = (SCORE_SCALE.min + SCORE_SCALE.max) / 2;
+        return out;
+    }
+
+    let i = 0;
+    while (i < rated.length) {
+        let j = i;
+        while (j + 1 < rated.length && rated[j + 1].v === rated[i].v) j++;
+        const pct = ((i + j) / 2) / (rated.length - 1);
+        for (let k = i; k <= j; k++) {
+            out[rated[k].idx] = SCORE_SCALE.min + pct * (SCORE_SCALE.max - SCORE_SCALE.min);
+        }
+        i = j + 1;
+    }
+    return out;
+}
+
+function minMaxScores(scores) {
+    const vals = scores.filter(v => v !== null);
+    if (!vals.length) return scores.slice();
+    const min = Math.min(...vals);
+    const max = Math.max(...vals);
+    // Nothing to stretch when someone gave a single score everywhere: the
+    // middle of the scale, as z-scores and percentiles do
+    if (min === max) return scores.map(v => (v === null ? null : (SCORE_SCALE.min + SCORE_SCALE.max) / 2));
+    return scores.map(v => (v === null
+        ? null
+        : SCORE_SCALE.min + ((v - min) / (max - min)) * (SCORE_SCALE.max - SCORE_SCALE.min)));
+}
+
+const NORMALIZERS = {
+    raw: (scores) => scores.slice(),
+    z: zScores,
+    rank: percentileScores,
+    minmax: minMaxScores
+};
+
+export function normalizePeople(people, mode = DEFAULT_NORMALIZATION) {
+    const normalize = NORMALIZERS[resolveNormalization(mode)];
+    return people.map(p => ({ ...p, scores: normalize(p.scores) }));
+}
@@ -0,0 +1,112 @@
+// lib/predict.mjs
+// Neighborhood collaborative filtering: guess the score someone would give a
+// location they skipped from the people whose tastes are closest to theirs.
+//
+//   predicted = mean(person) + Σ w · (score(neighbor) − mean(neighbor)) / Σ w
+//
+// over the most similar neighbors who rated the location, where w is the
+// overlap-adjusted similarity (adjustedSimilarity) in the chosen metric. Only
+// neighbors with w > 0 take part, so opposite tastes never "vote".
+import { SCORE_SCALE } from "./dataset.mjs";
+import {
+    adjustedSimilarity,
+    computeSimilarity,
+    DEFAULT_MIN_OVERLAP,
+    DEFAULT_SIMILARITY_METRIC
+} from "./similarity.mjs";
+import { buildOverlap, locationLabel } from "./stats.mjs";
+
+// Neighbors used per prediction
+export const DEFAULT_NEIGHBOR_COUNT = 5;
+// Total neighbor weight at which confidence reaches 50%
+const CONFIDENCE_HALF_WEIGHT = 1;
+
+function meanScore(person) {
+    const vals = person.scores.filter(v => v !== null);
+    return vals.length ? vals.reduce((s, v) => s + v, 0) / vals.length : null;
+}
+
+// "high" / "medium" / "low" for a 0 … 1 confidence
+export function confidenceLabel(confidence) {
+    if (confidence >= 0.6) return "high";
+    if (confidence >= 0.35) return "medium";
+    return "low";
+}
+
+// Positive-weight neighbors of people[personIdx]: [{ idx, name, weight, mean }],
+// strongest first. options: { metric, minOverlap }
+export function findNeighbors(people, personIdx, options = {}) {
+    const metric = options.metric || DEFAULT_SIMILARITY_METRIC;
+    const minOverlap = Math.max(options.minOverlap ?? DEFAULT_MIN_OVERLAP, 2);
+    const person = people[personIdx];
+    const neighbors = [];
+
+    for (let j = 0; j < people.length; j++) {
+        if (j === personIdx) continue;
+        const { xs, ys } = buildOverlap(person, people[j]);
+        if (xs.length < minOverlap) continue;
+
+        const weight = adjustedSimilarity(computeSimilarity(xs, ys, metric), xs.length, metric);
+        if (!(weight > 0)) continue;
+        neighbors.push({ idx: j, name: people[j].name, weight, mean: meanScore(people[j]) });
+    }
+
+    neighbors.sort((a, b) => b.weight - a.weight);
+    return neighbors;
+}
+
+// Predict people[personIdx]'s score for one location from `neighbors`
+// (findNeighbors output). Returns { predicted, confidence, neighbors: [{ name,
+// score, weight }] } or null when no neighbor rated it.
+export function predictScore(people, personIdx, locIdx, neighbors, options = {}) {
+    const neighborCount = options.neighbors ?? DEFAULT_NEIGHBOR_COUNT;
+    const base = meanScore(people[personIdx]);
+    if (base === null) return null;
+
+    const used = neighbors
+        .filter(n => people[n.idx].scores[locIdx] !== null)
+        .slice(0, neighborCount);
+    if (!used.length) return null;
+
+    let weightSum = 0;
+    let deviationSum = 0;
+    for (const n of used) {
+        weightSum += n.weight;
+        deviationSum += n.weight * (people[n.idx].scores[locIdx] - n.mean);
+    }
+
+    const raw = base + deviationSum / weightSum;
+    return {
+        predicted: Math.min(SCORE_SCALE.max, Math.max(SCORE_SCALE.min, raw)),
+        confidence: weightSum / (weightSum + CONFIDENCE_HALF_WEIGHT),
+        neighbors: used.map(n => ({
+            name: n.name,
+            score: people[n.idx].scores[locIdx],
+            weight: n.weight
+        }))
+    };
+}
+
+// Predictions for every location people[personIdx] skipped, best first:
+// [{ index, name, predicted, confidence, neighbors }]. Locations nobody
+// similar rated are left out. options: { metric, minOverlap, neighbors }
+export function predictMissingScores(people, personIdx, locationNames, options = {}) {
+    const person = people[personIdx];
+    if (!person) return [];
+
+    const neighbors = findNeighbors(people, personIdx, options);
+    const predictions = [];
+    for (let locIdx = 0; locIdx < person.scores.length; locIdx++) {
+        if (person.scores[locIdx] !== null) continue;
+        const prediction = predictScore(people, personIdx, locIdx, neighbors, options);
+        if (!prediction) continue;
+        predictions.push({
+            index: locIdx,
+            name: locationLabel(locationNames, locIdx),
+            ...prediction
+        });
+    }
+
+    predictions.sort((a, b) => b.predicted - a.predicted);
+    return predictions;
+}
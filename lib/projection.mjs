@@ -0,0 +1,145 @@
+// lib/projection.mjs
+// 2D "taste map" of people. PCA projects the standardized profiles from
+// buildNormalizedVectors() onto their two main directions; classical MDS
+// instead places people so that distances follow 1 − similarity in the chosen
+// metric. Either way each location gets a loading – how strongly its scores
+// go with each axis – so the axes can be read as "likes X, dislikes Y".
+import { buildNormalizedVectors } from "./clusters.mjs";
+import { DEFAULT_SIMILARITY_METRIC, pearsonCorrelation } from "./similarity.mjs";
+import { computeDistanceMatrix, locationLabel } from "./stats.mjs";
+
+export const PROJECTION_METHODS = ["pca", "mds"];
+export const DEFAULT_PROJECTION = "pca";
+
+export const PROJECTION_INFO = {
+    pca: { label: "PCA", axis: "PC" },
+    mds: { label: "Classical MDS (1 − similarity)", axis: "Dimension " }
+};
+
+export function resolveProjection(method) {
+    return PROJECTION_METHODS.includes(method) ? method : DEFAULT_PROJECTION;
+}
+
+const MAX_POWER_ITERATIONS = 1000;
+
+function multiply(matrix, v) {
+    return matrix.map(row => row.reduce((s, x, j) => s + x * v[j], 0));
+}
+
+function dot(a, b) {
+    return a.reduce((s, x, i) => s + x * b[i], 0);
+}
+
+// Largest `count` eigenpairs [{ value, vector }] of a symmetric matrix, by
+// power iteration kept orthogonal to the pairs already found. The matrix is
+// shifted to be positive definite first, so negative eigenvalues (MDS on
+// non-Euclidean distances) can't crowd out the top ones. Each vector's
+// largest component is made positive so the map doesn't flip between runs.
+function topEigenpairs(matrix, count) {
+    const n = matrix.length;
+    const shift = Math.max(...matrix.map(row => row.reduce((s, x) => s + Math.abs(x), 0)));
+    const shifted = matrix.map((row, i) => row.map((x, j) => (i === j ? x + shift : x)));
+    const pairs = [];
+
+    for (let e = 0; e < Math.min(count, n); e++) {
+        let v = Array.from({ length: n }, (_, i) => 1 + i / n);
+        for (let iter = 0; iter < MAX_POWER_ITERATIONS; iter++) {
+            let w = multiply(shifted, v);
+            for (const { vector } of pairs) {
+                const proj = dot(w, vector);
+                w = w.map((x, i) => x - proj * vector[i]);
+            }
+            const norm = Math.sqrt(dot(w, w));
+            if (norm < 1e-12) break;
+            const next = w.map(x => x / norm);
+            const delta = next.reduce((s, x, i) => s + Math.abs(x - v[i]), 0);
+            v = next;
+            if (delta < 1e-10) break;
+        }
+
+        const largest = v.reduce((best, x) => (Math.abs(x) > Math.abs(best) ? x : best), 0);
+        if (largest < 0) v = v.map(x => -x);
+        pairs.push({ value: dot(multiply(matrix, v), v), vector: v });
+    }
+    return pairs;
+}
+
+// Principal components of the people × locations profiles
+function pcaCoordinates(vectors) {
+    const n = vectors.length;
+    const dim = vectors[0].length;
+    const means = new Array(dim).fill(0);
+    for (const v of vectors) v.forEach((x, d) => { means[d] += x / n; });
+    const centered = vectors.map(v => v.map((x, d) => x - means[d]));
+
+    const cov = Array.from({ length: dim }, () => new Array(dim).fill(0));
+    for (const v of centered) {
+        for (let a = 0; a < dim; a++) {
+            for (let b = 0; b < dim; b++) cov[a][b] += (v[a] * v[b]) / n;
+        }
+    }
+
+    const total = cov.reduce((s, row, d) => s + row[d], 0);
+    const pairs = topEigenpairs(cov, 2);
+    return {
+        coords: centered.map(v => pairs.map(p => dot(v, p.vector))),
+        explained: pairs.map(p => (total > 0 ? Math.max(p.value, 0) / total : 0))
+    };
+}
+
+// Classical (Torgerson) MDS on distance = 1 − similarity; pairs without a
+// defined similarity count as unrelated (distance 1)
+function mdsCoordinates(people, metric) {
+    const n = people.length;
+    const d2 = computeDistanceMatrix(people, metric).map(row => row.map(d => d * d));
+
+    // Double centering: B = −½ J D² J
+    const rowMeans = d2.map(row => row.reduce((s, x) => s + x, 0) / n);
+    const grandMean = rowMeans.reduce((s, x) => s + x, 0) / n;
+    const b = d2.map((row, i) => row.map((x, j) => -0.5 * (x - rowMeans[i] - rowMeans[j] + grandMean)));
+
+    // Non-Euclidean distances give negative eigenvalues, so the fit of each
+    // axis is λ² / Σλ² (Mardia's second criterion, Σλ² = squared norm of B)
+    const total = b.reduce((s, row) => s + row.reduce((t, x) => t + x * x, 0), 0);
+    const pairs = topEigenpairs(b, 2);
+    return {
+        coords: people.map((_, i) => pairs.map(p => p.vector[i] * Math.sqrt(Math.max(p.value, 0)))),
+        explained: pairs.map(p => (total > 0 && p.value > 0 ? (p.value * p.value) / total : 0))
+    };
+}
+
+// { method, points: [{ index, name, x, y }], explained: [share, share],
+//   loadings: [{ index, name, x, y }] } – loadings are the correlation of each
+// location's (standardized) scores with the two axes. null with fewer than
+// 3 people or 2 locations. options: { method, metric } (metric is used by MDS)
+export function computeTasteMap(people, locationNames, options = {}) {
+    const method = resolveProjection(options.method);
+    const metric = options.metric || DEFAULT_SIMILARITY_METRIC;
+    if (people.length < 3 || people[0].scores.length < 2) return null;
+
+    const vectors = buildNormalizedVectors(people);
+    const { coords, explained } = method === "mds"
+        ? mdsCoordinates(people, metric)
+        : pcaCoordinates(vectors);
+
+    const xs = coords.map(c => c[0] ?? 0);
+    const ys = coords.map(c => c[1] ?? 0);
+    const loadings = vectors[0].map((_, loc) => {
+        const column = vectors.map(v => v[loc]);
+        const rx = pearsonCorrelation(column, xs);
+        const ry = pearsonCorrelation(column, ys);
+        return {
+            index: loc,
+            name: locationLabel(locationNames, loc),
+            x: Number.isFinite(rx) ? rx : 0,
+            y: Number.isFinite(ry) ? ry : 0
+        };
+    });
+
+    return {
+        method,
+        points: people.map((p, i) => ({ index: i, name: p.name, x: xs[i], y: ys[i] })),
+        explained: [explained[0] ?? 0, explained[1] ?? 0],
+        loadings
+    };
+}
@@ -0,0 +1,113 @@
+// lib/quality.mjs
+// Respondent quality: spot form entries that aren't serious answers – the
+// same score everywhere, answers that look random, a reversed scale, mostly
+// empty rows or test names like "asdf" – so they can be left out of the
+// statistics.
+import { SCORE_SCALE } from "./dataset.mjs";
+import { computeSimilarity, DEFAULT_SIMILARITY_METRIC, toSimilarity } from "./similarity.mjs";
+import { buildOverlap } from "./stats.mjs";
+
+// Rated fewer than this share of the locations
+export const MIN_COMPLETION = 0.5;
+// Score-histogram entropy (0 … 1) above which answers count as "spread out"
+export const RANDOM_ENTROPY = 0.9;
+// |correlation with the group consensus| below which spread-out answers look random
+export const RANDOM_CONSENSUS = 0.15;
+// Average similarity with everyone else below this suggests a reversed scale
+export const LOW_AVERAGE_SIMILARITY = -0.3;
+// Fewest ratings needed before judging randomness
+const MIN_RATINGS_FOR_RANDOMNESS = 5;
+
+// Whole placeholder names only (optionally numbered, "test2"), so real names
+// like "Testa" or "Anoushka" never match
+const JOKE_NAME_PATTERN = /^(test|asdf|qwerty|qwe|xxx+|aaa+|foo|bar|n\/?a|none|nobody|anon|anonymous|[?.\-_]+)\d*$/i;
+
+function mean(values) {
+    return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+// Shannon entropy of the score histogram, relative to the most spread-out
+// histogram possible for that many ratings (0 = one score, 1 = evenly spread)
+function scoreEntropy(values) {
+    const bins = SCORE_SCALE.max - SCORE_SCALE.min + 1;
+    const maxBins = Math.min(values.length, bins);
+    if (maxBins < 2) return 0;
+    const counts = new Map();
+    for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+    let h = 0;
+    for (const c of counts.values()) {
+        const p = c / values.length;
+        h -= p * Math.log(p);
+    }
+    return h / Math.log(maxBins);
+}
+
+// Correlation of people[idx]'s scores with everyone else's mean per location
+function consensusCorrelation(people, idx) {
+    const consensus = people[idx].scores.map((_, loc) => {
+        const others = people.filter((p, j) => j !== idx && p.scores[loc] !== null).map(p => p.scores[loc]);
+        return others.length ? mean(others) : null;
+    });
+    const { xs, ys } = buildOverlap(people[idx], { scores: consensus });
+    return computeSimilarity(xs, ys, "pearson");
+}
+
+// One entry per person: { index, name, completion, rated, std, entropy,
+// consensus, averageSimilarity, reasons: [string], suspicious }. consensus
+// and averageSimilarity are null when undefined (e.g. a constant row).
+// options: { metric } for the average similarity (Pearson by default)
+export function assessRespondents(people, options = {}) {
+    const metric = options.metric || DEFAULT_SIMILARITY_METRIC;
+
+    return people.map((person, idx) => {
+        const values = person.scores.filter(v => v !== null);
+        const total = person.scores.length;
+        const completion = total ? values.length / total : 0;
+        const avg = values.length ? mean(values) : 0;
+        const std = values.length ? Math.sqrt(mean(values.map(v => (v - avg) * (v - avg)))) : 0;
+        const entropy = scoreEntropy(values);
+
+        const consensusR = consensusCorrelation(people, idx);
+        const consensus = Number.isFinite(consensusR) ? consensusR : null;
+
+        const sims = [];
+        for (let j = 0; j < people.length; j++) {
+            if (j === idx) continue;
+            const { xs, ys } = buildOverlap(person, people[j]);
+            const sim = toSimilarity(computeSimilarity(xs, ys, metric), metric);
+            if (Number.isFinite(sim)) sims.push(sim);
+        }
+        const averageSimilarity = sims.length ? mean(sims) : null;
+
+        const reasons = [];
+        if (JOKE_NAME_PATTERN.test(person.name.trim())) {
+            reasons.push(`name "${person.name}" looks like a test entry`);
+        }
+        if (values.length >= 3 && std === 0) {
+            reasons.push(`same score (${values[0]}) for every location`);
+        }
+        if (completion < MIN_COMPLETION) {
+            reasons.push(`rated only ${values.length} of ${total} locations`);
+        }
+        if (values.length >= MIN_RATINGS_FOR_RANDOMNESS && entropy >= RANDOM_ENTROPY &&
+            consensus !== null && Math.abs(consensus) < RANDOM_CONSENSUS) {
+            reasons.push("answers look random (spread over the whole scale, unrelated to the group)");
+        }
+        if (averageSimilarity !== null && averageSimilarity < LOW_AVERAGE_SIMILARITY) {
+            reasons.push(`opposite of nearly everyone (average similarity ${averageSimilarity.toFixed(2)}) – reversed scale?`);
+        }
+
+        return {
+            index: idx,
+            name: person.name,
+            completion,
+            rated: values.length,
+            std,
+            entropy,
+            consensus,
+            averageSimilarity,
+            reasons,
+            suspicious: reasons.length > 0
+        };
+    });
+}
@@ -0,0 +1,12 @@
+// lib/random.mjs
+// Small seeded PRNG (mulberry32) so randomized results – Monte Carlo
+// p-values, k-means++ seeding – don't flicker between renders.
+export function mulberry32(seed) {
+    return function () {
+        seed |= 0;
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
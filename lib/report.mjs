@@ -0,0 +1,208 @@
+// lib/report.mjs
+// Full analysis of a dataset as plain data, plus Markdown / text renderers.
+// Used by the command-line report generator (cli.js).
+import { computeCondorcet } from "./condorcet.mjs";
+import {
+    AUTO_CLUSTER_COUNT,
+    computeClusterLocationExtremes,
+    computeClusters,
+    DEFAULT_CLUSTER_COUNT
+} from "./clusters.mjs";
+import {
+    computeCorrelationMatrix,
+    computeCustomRanking,
+    computeGlobalPairExtremes,
+    computeGlobalSummary,
+    computeLocationSignedSquaredSums,
+    computePersonStats,
+    computePolarizationExtremes
+} from "./stats.mjs";
+import { imputePeople, MISSING_INFO, resolveMissingStrategy } from "./missing.mjs";
+import { NORMALIZATION_INFO, resolveNormalization } from "./normalize.mjs";
+import { METRIC_INFO, resolveMetric } from "./similarity.mjs";
+
+// dataset is a buildDataset() result.
+// options: { exponent, k, metric, minOverlap, normalization, missing }
+export function buildReport(dataset, options = {}) {
+    const locations = dataset.mapping.locationNames;
+    const metric = resolveMetric(options.metric);
+    const missing = resolveMissingStrategy(options.missing);
+    // The summary and per-person stats describe the answers as given; everything
+    // else uses the filled-in scores
+    const people = imputePeople(dataset.people, missing, { metric, minOverlap: options.minOverlap });
+    const imputed = people.reduce((sum, p) => sum + p.imputed.filter(Boolean).length, 0);
+    const normalization = resolveNormalization(options.normalization);
+    const exponent = options.exponent ?? 2;
+    let k = options.k === AUTO_CLUSTER_COUNT
+        ? AUTO_CLUSTER_COUNT
+        : Math.min(options.k ?? DEFAULT_CLUSTER_COUNT, people.length);
+
+    const personStats = dataset.people
+        .map(computePersonStats)
+        .filter(Boolean)
+        .sort((a, b) => b.mean - a.mean);
+    const locationScores = computeLocationSignedSquaredSums(people, locations, { normalization });
+
+    let clusters = [];
+    let silhouette = null;
+    if (people.length >= 2 && (k === AUTO_CLUSTER_COUNT || k >= 1)) {
+        const result = computeClusters(people, k);
+        k = result.k;
+        silhouette = result.silhouette.overall;
+        clusters = computeClusterLocationExtremes(people, locations, result.assignments, k, { normalization })
+            .map(cl => ({ ...cl, silhouette: result.silhouette.perCluster[cl.cluster] }));
+    } else if (k === AUTO_CLUSTER_COUNT) {
+        k = Math.min(people.length, 1);
+    }
+
+    return {
+        people: people.map(p => p.name),
+        locations,
+        summary: computeGlobalSummary(dataset.people),
+        missing,
+        imputed,
+        personStats,
+        metric,
+        normalization,
+        pairs: computeGlobalPairExtremes(people, metric, { minOverlap: options.minOverlap }),
+        polarization: computePolarizationExtremes(people, locations, { normalization }),
+        locationRanking: locationScores ? locationScores.ranking : [],
+        matrix: computeCorrelationMatrix(people, undefined, metric),
+        exponent,
+        customRanking: computeCustomRanking(people, locations, exponent, { normalization }),
+        condorcet: computeCondorcet(people, locations),
+        k,
+        silhouette,
+        clusters,
+        issues: dataset.issues,
+        merges: dataset.merges
+    };
+}
+
+function fixed(v, digits) {
+    return v === null || v === undefined || !Number.isFinite(v) ? "—" : v.toFixed(digits);
+}
+
+function mdEscape(text) {
+    return String(text).replace(/\|/g, "\\|");
+}
+
+function mdTable(headers, rows, align = []) {
+    const lines = [];
+    lines.push(`| ${headers.map(mdEscape).join(" | ")} |`);
+    lines.push(`| ${headers.map((_, i) => (align[i] === "right" ? "---:" : "---")).join(" | ")} |`);
+    for (const row of rows) {
+        lines.push(`| ${row.map(mdEscape).join(" | ")} |`);
+    }
+    return lines.join("\n");
+}
+
+function textTable(headers, rows, align = []) {
+    const widths = headers.map((h, i) =>
+        Math.max(String(h).length, ...rows.map(r => String(r[i]).length))
+    );
+    const fmt = (cells) => cells
+        .map((c, i) => (align[i] === "right" ? String(c).padStart(widths[i]) : String(c).padEnd(widths[i])))
+        .join("  ")
+        .trimEnd();
+    return [fmt(headers), widths.map(w => "-".repeat(w)).join("  "), ...rows.map(fmt)].join("\n");
+}
+
+// format: "md" or "text"
+export function formatReport(report, format = "md") {
+    const md = format === "md";
+    const table = md ? mdTable : textTable;
+    const heading = (level, text) => (md
+        ? `${"#".repeat(level)} ${text}`
+        : `${text}\n${(level === 1 ? "=" : "-").repeat(text.length)}`);
+    const bullet = (text) => `- ${text}`;
+    const out = [];
+
+    const { summary } = report;
+    out.push(heading(1, "Trip survey report"));
+    out.push([
+        bullet(`${summary.numPeople} people, ${report.locations.length} locations, ${summary.totalRatings} ratings`),
+        summary.totalRatings
+            ? bullet(`Average score ${fixed(summary.mean, 2)} (σ ≈ ${fixed(summary.std, 2)}), range ${summary.min} to ${summary.max}`)
+            : bullet("No ratings"),
+        report.merges.length ? bullet(`${report.merges.length} repeat respondent(s) merged`) : null,
+        report.issues.length ? bullet(`${report.issues.length} data issue(s) in the source`) : null,
+        report.normalization !== "raw"
+            ? bullet(`Location statistics use ${NORMALIZATION_INFO[report.normalization].label.toLowerCase()}`)
+            : null,
+        report.imputed
+            ? bullet(`${report.imputed} skipped score(s) filled in by ${MISSING_INFO[report.missing].label.toLowerCase()} imputation`)
+            : null
+    ].filter(Boolean).join("\n"));
+
+    out.push(heading(2, "Overall statistics"));
+    const overall = [];
+    const { label, symbol } = METRIC_INFO[report.metric];
+    const { bestPair, worstPair } = report.pairs;
+    const pairText = (p) => `${p.a} & ${p.b} (match ${fixed(p.adjusted, 2)}, raw ${symbol} = ${fixed(p.r, 3)}, ${p.overlap} locations)`;
+    if (bestPair) overall.push(bullet(`Most aligned pair: ${pairText(bestPair)}`));
+    if (worstPair) overall.push(bullet(`Most opposite pair: ${pairText(worstPair)}`));
+    const { most, least } = report.polarization;
+    if (most) overall.push(bullet(`Most polarizing location: ${most.name} (σ ≈ ${fixed(most.std, 2)})`));
+    if (least) overall.push(bullet(`Least polarizing location: ${least.name} (σ ≈ ${fixed(least.std, 2)})`));
+    if (overall.length) out.push(overall.join("\n"));
+
+    if (report.personStats.length) {
+        out.push(table(
+            ["Person", "Rated", "Mean", "σ", "Min", "Max"],
+            report.personStats.map(p => [p.name, p.n, fixed(p.mean, 2), fixed(p.std, 2), p.min, p.max]),
+            ["left", "right", "right", "right", "right", "right"]
+        ));
+    }
+
+    if (report.locationRanking.length) {
+        out.push(heading(3, "Location ranking (signed squared sum)"));
+        out.push(table(
+            ["Rank", "Location", "Signed squared sum", "Consensus σ"],
+            report.locationRanking.map((loc, i) => [i + 1, loc.name, fixed(loc.signedSquaredSum, 2), fixed(loc.consensus, 2)]),
+            ["right", "left", "right", "right"]
+        ));
+    }
+
+    out.push(heading(2, `Similarity matrix (${label})`));
+    out.push(table(
+        ["", ...report.people],
+        report.matrix.map((row, i) => [report.people[i], ...row.map(cell => fixed(cell.r, 2))]),
+        ["left", ...report.people.map(() => "right")]
+    ));
+
+    out.push(heading(2, `Custom ranking (exponent ${report.exponent})`));
+    out.push(table(
+        ["Rank", "Location", "Score", "Std. dev. of contributions"],
+        report.customRanking.map((loc, i) => [i + 1, loc.name, fixed(loc.score, 3), fixed(loc.std, 3)]),
+        ["right", "left", "right", "right"]
+    ));
+
+    const { winner, loser, cycles, schulze } = report.condorcet;
+    out.push(heading(3, "Head-to-head (Schulze)"));
+    out.push([
+        bullet(`Condorcet winner: ${winner ? winner.name : "none"}`),
+        bullet(`Condorcet loser: ${loser ? loser.name : "none"}`),
+        ...cycles.map(group => bullet(`Majority cycle: ${group.map(l => l.name).join(", ")}`))
+    ].join("\n"));
+    out.push(table(
+        ["Rank", "Location", "Beats"],
+        schulze.map(loc => [loc.rank, loc.name, loc.beats]),
+        ["right", "left", "right"]
+    ));
+
+    out.push(heading(2, `Clusters (k = ${report.k})`));
+    if (report.silhouette !== null) out.push(`Average silhouette: ${fixed(report.silhouette, 2)}`);
+    if (!report.clusters.length) {
+        out.push("Not enough people to form clusters.");
+    } else {
+        out.push(report.clusters.map((cl, i) => [
+            bullet(`Cluster ${i + 1}: ${cl.members.length ? cl.members.join(", ") : "none assigned"}`
+                + (cl.silhouette === null || report.k < 2 ? "" : ` (silhouette ${fixed(cl.silhouette, 2)})`)),
+            cl.favorite ? `  ${bullet(`Favorite: ${cl.favorite.name} (average ≈ ${fixed(cl.favorite.mean, 2)})`)}` : null,
+            cl.leastFavorite ? `  ${bullet(`Least favorite: ${cl.leastFavorite.name} (average ≈ ${fixed(cl.leastFavorite.mean, 2)})`)}` : null
+        ].filter(Boolean).join("\n")).join("\n"));
+    }
+
+    return out.join("\n\n") + "\n";
+}
@@ -0,0 +1,161 @@
+// lib/segments.mjs
+// Respondent attributes from the other form columns (home city, age band,
+// diet, …): group people by an attribute's answers, keep one group, and
+// compare two groups' average score for every location. Answers are matched
+// case- and whitespace-insensitively; a blank answer is its own segment.
+import { mulberry32 } from "./random.mjs";
+import { holmAdjust } from "./significance.mjs";
+import { locationLabel } from "./stats.mjs";
+
+// Attributes with more distinct answers than this (names, e-mail, comments)
+// are free text, not segments
+export const MAX_SEGMENT_VALUES = 12;
+export const NO_ANSWER_LABEL = "(no answer)";
+const SEGMENT_SHUFFLES = 2000;
+const SEGMENT_SEED = 7;
+
+export function segmentKey(value) {
+    return String(value ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+export function segmentLabel(value) {
+    return segmentKey(value) === "" ? NO_ANSWER_LABEL : value;
+}
+
+function attributeValue(person, attribute) {
+    return String((person.attributes && person.attributes[attribute]) ?? "").trim();
+}
+
+// People grouped by their answer: [{ value, key, indices }], largest first
+// (ties in order of appearance). `value` is the first spelling seen.
+export function splitBySegment(people, attribute) {
+    const groups = new Map();
+    people.forEach((person, idx) => {
+        const value = attributeValue(person, attribute);
+        const key = segmentKey(value);
+        if (!groups.has(key)) groups.set(key, { value, key, indices: [] });
+        groups.get(key).indices.push(idx);
+    });
+    return [...groups.values()].sort((a, b) => b.indices.length - a.indices.length);
+}
+
+// The attributes worth splitting by: [{ name, values: [{ value, key, count }] }]
+// in column order, for attributes with 2 … MAX_SEGMENT_VALUES distinct answers
+// of which at least one is shared (all-different answers are free text)
+export function listSegmentAttributes(people, attributeNames) {
+    const result = [];
+    for (const name of attributeNames || []) {
+        const groups = splitBySegment(people, name);
+        if (groups.length < 2 || groups.length > MAX_SEGMENT_VALUES) continue;
+        if (!groups.some(g => g.key !== "" && g.indices.length > 1)) continue;
+        result.push({
+            name,
+            values: groups.map(g => ({ value: g.value, key: g.key, count: g.indices.length }))
+        });
+    }
+    return result;
+}
+
+// The people whose answer to `attribute` matches `value`
+export function filterBySegment(people, attribute, value) {
+    const key = segmentKey(value);
+    return people.filter(p => segmentKey(attributeValue(p, attribute)) === key);
+}
+
+function mean(values) {
+    return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+function ratedValues(people, indices, loc) {
+    return indices.map(i => people[i].scores[loc]).filter(v => v !== null);
+}
+
+// Every segment's average per location: { attribute, segments: [{ value, key,
+// count }], locations: [{ index, name, means: [mean | null], counts: [n] }] }
+// with means/counts in segment order
+export function computeSegmentAverages(people, locationNames, attribute) {
+    const groups = splitBySegment(people, attribute);
+    const numLocations = people.length ? people[0].scores.length : 0;
+    const locations = [];
+    for (let loc = 0; loc < numLocations; loc++) {
+        const values = groups.map(g => ratedValues(people, g.indices, loc));
+        locations.push({
+            index: loc,
+            name: locationLabel(locationNames, loc),
+            means: values.map(mean),
+            counts: values.map(v => v.length)
+        });
+    }
+    return {
+        attribute,
+        segments: groups.map(g => ({ value: g.value, key: g.key, count: g.indices.length })),
+        locations
+    };
+}
+
+// Two-sided permutation p-value for a difference in means: the share of
+// random regroupings (seeded) with a difference at least as large. null when
+// either group is empty.
+export function meanDifferencePValue(xs, ys, options = {}) {
+    if (!xs.length || !ys.length) return null;
+    const observed = Math.abs(mean(xs) - mean(ys));
+    const pooled = xs.concat(ys);
+    const total = pooled.reduce((s, v) => s + v, 0);
+    const shuffles = options.shuffles ?? SEGMENT_SHUFFLES;
+    const random = mulberry32(options.seed ?? SEGMENT_SEED);
+
+    let extreme = 0;
+    for (let s = 0; s < shuffles; s++) {
+        for (let i = pooled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [pooled[i], pooled[j]] = [pooled[j], pooled[i]];
+        }
+        let sumA = 0;
+        for (let i = 0; i < xs.length; i++) sumA += pooled[i];
+        const diff = Math.abs(sumA / xs.length - (total - sumA) / ys.length);
+        if (diff >= observed - 1e-12) extreme++;
+    }
+    // Count the observed split itself so p is never 0
+    return (extreme + 1) / (shuffles + 1);
+}
+
+// Segment A vs segment B of `attribute`: { attribute, a, b: { value, count,
+// mean }, rows: [{ index, name, a, b: { mean, n }, diff, pValue, adjustedPValue }] }
+// with rows sorted by |diff| (locations one side never rated last). diff = A − B;
+// adjustedPValue is Holm-adjusted for testing every location at once.
+// null when either value matches nobody.
+export function compareSegments(people, locationNames, attribute, valueA, valueB, options = {}) {
+    const groups = splitBySegment(people, attribute);
+    const groupA = groups.find(g => g.key === segmentKey(valueA));
+    const groupB = groups.find(g => g.key === segmentKey(valueB));
+    if (!groupA || !groupB) return null;
+
+    const numLocations = people[0].scores.length;
+    const rows = [];
+    const all = { a: [], b: [] };
+    for (let loc = 0; loc < numLocations; loc++) {
+        const xs = ratedValues(people, groupA.indices, loc);
+        const ys = ratedValues(people, groupB.indices, loc);
+        all.a.push(...xs);
+        all.b.push(...ys);
+        const meanA = mean(xs);
+        const meanB = mean(ys);
+        rows.push({
+            index: loc,
+            name: locationLabel(locationNames, loc),
+            a: { mean: meanA, n: xs.length },
+            b: { mean: meanB, n: ys.length },
+            diff: meanA === null || meanB === null ? null : meanA - meanB,
+            pValue: meanDifferencePValue(xs, ys, options)
+        });
+    }
+    const adjusted = holmAdjust(rows.map(r => r.pValue));
+    rows.forEach((row, i) => { row.adjustedPValue = adjusted[i]; });
+    rows.sort((x, y) => {
+        if (x.diff === null || y.diff === null) return (x.diff === null) - (y.diff === null);
+        return Math.abs(y.diff) - Math.abs(x.diff) || x.index - y.index;
+    });
+
+    const side = (group, values) => ({ value: group.value, count: group.indices.length, mean: mean(values) });
+    return { attribute, a: side(groupA, all.a), b: side(groupB, all.b), rows };
+}
@@ -0,0 +1,178 @@
+// lib/significance.mjs
+// How much to trust a similarity value computed from a handful of shared
+// locations: a Fisher-z confidence interval (correlation metrics) and a
+// two-sided p-value, exact by permutation when the overlap is small.
+import { mulberry32 } from "./random.mjs";
+import { computeSimilarity, DEFAULT_SIMILARITY_METRIC, resolveMetric } from "./similarity.mjs";
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+// Matrix cells with fewer shared locations than this are flagged as unreliable
+export const MIN_RELIABLE_OVERLAP = 4;
+// Up to this many shared locations every ordering is tried (7! = 5040)
+export const EXACT_PERMUTATION_MAX_N = 7;
+const MONTE_CARLO_SHUFFLES = 2000;
+// The matrix tests every pair, so it only enumerates up to 4! = 24 orderings
+// and takes Fisher z (or 200 shuffles for cosine/MAD) beyond that
+export const MATRIX_SIGNIFICANCE_OPTIONS = { exactMaxN: 4, shuffles: 200 };
+
+// Standard error of Fisher's z per metric (Fieller, Hartley & Pearson 1957);
+// cosine and MAD have no such approximation and only get a permutation p
+const FISHER_SE = {
+    pearson: (n) => (n > 3 ? Math.sqrt(1 / (n - 3)) : NaN),
+    spearman: (n) => (n > 3 ? Math.sqrt(1.06 / (n - 3)) : NaN),
+    kendall: (n) => (n > 4 ? Math.sqrt(0.437 / (n - 4)) : NaN)
+};
+
+// Φ(z) via the Abramowitz & Stegun 7.1.26 erf approximation (|error| < 1.5e-7)
+export function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// 95% (or `level`) interval for a correlation, or null when n is too small
+export function fisherInterval(r, n, metric = DEFAULT_SIMILARITY_METRIC, level = 0.95) {
+    const seFor = FISHER_SE[resolveMetric(metric)];
+    if (!seFor || !Number.isFinite(r)) return null;
+    const se = seFor(n);
+    if (!Number.isFinite(se)) return null;
+
+    // Clamp so r = ±1 still gives a finite z
+    const z = Math.atanh(Math.max(-0.999999, Math.min(0.999999, r)));
+    const crit = normalQuantile(1 - (1 - level) / 2);
+    return { low: Math.tanh(z - crit * se), high: Math.tanh(z + crit * se), level };
+}
+
+// Inverse of normalCdf by bisection; only used for the interval's critical value
+function normalQuantile(p) {
+    let lo = -10, hi = 10;
+    for (let i = 0; i < 60; i++) {
+        const mid = (lo + hi) / 2;
+        if (normalCdf(mid) < p) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+// Calls visit(permutedYs) for every ordering of ys (Heap's algorithm)
+function forEachPermutation(ys, visit) {
+    const a = ys.slice();
+    const c = new Array(a.length).fill(0);
+    visit(a);
+    let i = 0;
+    while (i < a.length) {
+        if (c[i] < i) {
+            const j = i % 2 === 0 ? 0 : c[i];
+            [a[j], a[i]] = [a[i], a[j]];
+            visit(a);
+            c[i]++;
+            i = 0;
+        } else {
+            c[i] = 0;
+            i++;
+        }
+    }
+}
+
+// Two-sided permutation p-value: the share of orderings of ys whose value is
+// at least as far from the permutation mean as the observed one. Exact for
+// n ≤ options.exactMaxN (EXACT_PERMUTATION_MAX_N), otherwise a seeded Monte
+// Carlo sample of options.shuffles orderings.
+export function permutationPValue(xs, ys, metric = DEFAULT_SIMILARITY_METRIC, options = {}) {
+    const exactMaxN = options.exactMaxN ?? EXACT_PERMUTATION_MAX_N;
+    const shuffles = options.shuffles ?? MONTE_CARLO_SHUFFLES;
+    const observed = computeSimilarity(xs, ys, metric);
+    if (!Number.isFinite(observed)) return null;
+
+    const values = [];
+    const record = (perm) => {
+        const v = computeSimilarity(xs, perm, metric);
+        if (Number.isFinite(v)) values.push(v);
+    };
+
+    let method;
+    if (xs.length <= exactMaxN) {
+        forEachPermutation(ys, record);
+        method = "exact";
+    } else {
+        const random = mulberry32(xs.length * 7919 + 17);
+        const perm = ys.slice();
+        record(perm);
+        for (let s = 1; s < shuffles; s++) {
+            for (let i = perm.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [perm[i], perm[j]] = [perm[j], perm[i]];
+            }
+            record(perm);
+        }
+        method = "monte-carlo";
+    }
+
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    const cutoff = Math.abs(observed - mean) - 1e-12;
+    const extreme = values.filter(v => Math.abs(v - mean) >= cutoff).length;
+    return { pValue: extreme / values.length, method, orderings: values.length };
+}
+
+// Everything the UI shows next to a value:
+// { value, n, pValue, method: "exact" | "monte-carlo" | "fisher", ci, significant, reliable }
+// pValue / ci are null when they can't be computed (e.g. n < 2). options as
+// for permutationPValue.
+export function computeSignificance(xs, ys, metric = DEFAULT_SIMILARITY_METRIC, options = {}) {
+    metric = resolveMetric(metric);
+    const n = xs.length;
+    const value = computeSimilarity(xs, ys, metric);
+    const ci = fisherInterval(value, n, metric);
+
+    let pValue = null;
+    let method = null;
+    if (Number.isFinite(value)) {
+        const seFor = FISHER_SE[metric];
+        if (n > (options.exactMaxN ?? EXACT_PERMUTATION_MAX_N) && seFor && Number.isFinite(seFor(n))) {
+            // Large overlap: Fisher z against r = 0
+            const z = Math.atanh(Math.max(-0.999999, Math.min(0.999999, value))) / seFor(n);
+            pValue = 2 * (1 - normalCdf(Math.abs(z)));
+            method = "fisher";
+        } else {
+            const perm = permutationPValue(xs, ys, metric, options);
+            if (perm) {
+                pValue = perm.pValue;
+                method = perm.method;
+            }
+        }
+    }
+
+    return {
+        value,
+        n,
+        pValue,
+        method,
+        ci,
+        significant: pValue !== null && pValue < SIGNIFICANCE_LEVEL,
+        reliable: n >= MIN_RELIABLE_OVERLAP
+    };
+}
+
+// Holm–Bonferroni adjustment for testing several hypotheses at once: the
+// adjusted p-values in input order, nulls left as they are
+export function holmAdjust(pValues) {
+    const order = pValues
+        .map((p, idx) => ({ p, idx }))
+        .filter(({ p }) => p !== null)
+        .sort((x, y) => x.p - y.p);
+    const adjusted = pValues.slice();
+    let running = 0;
+    order.forEach(({ p, idx }, rank) => {
+        running = Math.max(running, Math.min(1, (order.length - rank) * p));
+        adjusted[idx] = running;
+    });
+    return adjusted;
+}
+
+// "p = 0.031" / "p < 0.001"
+export function formatPValue(p) {
+    if (p === null || !Number.isFinite(p)) return "p = n/a";
+    return p < 0.001 ? "p < 0.001" : `p = ${p.toFixed(3)}`;
+}
@@ -0,0 +1,154 @@
+// lib/similarity.mjs
+// Ways to measure how alike two people's paired scores (xs, ys) are. Each
+// metric returns its own number (NaN when undefined); toSimilarity() maps it
+// onto -1 … 1, higher = more alike, so best/worst picks, labels and colours
+// work the same whichever metric is selected.
+import { SCORE_SCALE } from "./dataset.mjs";
+
+export const SIMILARITY_METRICS = ["pearson", "spearman", "kendall", "cosine", "mad"];
+export const DEFAULT_SIMILARITY_METRIC = "pearson";
+
+// kind "correlation": -1 … 1, 1 = identical taste.
+// kind "distance": 0 … scale width, 0 = identical scores.
+export const METRIC_INFO = {
+    pearson: { label: "Pearson r", symbol: "r", kind: "correlation" },
+    spearman: { label: "Spearman ρ", symbol: "ρ", kind: "correlation" },
+    kendall: { label: "Kendall τ", symbol: "τ", kind: "correlation" },
+    cosine: { label: "Cosine similarity", symbol: "cos", kind: "correlation" },
+    mad: { label: "Mean absolute distance", symbol: "MAD", kind: "distance" }
+};
+
+export function resolveMetric(metric) {
+    return SIMILARITY_METRICS.includes(metric) ? metric : DEFAULT_SIMILARITY_METRIC;
+}
+
+export function pearsonCorrelation(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return NaN;
+
+    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0, sumY2 = 0;
+    for (let i = 0; i < n; i++) {
+        const x = xs[i];
+        const y = ys[i];
+        sumX += x;
+        sumY += y;
+        sumXY += x * y;
+        sumX2 += x * x;
+        sumY2 += y * y;
+    }
+    const num = n * sumXY - sumX * sumY;
+    const den = Math.sqrt(
+        (n * sumX2 - sumX * sumX) *
+        (n * sumY2 - sumY * sumY)
+    );
+    if (den === 0) return NaN;
+    return num / den;
+}
+
+// 1-based ranks, ties share their average rank
+function averageRanks(values) {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    const ranks = new Array(values.length);
+    let i = 0;
+    while (i < order.length) {
+        let j = i;
+        while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+        const rank = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) ranks[order[k]] = rank;
+        i = j + 1;
+    }
+    return ranks;
+}
+
+export function spearmanCorrelation(xs, ys) {
+    if (xs.length < 2) return NaN;
+    return pearsonCorrelation(averageRanks(xs), averageRanks(ys));
+}
+
+// Kendall's tau-b (tie-corrected), which suits the many ties of a 7-point scale
+export function kendallTau(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return NaN;
+
+    let concordant = 0, discordant = 0, tiesX = 0, tiesY = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const dx = Math.sign(xs[i] - xs[j]);
+            const dy = Math.sign(ys[i] - ys[j]);
+            if (dx === 0 && dy === 0) continue;
+            if (dx === 0) tiesX++;
+            else if (dy === 0) tiesY++;
+            else if (dx === dy) concordant++;
+            else discordant++;
+        }
+    }
+    const den = Math.sqrt((concordant + discordant + tiesX) * (concordant + discordant + tiesY));
+    if (den === 0) return NaN;
+    return (concordant - discordant) / den;
+}
+
+// Scores are centred on 0 ("neutral"), so the raw vectors are used as-is
+export function cosineSimilarity(xs, ys) {
+    if (xs.length < 2) return NaN;
+    let dot = 0, normX = 0, normY = 0;
+    for (let i = 0; i < xs.length; i++) {
+        dot += xs[i] * ys[i];
+        normX += xs[i] * xs[i];
+        normY += ys[i] * ys[i];
+    }
+    if (normX === 0 || normY === 0) return NaN;
+    return dot / Math.sqrt(normX * normY);
+}
+
+export function meanAbsoluteDistance(xs, ys) {
+    if (xs.length < 2) return NaN;
+    let sum = 0;
+    for (let i = 0; i < xs.length; i++) sum += Math.abs(xs[i] - ys[i]);
+    return sum / xs.length;
+}
+
+const METRIC_FUNCTIONS = {
+    pearson: pearsonCorrelation,
+    spearman: spearmanCorrelation,
+    kendall: kendallTau,
+    cosine: cosineSimilarity,
+    mad: meanAbsoluteDistance
+};
+
+// The metric's value for two overlapping score lists (NaN when undefined,
+// e.g. a correlation with someone who gave every location the same score)
+export function computeSimilarity(xs, ys, metric = DEFAULT_SIMILARITY_METRIC) {
+    return METRIC_FUNCTIONS[resolveMetric(metric)](xs, ys);
+}
+
+// What a person scores against themselves (the matrix diagonal)
+export function selfSimilarity(metric = DEFAULT_SIMILARITY_METRIC) {
+    return METRIC_INFO[resolveMetric(metric)].kind === "distance" ? 0 : 1;
+}
+
+// Map a metric value onto -1 … 1 (higher = more alike). Distances use the
+// score scale: 0 apart → 1, half the scale apart → 0, opposite ends → -1.
+export function toSimilarity(value, metric = DEFAULT_SIMILARITY_METRIC) {
+    if (value === null || !Number.isFinite(value)) return NaN;
+    if (METRIC_INFO[resolveMetric(metric)].kind === "distance") {
+        const width = SCORE_SCALE.max - SCORE_SCALE.min;
+        return Math.max(-1, 1 - (2 * value) / width);
+    }
+    return value;
+}
+
+// --- Overlap-adjusted match score ---
+// Pairs sharing fewer locations than this are left out of best/worst picks
+export const DEFAULT_MIN_OVERLAP = 3;
+// Prior weight in "pseudo-locations" of zero similarity: with n shared
+// locations the similarity is multiplied by n / (n + SHRINKAGE_STRENGTH), so
+// a perfect match on 2 locations scores 0.4 and 0.95 on 20 scores 0.83.
+export const SHRINKAGE_STRENGTH = 3;
+
+// Shrink a metric value toward "no relationship" according to its overlap.
+// Returns a -1 … 1 score (higher = more alike), NaN when undefined.
+export function adjustedSimilarity(value, overlap, metric = DEFAULT_SIMILARITY_METRIC) {
+    const sim = toSimilarity(value, metric);
+    if (!Number.isFinite(sim) || overlap <= 0) return NaN;
+    return sim * overlap / (overlap + SHRINKAGE_STRENGTH);
+}
@@ -0,0 +1,614 @@
+// lib/stats.mjs
+// People-to-people and per-location statistics on the { name, scores }
+// model. Functions take `people` (and the location names where they report
+// locations) explicitly so they run in the browser, the worker and Node.
+import { canonicalName } from "./dataset.mjs";
+import {
+    adjustedSimilarity,
+    computeSimilarity,
+    DEFAULT_MIN_OVERLAP,
+    DEFAULT_SIMILARITY_METRIC,
+    METRIC_INFO,
+    resolveMetric,
+    selfSimilarity,
+    toSimilarity
+} from "./similarity.mjs";
+
+import { normalizePeople } from "./normalize.mjs";
+import { computeSignificance, MATRIX_SIGNIFICANCE_OPTIONS } from "./significance.mjs";
+
+export { pearsonCorrelation } from "./similarity.mjs";
+
+// Largest exponent accepted by the custom ranking
+export const MAX_EXPONENT = 8;
+
+// Display name for a location index, e.g. "Vancouver" or "Location 3"
+export function locationLabel(locationNames, idx) {
+    return (locationNames && locationNames[idx]) || `Location ${idx + 1}`;
+}
+
+// True when the person gave this score themselves (not null, not filled in
+// by lib/missing.mjs)
+function isGiven(person, idx) {
+    return person.scores[idx] !== null && !(person.imputed && person.imputed[idx]);
+}
+
+// helper to build overlapping data between two people; options.givenOnly
+// skips imputed scores (counts and significance rest on real answers)
+export function buildOverlap(personA, personB, options = {}) {
+    const xs = [];
+    const ys = [];
+    const overlaps = []; // { index, a, b }
+
+    for (let i = 0; i < personA.scores.length; i++) {
+        const a = personA.scores[i];
+        const b = personB.scores[i];
+        if (options.givenOnly && !(isGiven(personA, i) && isGiven(personB, i))) continue;
+        if (a !== null && b !== null) {
+            xs.push(a);
+            ys.push(b);
+            overlaps.push({ index: i, a, b });
+        }
+    }
+
+    return { xs, ys, overlaps };
+}
+
+// Strength wording for a metric value ("very weak" … "very strong").
+// Correlations go by |r|; distances by how close to identical the scores are.
+export function similarityStrength(r, metric = DEFAULT_SIMILARITY_METRIC) {
+    const absR = METRIC_INFO[resolveMetric(metric)].kind === "distance"
+        ? Math.max(toSimilarity(r, metric), 0)
+        : Math.abs(r);
+    if (absR < 0.2) return "very weak";
+    if (absR < 0.4) return "weak";
+    if (absR < 0.6) return "moderate";
+    if (absR < 0.8) return "strong";
+    return "very strong";
+}
+
+export function qualitativeFromR(r, metric = DEFAULT_SIMILARITY_METRIC) {
+    return `${similarityStrength(r, metric)} similarity`;
+}
+
+export function corrClassFromR(r, metric = DEFAULT_SIMILARITY_METRIC) {
+    r = toSimilarity(r, metric);
+    if (r > 0.25) return "positive";
+    if (r < -0.25) return "negative";
+    return "neutral";
+}
+
+export function computePersonStats(person) {
+    const vals = person.scores.filter(v => v !== null);
+    if (!vals.length) return null;
+
+    const n = vals.length;
+    const mean = vals.reduce((s, v) => s + v, 0) / n;
+    const variance = vals.reduce((s, v) => s + (v - mean) * (v - mean), 0) / n;
+    const std = Math.sqrt(variance);
+    const min = Math.min(...vals);
+    const max = Math.max(...vals);
+
+    return { name: person.name, n, mean, std, min, max };
+}
+
+// A person's highest- and lowest-scored locations: { favorite, leastFavorite },
+// each { index, name, score } or null when they rated nothing. Ties keep the
+// first location.
+export function computeFavoriteLocations(person, locationNames) {
+    let favorite = null;
+    let leastFavorite = null;
+    for (let i = 0; i < person.scores.length; i++) {
+        const v = person.scores[i];
+        if (v === null) continue;
+        const name = locationLabel(locationNames, i);
+
+        if (!favorite || v > favorite.score) {
+            favorite = { index: i, name, score: v };
+        }
+        if (!leastFavorite || v < leastFavorite.score) {
+            leastFavorite = { index: i, name, score: v };
+        }
+    }
+    return { favorite, leastFavorite };
+}
+
+// Everyone's ratings flattened: { numPeople, totalRatings, mean, std, min, max }
+// (mean/std are 0 and min/max null when nobody rated anything)
+export function computeGlobalSummary(people) {
+    const allVals = [];
+    for (const p of people) {
+        for (const v of p.scores) {
+            if (v !== null) allVals.push(v);
+        }
+    }
+
+    const numPeople = people.length;
+    const totalRatings = allVals.length;
+
+    let mean = 0, std = 0, min = null, max = null;
+    if (totalRatings > 0) {
+        mean = allVals.reduce((s, v) => s + v, 0) / totalRatings;
+        const variance = allVals.reduce((s, v) => s + (v - mean) * (v - mean), 0) / totalRatings;
+        std = Math.sqrt(variance);
+        min = Math.min(...allVals);
+        max = Math.max(...allVals);
+    }
+
+    return { numPeople, totalRatings, mean, std, min, max };
+}
+
+// compute best and worst matches vs a given person. `r` holds the chosen
+// metric's value; best/worst go by the overlap-adjusted score
+// (adjustedSimilarity) so one perfect match on two locations doesn't win.
+// options.minOverlap drops pairs with fewer shared locations.
+export function computeBestAndWorstFor(people, basePerson, metric = DEFAULT_SIMILARITY_METRIC, options = {}) {
+    const minOverlap = Math.max(options.minOverlap ?? DEFAULT_MIN_OVERLAP, 2);
+    let best = null;  // { name, r, adjusted, overlap }
+    let worst = null; // { name, r, adjusted, overlap }
+
+    for (const other of people) {
+        if (other.name === basePerson.name) continue;
+
+        const { xs, ys } = buildOverlap(basePerson, other);
+        if (xs.length < minOverlap) continue;
+
+        const r = computeSimilarity(xs, ys, metric);
+        if (!Number.isFinite(r)) continue;
+        const adjusted = adjustedSimilarity(r, xs.length, metric);
+
+        if (best === null || adjusted > best.adjusted) {
+            best = { name: other.name, r, adjusted, overlap: xs.length };
+        }
+        if (worst === null || adjusted < worst.adjusted) {
+            worst = { name: other.name, r, adjusted, overlap: xs.length };
+        }
+    }
+
+    return { best, worst };
+}
+
+// Compute: for a given person index, which location are they most different
+// from the rest of the group (by |score - others' mean|)?
+export function computeMostDifferentLocation(people, personIdx, locationNames) {
+    const person = people[personIdx];
+    if (!person) return null;
+
+    const numLocations = person.scores.length;
+    let best = null; // { index, location, diff, selfScore, groupMean, count }
+
+    for (let idx = 0; idx < numLocations; idx++) {
+        const v = person.scores[idx];
+        if (v === null) continue;
+
+        let sum = 0;
+        let count = 0;
+
+        for (let j = 0; j < people.length; j++) {
+            if (j === personIdx) continue;
+            const w = people[j].scores[idx];
+            if (w !== null) {
+                sum += w;
+                count++;
+            }
+        }
+
+        if (count === 0) continue;
+
+        const groupMean = sum / count;
+        const diff = Math.abs(v - groupMean);
+
+        if (!best || diff > best.diff) {
+            best = {
+                index: idx,
+                location: locationLabel(locationNames, idx),
+                diff,
+                selfScore: v,
+                groupMean,
+                count
+            };
+        }
+    }
+
+    return best;
+}
+
+// Most aligned / most opposite pair by overlap-adjusted score; options as
+// for computeBestAndWorstFor
+export function computeGlobalPairExtremes(people, metric = DEFAULT_SIMILARITY_METRIC, options = {}) {
+    const minOverlap = Math.max(options.minOverlap ?? DEFAULT_MIN_OVERLAP, 2);
+    let bestPair = null;  // { a, b, r, adjusted, overlap }
+    let worstPair = null;
+
+    for (let i = 0; i < people.length; i++) {
+        for (let j = i + 1; j < people.length; j++) {
+            const pA = people[i];
+            const pB = people[j];
+            const { xs, ys } = buildOverlap(pA, pB);
+            if (xs.length < minOverlap) continue;
+            const r = computeSimilarity(xs, ys, metric);
+            if (!Number.isFinite(r)) continue;
+            const adjusted = adjustedSimilarity(r, xs.length, metric);
+
+            if (!bestPair || adjusted > bestPair.adjusted) {
+                bestPair = { a: pA.name, b: pB.name, r, adjusted, overlap: xs.length };
+            }
+            if (!worstPair || adjusted < worstPair.adjusted) {
+                worstPair = { a: pA.name, b: pB.name, r, adjusted, overlap: xs.length };
+            }
+        }
+    }
+    return { bestPair, worstPair };
+}
+
+// options.normalization: a NORMALIZATION_MODES entry applied per person first
+export function computePolarizationExtremes(people, locationNames, options = {}) {
+    if (!people.length) return { most: null, least: null };
+    people = normalizePeople(people, options.normalization);
+    const numLocations = people[0].scores.length;
+
+    let most = null;  // highest std
+    let least = null; // lowest std (least polarizing)
+
+    for (let idx = 0; idx < numLocations; idx++) {
+        const vals = [];
+        for (const p of people) {
+            const v = p.scores[idx];
+            if (v !== null) vals.push(v);
+        }
+        if (vals.length < 2) continue;
+
+        const n = vals.length;
+        const mean = vals.reduce((s, v) => s + v, 0) / n;
+        const variance = vals.reduce((s, v) => s + (v - mean) * (v - mean), 0) / n;
+        const std = Math.sqrt(variance);
+
+        const entry = {
+            index: idx,
+            name: locationLabel(locationNames, idx),
+            std,
+            n
+        };
+
+        if (!most || std > most.std) {
+            most = entry;
+        }
+        if (!least || std < least.std) {
+            least = entry;
+        }
+    }
+
+    return { most, least };
+}
+
+// Signed squared sum = Σ (score * |score|) over everyone for each location.
+// options.normalization as for computePolarizationExtremes.
+export function computeLocationSignedSquaredSums(people, locationNames, options = {}) {
+    if (!people.length) return null;
+    people = normalizePeople(people, options.normalization);
+    const numLocations = people[0].scores.length;
+
+    const locStats = [];
+
+    for (let idx = 0; idx < numLocations; idx++) {
+        let signedSquaredSum = 0;
+        let count = 0;
+        let sum = 0;
+        let sumSq = 0;
+
+        for (const p of people) {
+            const v = p.scores[idx];
+            if (v !== null) {
+                signedSquaredSum += v * Math.abs(v);
+                count++;
+                sum += v;
+                sumSq += v * v;
+            }
+        }
+
+        if (count > 0) {
+            let consensus = null; // we'll use σ as a "consensus" proxy: lower = more agreement
+            if (count > 1) {
+                const mean = sum / count;
+                const variance = sumSq / count - mean * mean;
+                consensus = Math.sqrt(Math.max(variance, 0));
+            }
+
+            locStats.push({
+                index: idx,
+                name: locationLabel(locationNames, idx),
+                signedSquaredSum,
+                count,
+                consensus,   // standard deviation of scores for this location
+            });
+        }
+    }
+
+    if (!locStats.length) return null;
+
+    // Sort descending by signed squared sum
+    locStats.sort((a, b) => b.signedSquaredSum - a.signedSquaredSum);
+
+    const best = locStats[0];
+    const worst = locStats[locStats.length - 1];
+
+    return { best, worst, ranking: locStats };
+}
+
+export function computeMostPolarizingLocation(people, locationNames) {
+    if (!people.length) return null;
+    const numLocations = people[0].scores.length;
+
+    let best = null; // { index, name, std, n }
+
+    for (let idx = 0; idx < numLocations; idx++) {
+        const vals = [];
+        for (const p of people) {
+            const v = p.scores[idx];
+            if (v !== null) vals.push(v);
+        }
+        if (vals.length < 2) continue;
+
+        const n = vals.length;
+        const mean = vals.reduce((s, v) => s + v, 0) / n;
+        const variance = vals.reduce((s, v) => s + (v - mean) * (v - mean), 0) / n;
+        const std = Math.sqrt(variance);
+
+        if (!best || std > best.std) {
+            best = {
+                index: idx,
+                name: locationLabel(locationNames, idx),
+                std,
+                n
+            };
+        }
+    }
+
+    return best;
+}
+
+// Custom ranking: score(location) = Σ sign(rank) · |rank|^exponent over
+// everyone who rated it. Returns locations sorted by score (descending) as
+// { index, name, score, std, count }; std is the spread of the contributions.
+// options.normalization rescales each person's scores first.
+export function computeCustomRanking(people, locationNames, exponent, options = {}) {
+    if (!people.length) return [];
+    people = normalizePeople(people, options.normalization);
+    const numLocations = people[0].scores.length;
+
+    const locStats = [];
+
+    for (let locIdx = 0; locIdx < numLocations; locIdx++) {
+        const contributions = [];
+
+        for (const p of people) {
+            const v = p.scores[locIdx];
+            if (v === null) continue;
+
+            const sign = Math.sign(v);
+            const mag = Math.pow(Math.abs(v), exponent);
+            const contrib = sign * mag;
+
+            contributions.push(contrib);
+        }
+
+        if (!contributions.length) continue;
+
+        const count = contributions.length;
+        const sum = contributions.reduce((s, v) => s + v, 0);
+        const mean = sum / count;
+        const variance = contributions.reduce((s, v) => s + (v - mean) * (v - mean), 0) / count;
+        const std = Math.sqrt(Math.max(variance, 0));
+
+        locStats.push({
+            index: locIdx,
+            name: locationLabel(locationNames, locIdx),
+            score: sum,
+            std,
+            count
+        });
+    }
+
+    // Sort descending by custom score
+    locStats.sort((a, b) => b.score - a.score);
+    return locStats;
+}
+
+// The survey turned on its side: one entry per location whose `scores` are
+// everyone's answers for it, so the people-to-people functions (matrix,
+// similarity) compare locations across the people who rated both.
+export function locationsAsPeople(people, locationNames) {
+    if (!people.length) return [];
+    return people[0].scores.map((_, locIdx) => ({
+        name: locationLabel(locationNames, locIdx),
+        scores: people.map(p => p.scores[locIdx]),
+        imputed: people.map(p => Boolean(p.imputed && p.imputed[locIdx]))
+    }));
+}
+
+// Two locations side by side over the people who rated both:
+// { a, b: { index, name, mean }, rows: [{ index, name, a, b, given }], rated,
+//   value, significance, together: { bothLiked, bothDisliked, split } } – value
+// is the chosen metric (null when undefined) over every row; the means, counts
+// and significance only use the `rated` rows with no imputed score. "liked"
+// means a score above 0.
+export function compareLocations(people, locationNames, locA, locB, metric = DEFAULT_SIMILARITY_METRIC) {
+    const rows = [];
+    people.forEach((p, index) => {
+        const a = p.scores[locA];
+        const b = p.scores[locB];
+        if (a !== null && b !== null) rows.push({ index, name: p.name, a, b, given: isGiven(p, locA) && isGiven(p, locB) });
+    });
+
+    const mean = (values) => (values.length ? values.reduce((s, v) => s + v, 0) / values.length : null);
+    const side = (locIdx, values) => ({ index: locIdx, name: locationLabel(locationNames, locIdx), mean: mean(values) });
+    const given = rows.filter(r => r.given);
+    const xs = given.map(r => r.a);
+    const ys = given.map(r => r.b);
+    const value = rows.length >= 2 ? computeSimilarity(rows.map(r => r.a), rows.map(r => r.b), metric) : NaN;
+
+    return {
+        a: side(locA, xs),
+        b: side(locB, ys),
+        rows,
+        rated: given.length,
+        value: Number.isFinite(value) ? value : null,
+        significance: given.length >= 2 ? computeSignificance(xs, ys, metric) : null,
+        together: {
+            bothLiked: given.filter(r => r.a > 0 && r.b > 0).length,
+            bothDisliked: given.filter(r => r.a < 0 && r.b < 0).length,
+            split: given.filter(r => Math.sign(r.a) * Math.sign(r.b) < 0).length
+        }
+    };
+}
+
+// Dissimilarity of every pair, 1 − similarity on the -1 … 1 scale (0 = same
+// taste, 2 = opposite); pairs without a defined value count as unrelated (1)
+export function computeDistanceMatrix(people, metric = DEFAULT_SIMILARITY_METRIC) {
+    const n = people.length;
+    const distances = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const { xs, ys } = buildOverlap(people[i], people[j]);
+            const sim = toSimilarity(computeSimilarity(xs, ys, metric), metric);
+            distances[i][j] = distances[j][i] = 1 - (Number.isFinite(sim) ? sim : 0);
+        }
+    }
+    return distances;
+}
+
+// `order` lists indices into `people`; the matrix follows that order.
+// Cells are { r, overlap, pValue, ci, method } with r in the chosen metric
+// (null when undefined) and the significance fields from computeSignificance;
+// overlap and significance count only scores both actually gave. p-values use
+// the cheaper MATRIX_SIGNIFICANCE_OPTIONS; Compare runs the full test.
+export function computeCorrelationMatrix(people, order = people.map((_, idx) => idx), metric = DEFAULT_SIMILARITY_METRIC) {
+    const n = order.length;
+    const matrix = [];
+    const pairCache = new Map(); // "lo:hi" → cell, each pair is tested once
+
+    for (let i = 0; i < n; i++) {
+        const idxI = order[i];
+        matrix[i] = [];
+        for (let j = 0; j < n; j++) {
+            const idxJ = order[j];
+
+            if (idxI === idxJ) {
+                // diagonal
+                matrix[i][j] = {
+                    r: selfSimilarity(metric),
+                    overlap: people[idxI].scores.length,
+                    pValue: null,
+                    ci: null,
+                    method: null
+                };
+                continue;
+            }
+
+            const key = idxI < idxJ ? `${idxI}:${idxJ}` : `${idxJ}:${idxI}`;
+            if (!pairCache.has(key)) {
+                const { xs, ys } = buildOverlap(people[idxI], people[idxJ]);
+                const given = buildOverlap(people[idxI], people[idxJ], { givenOnly: true });
+                const r = xs.length < 2 ? NaN : computeSimilarity(xs, ys, metric);
+                const sig = given.xs.length < 2
+                    ? null
+                    : computeSignificance(given.xs, given.ys, metric, MATRIX_SIGNIFICANCE_OPTIONS);
+                pairCache.set(key, {
+                    r: Number.isFinite(r) ? r : null,
+                    overlap: given.xs.length,
+                    pValue: sig ? sig.pValue : null,
+                    ci: sig ? sig.ci : null,
+                    method: sig ? sig.method : null
+                });
+            }
+            matrix[i][j] = pairCache.get(key);
+        }
+    }
+    return matrix;
+}
+
+// Diff two buildDataset() results of one survey: people matched by canonical
+// name, locations by name, pair values in the given similarity metric.
+export function diffDatasets(before, after, metric = DEFAULT_SIMILARITY_METRIC) {
+    const index = (dataset) => {
+        const map = new Map();
+        for (const p of dataset.people) {
+            map.set(canonicalName(p.name).key, p);
+        }
+        return map;
+    };
+    const beforeMap = index(before);
+    const afterMap = index(after);
+
+    const beforeLocs = before.mapping.locationNames;
+    const afterLocs = after.mapping.locationNames;
+    const sharedLocs = beforeLocs
+        .map((name, i) => ({ name, from: i, to: afterLocs.indexOf(name) }))
+        .filter(l => l.to !== -1);
+
+    const joined = [];
+    const left = [];
+    const scoreChanges = []; // { name, location, from, to }
+
+    for (const [key, p] of afterMap) {
+        if (!beforeMap.has(key)) joined.push(p.name);
+    }
+    for (const [key, p] of beforeMap) {
+        if (!afterMap.has(key)) {
+            left.push(p.name);
+            continue;
+        }
+        const q = afterMap.get(key);
+        for (const loc of sharedLocs) {
+            const from = p.scores[loc.from];
+            const to = q.scores[loc.to];
+            if (from !== to) {
+                scoreChanges.push({ name: q.name, location: loc.name, from, to });
+            }
+        }
+    }
+
+    // r for every pair present in both versions, each measured within its own version
+    const pairR = (a, b) => {
+        const { xs, ys } = buildOverlap(a, b);
+        if (xs.length < 2) return null;
+        const r = computeSimilarity(xs, ys, metric);
+        return Number.isFinite(r) ? r : null;
+    };
+
+    const keys = [...beforeMap.keys()].filter(k => afterMap.has(k));
+    const pairs = [];
+    for (let i = 0; i < keys.length; i++) {
+        for (let j = i + 1; j < keys.length; j++) {
+            const from = pairR(beforeMap.get(keys[i]), beforeMap.get(keys[j]));
+            const to = pairR(afterMap.get(keys[i]), afterMap.get(keys[j]));
+            if (from === null && to === null) continue;
+            pairs.push({
+                a: afterMap.get(keys[i]).name,
+                b: afterMap.get(keys[j]).name,
+                from,
+                to,
+                delta: from !== null && to !== null ? to - from : null
+            });
+        }
+    }
+
+    // Biggest moves first; pairs that gained or lost an r go after
+    pairs.sort((x, y) => {
+        if (x.delta === null && y.delta === null) return 0;
+        if (x.delta === null) return 1;
+        if (y.delta === null) return -1;
+        return Math.abs(y.delta) - Math.abs(x.delta);
+    });
+
+    return {
+        joined,
+        left,
+        addedLocations: afterLocs.filter(n => !beforeLocs.includes(n)),
+        removedLocations: beforeLocs.filter(n => !afterLocs.includes(n)),
+        scoreChanges,
+        pairs,
+        beforeCount: before.people.length,
+        afterCount: after.people.length
+    };
+}
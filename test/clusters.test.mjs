@@ -0,0 +1,32 @@
+// test/clusters.test.mjs
+// Picking the number of clusters from the silhouette scree.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { chooseClusterCount, computeClusterScree } from "../lib/clusters.mjs";
+
+test("chooseClusterCount takes the best silhouette, fewer clusters on a tie", () => {
+    const scree = [
+        { k: 1, inertia: 40, silhouette: null },
+        { k: 2, inertia: 20, silhouette: 0.4 },
+        { k: 3, inertia: 10, silhouette: 0.6 },
+        { k: 4, inertia: 8, silhouette: 0.6 }
+    ];
+    assert.equal(chooseClusterCount(scree), 3);
+});
+
+test("chooseClusterCount is 1 without a positive silhouette", () => {
+    assert.equal(chooseClusterCount([{ k: 1, silhouette: null }, { k: 2, silhouette: -0.1 }, { k: 3, silhouette: 0 }]), 1);
+    assert.equal(chooseClusterCount([]), 1);
+});
+
+test("two clearly separated tastes give k = 2", () => {
+    const people = [
+        { name: "A", scores: [3, 3, -3, -3] },
+        { name: "B", scores: [3, 2, -3, -2] },
+        { name: "C", scores: [2, 3, -2, -3] },
+        { name: "D", scores: [-3, -3, 3, 3] },
+        { name: "E", scores: [-3, -2, 3, 2] },
+        { name: "F", scores: [-2, -3, 2, 3] }
+    ];
+    assert.equal(chooseClusterCount(computeClusterScree(people)), 2);
+});
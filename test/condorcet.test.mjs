@@ -0,0 +1,36 @@
+// test/condorcet.test.mjs
+// Head-to-head wins, Condorcet winner and the Schulze ordering.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { computeCondorcet } from "../lib/condorcet.mjs";
+
+const ranked = (order) => {
+    // order: best → worst over locations A, B, C
+    const scores = [0, 0, 0];
+    order.forEach((loc, i) => { scores[loc] = 3 - 3 * i; });
+    return { name: order.join(""), scores };
+};
+const names = ["A", "B", "C"];
+
+test("a Condorcet winner heads the Schulze ordering", () => {
+    const people = [ranked([0, 1, 2]), ranked([0, 1, 2]), ranked([1, 2, 0])];
+    const result = computeCondorcet(people, names);
+    assert.deepEqual(result.winner, { index: 0, name: "A" });
+    assert.deepEqual(result.loser, { index: 2, name: "C" });
+    assert.deepEqual(result.cycles, []);
+    assert.deepEqual(result.schulze.map(e => [e.name, e.rank]), [["A", 1], ["B", 2], ["C", 3]]);
+});
+
+test("Schulze breaks a majority cycle by the strongest paths", () => {
+    // A > B 3:2, B > C 4:1, C > A 3:2
+    const people = [
+        ranked([0, 1, 2]), ranked([0, 1, 2]),
+        ranked([1, 2, 0]), ranked([1, 2, 0]),
+        ranked([2, 0, 1])
+    ];
+    const result = computeCondorcet(people, names);
+    assert.equal(result.winner, null);
+    assert.deepEqual(result.cycles.map(group => group.map(l => l.name)), [["A", "B", "C"]]);
+    // Path strengths: B → C 4 beats C → B 3; every other pair ties at 3
+    assert.deepEqual(result.schulze.map(e => [e.name, e.rank]), [["B", 1], ["A", 2], ["C", 2]]);
+});
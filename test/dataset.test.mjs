@@ -0,0 +1,73 @@
+// test/dataset.test.mjs
+// Repeat submissions: which row wins under each strategy, and Sheets
+// timestamps in the locales Google exports.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildDataset, parseDataFile, parseSheetTimestamps } from "../lib/dataset.mjs";
+
+const REPEAT_ROWS = [
+    ["Timestamp", "Name", "Score the following locations: [A]", "Score the following locations: [B]"],
+    ["1/2/2025 10:00:00", "Ana", "3", ""],
+    ["1/1/2025 10:00:00", "ana ", "-1", "2"],
+    ["1/1/2025 09:00:00", "Bo", "1", "1"]
+];
+const summary = (dataset) => dataset.people.map(p => [p.name, p.scores]);
+
+test("repeat submissions match names ignoring case and spacing", () => {
+    const { people, merges } = buildDataset(REPEAT_ROWS, { strategy: "latest" });
+    assert.equal(people.length, 2);
+    assert.deepEqual(merges, [{ name: "Ana", rows: [2, 3], kept: 2 }]);
+});
+
+test("latest, first and merge go by the timestamp, not sheet order", () => {
+    assert.deepEqual(summary(buildDataset(REPEAT_ROWS, { strategy: "latest" })), [["Ana", [3, null]], ["Bo", [1, 1]]]);
+    assert.deepEqual(summary(buildDataset(REPEAT_ROWS, { strategy: "first" })), [["Ana", [-1, 2]], ["Bo", [1, 1]]]);
+    // Newest non-empty answer per location
+    assert.deepEqual(summary(buildDataset(REPEAT_ROWS, { strategy: "merge" })), [["Ana", [3, 2]], ["Bo", [1, 1]]]);
+});
+
+test("the name column prefers the name question over headers that mention a name", () => {
+    const header = ["Timestamp", "Restaurant name you'd add", "What is your name?", "Score the following locations: [A]"];
+    const { people } = buildDataset([header, ["2026-05-01 10:00", "Luigi's", "Ana", "3"]]);
+    assert.equal(people[0].name, "Ana");
+    const fallback = buildDataset([["Nickname or name", "Score the following locations: [A]"], ["Bo", "2"]]);
+    assert.equal(fallback.people[0].name, "Bo");
+});
+
+test("parseSheetTimestamps reads day-first columns", () => {
+    assert.deepEqual(
+        parseSheetTimestamps(["18/10/2026 14:03:11", "3/10/2026 9:00:00"]),
+        [Date.UTC(2026, 9, 18, 14, 3, 11), Date.UTC(2026, 9, 3, 9, 0, 0)]
+    );
+    assert.deepEqual(parseSheetTimestamps(["3.10.2026 9:00:00"]), [Date.UTC(2026, 9, 3, 9, 0, 0)]);
+});
+
+test("parseSheetTimestamps reads month-first columns and ISO dates", () => {
+    assert.deepEqual(
+        parseSheetTimestamps(["10/18/2026 14:03:11", "3/10/2026 9:00:00", "2026-05-01 10:00", "1/2/25 2:05 PM"]),
+        [Date.UTC(2026, 9, 18, 14, 3, 11), Date.UTC(2026, 2, 10, 9, 0, 0), Date.UTC(2026, 4, 1, 10, 0, 0), Date.UTC(2025, 0, 2, 14, 5, 0)]
+    );
+    assert.ok(parseSheetTimestamps(["yesterday", ""]).every(Number.isNaN));
+});
+
+test("parseSheetTimestamps honours a zone suffix, with or without a space before it", () => {
+    assert.deepEqual(
+        parseSheetTimestamps(["2026-05-01 10:00:00 Z", "2026-05-01T10:00:00Z", "2026-05-01 12:00 +02:00"]),
+        [Date.UTC(2026, 4, 1, 10, 0, 0), Date.UTC(2026, 4, 1, 10, 0, 0), Date.UTC(2026, 4, 1, 10, 0, 0)]
+    );
+});
+
+test("day-first repeat submissions keep the newer row", () => {
+    const rows = [
+        ["Timestamp", "Name", "Score the following locations: [A]"],
+        ["18/10/2026 14:03:11", "Ana", "3"],
+        ["09/10/2026 09:00:00", "ana", "-1"]
+    ];
+    assert.deepEqual(buildDataset(rows, { strategy: "latest" }).people[0].scores, [3]);
+    assert.deepEqual(buildDataset(rows, { strategy: "first" }).people[0].scores, [-1]);
+});
+
+test("parseDataFile trusts a .csv extension even when the first cell starts with a bracket", () => {
+    assert.deepEqual(parseDataFile("scores.csv", "[Name],Pizza\nAna,5\n"), [["[Name]", "Pizza"], ["Ana", "5"]]);
+    assert.equal(parseDataFile("scores", '[["Name", "Pizza"], ["Ana", 5]]').length, 2);
+});
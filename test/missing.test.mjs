@@ -0,0 +1,46 @@
+// test/missing.test.mjs
+// Every missing-data strategy on a small table with known fills.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { imputePeople, withoutImputed } from "../lib/missing.mjs";
+
+const people = [
+    { name: "Ana", scores: [1, 2, 3, null] },
+    { name: "Bo", scores: [1, 2, 3, 3] },
+    { name: "Cy", scores: [3, 2, 1, -3] },
+    { name: "Di", scores: [null, 0, 2, null] }
+];
+
+const scoresOf = (list) => list.map(p => p.scores);
+
+test("pairwise leaves the gaps and flags nothing", () => {
+    const result = imputePeople(people, "pairwise");
+    assert.deepEqual(scoresOf(result), scoresOf(people));
+    assert.ok(result.every(p => p.imputed.every(flag => flag === false)));
+});
+
+test("person-mean fills with the person's own average", () => {
+    const result = imputePeople(people, "person-mean");
+    assert.deepEqual(result[0].scores, [1, 2, 3, 2]);
+    assert.deepEqual(result[3].scores, [1, 0, 2, 1]);
+    assert.deepEqual(result[0].imputed, [false, false, false, true]);
+    assert.deepEqual(result[3].imputed, [true, false, false, true]);
+});
+
+test("location-mean fills with everyone's average for the location", () => {
+    const result = imputePeople(people, "location-mean");
+    assert.deepEqual(result[0].scores, [1, 2, 3, 0]);
+    assert.deepEqual(result[3].scores, [5 / 3, 0, 2, 0]);
+});
+
+test("knn predicts from similar people and falls back to the person's mean", () => {
+    const result = imputePeople(people, "knn", { metric: "pearson", minOverlap: 3 });
+    // Only Bo is a positive neighbour: 2 + (3 − 2.25)
+    assert.equal(result[0].scores[3], 2.75);
+    // Di shares only two locations with anyone: no neighbours
+    assert.deepEqual(result[3].scores, [1, 0, 2, 1]);
+});
+
+test("withoutImputed restores the answers as given", () => {
+    assert.deepEqual(scoresOf(withoutImputed(imputePeople(people, "knn"))), scoresOf(people));
+});
@@ -0,0 +1,20 @@
+// test/normalize.test.mjs
+// Per-person rescaling, including someone who gave one score everywhere.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { normalizePeople } from "../lib/normalize.mjs";
+
+const people = [
+    { name: "Ana", scores: [1, null, 3, 2] },
+    { name: "Bo", scores: [2, 2, null, 2] }
+];
+
+test("minmax stretches each person onto -3 … 3", () => {
+    assert.deepEqual(normalizePeople(people, "minmax")[0].scores, [-3, null, 3, 0]);
+});
+
+test("a constant row lands in the middle of the scale for every mode", () => {
+    for (const mode of ["z", "rank", "minmax"]) {
+        assert.deepEqual(normalizePeople(people, mode)[1].scores, [0, 0, null, 0], mode);
+    }
+});
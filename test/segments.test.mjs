@@ -0,0 +1,38 @@
+// test/segments.test.mjs
+// Comparing two answers to an attribute question location by location.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { compareSegments } from "../lib/segments.mjs";
+
+const person = (name, diet, scores) => ({ name, scores, attributes: { Diet: diet } });
+const people = [
+    person("Ana", "Vegetarian", [3, 0, null]),
+    person("Bo", "vegetarian ", [2, 0, 1]),
+    person("Cy", "Omnivore", [-1, 0, 2]),
+    person("Di", "omnivore", [-2, 0, null])
+];
+
+test("compareSegments gives each side's means and sorts by the gap", () => {
+    const cmp = compareSegments(people, ["A", "B", "C"], "Diet", "vegetarian", "OMNIVORE");
+    assert.deepEqual(cmp.a, { value: "Vegetarian", count: 2, mean: (3 + 2 + 0 + 0 + 1) / 5 });
+    assert.deepEqual(cmp.b, { value: "Omnivore", count: 2, mean: (-1 - 2 + 0 + 0 + 2) / 5 });
+    assert.deepEqual(cmp.rows.map(r => [r.name, r.diff]), [["A", 4], ["C", -1], ["B", 0]]);
+    assert.deepEqual(cmp.rows[0].a, { mean: 2.5, n: 2 });
+    assert.deepEqual(cmp.rows[1].b, { mean: 2, n: 1 });
+});
+
+test("compareSegments p-values are permutation estimates, Holm-adjusted", () => {
+    const cmp = compareSegments(people, ["A", "B", "C"], "Diet", "vegetarian", "omnivore");
+    const [a, c, b] = cmp.rows;
+    // Of the 6 ways to split A's four ratings in two, 2 are as extreme
+    assert.ok(Math.abs(a.pValue - 1 / 3) < 0.05);
+    // Identical ratings: every regrouping is as extreme
+    assert.equal(b.pValue, 1);
+    assert.equal(c.pValue, 1);
+    assert.equal(a.adjustedPValue, Math.min(1, 3 * a.pValue));
+    assert.equal(b.adjustedPValue, 1);
+});
+
+test("compareSegments is null for an answer nobody gave", () => {
+    assert.equal(compareSegments(people, ["A", "B", "C"], "Diet", "vegan", "omnivore"), null);
+});
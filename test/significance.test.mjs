@@ -0,0 +1,28 @@
+// test/significance.test.mjs
+// Permutation p-values, when the test switches method, and the Holm adjustment.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { computeSignificance, holmAdjust, MATRIX_SIGNIFICANCE_OPTIONS, permutationPValue } from "../lib/significance.mjs";
+
+test("permutationPValue enumerates every ordering for small overlaps", () => {
+    // Of the 3! orderings only the observed one and its reverse reach |r| = 1
+    assert.deepEqual(permutationPValue([1, 2, 3], [1, 2, 3], "pearson"), { pValue: 2 / 6, method: "exact", orderings: 6 });
+    assert.deepEqual(permutationPValue([1, 2, 3, 4], [1, 2, 3, 4], "pearson"), { pValue: 2 / 24, method: "exact", orderings: 24 });
+    assert.equal(permutationPValue([1, 1, 1], [1, 2, 3], "pearson"), null);
+});
+
+test("computeSignificance switches to Fisher z or Monte Carlo past the exact limit", () => {
+    const xs = [1, 2, 3, 4, 5, 6, 7, 8];
+    const ys = [2, 1, 4, 3, 6, 5, 8, 7];
+    assert.equal(computeSignificance(xs, ys, "pearson").method, "fisher");
+    assert.equal(computeSignificance(xs, ys, "cosine").method, "monte-carlo");
+    assert.equal(computeSignificance(xs.slice(0, 5), ys.slice(0, 5), "pearson").method, "exact");
+    // The matrix stops enumerating earlier
+    assert.equal(computeSignificance(xs.slice(0, 5), ys.slice(0, 5), "pearson", MATRIX_SIGNIFICANCE_OPTIONS).method, "fisher");
+});
+
+test("holmAdjust multiplies the i-th smallest p by (m − i) and keeps the order", () => {
+    assert.deepEqual(holmAdjust([0.01, null, 0.04, 0.03, 0.2]), [0.04, null, 0.09, 0.09, 0.2]);
+    assert.deepEqual(holmAdjust([0.5, 0.6]), [1, 1]);
+    assert.deepEqual(holmAdjust([]), []);
+});
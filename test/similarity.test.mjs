@@ -0,0 +1,53 @@
+// test/similarity.test.mjs
+// Metric values and the overlap-adjusted match score on hand-checked inputs.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+    adjustedSimilarity,
+    computeSimilarity,
+    cosineSimilarity,
+    kendallTau,
+    meanAbsoluteDistance,
+    SHRINKAGE_STRENGTH,
+    spearmanCorrelation
+} from "../lib/similarity.mjs";
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} ≠ ${expected}`);
+
+test("kendallTau is tau-b when both sides have ties", () => {
+    // 4 concordant pairs, 0 discordant, one tie in each list: 4 / √(5 · 5)
+    assert.equal(kendallTau([1, 2, 2, 3], [1, 2, 3, 3]), 0.8);
+    assert.equal(kendallTau([1, 2, 3], [3, 2, 1]), -1);
+    assert.ok(Number.isNaN(kendallTau([2, 2, 2], [1, 2, 3])));
+});
+
+test("spearmanCorrelation gives tied scores their average rank", () => {
+    // Ranks [1, 2.5, 2.5, 4] and [1, 2, 3.5, 3.5]: 3.75 / 4.5
+    close(spearmanCorrelation([1, 2, 2, 3], [1, 2, 3, 3]), 3.75 / 4.5);
+});
+
+test("cosine works on the raw scores and MAD in points", () => {
+    assert.equal(cosineSimilarity([1, 0, -1], [1, 0, 1]), 0);
+    close(cosineSimilarity([3, 3], [1, 1]), 1);
+    assert.ok(Number.isNaN(cosineSimilarity([0, 0], [1, 2])));
+    assert.equal(meanAbsoluteDistance([3, -3], [1, 0]), 2.5);
+});
+
+test("computeSimilarity dispatches on the metric name", () => {
+    assert.equal(computeSimilarity([1, 2, 2, 3], [1, 2, 3, 3], "kendall"), 0.8);
+    assert.equal(computeSimilarity([3, -3], [1, 0], "mad"), 2.5);
+    // Unknown names fall back to Pearson
+    close(computeSimilarity([1, 2, 3], [2, 4, 6], "nope"), 1);
+});
+
+test("adjustedSimilarity shrinks by n / (n + SHRINKAGE_STRENGTH)", () => {
+    assert.equal(SHRINKAGE_STRENGTH, 3);
+    assert.equal(adjustedSimilarity(1, 2, "pearson"), 0.4);
+    close(adjustedSimilarity(0.95, 20, "pearson"), 0.95 * 20 / 23);
+    // A perfect match on two locations no longer beats 0.95 on twenty
+    assert.ok(adjustedSimilarity(1, 2, "pearson") < adjustedSimilarity(0.95, 20, "pearson"));
+    // Distances are mapped onto -1 … 1 first: 0 points apart → 1
+    assert.equal(adjustedSimilarity(0, 3, "mad"), 0.5);
+    assert.ok(Number.isNaN(adjustedSimilarity(1, 0, "pearson")));
+    assert.ok(Number.isNaN(adjustedSimilarity(NaN, 5, "pearson")));
+});